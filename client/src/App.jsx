@@ -4,6 +4,12 @@ import LetterNav from './components/LetterNav';
 import TeamGrid from './components/TeamGrid';
 import SquadModal from './components/SquadModal';
 import PlayerDetailModal from './components/PlayerDetailModal';
+import SwapListPanel from './components/SwapListPanel';
+import PackOpening from './components/PackOpening';
+import SearchBox from './components/SearchBox';
+import ClubsModal from './components/ClubsModal';
+import ClubPage from './components/ClubPage';
+import { getUserId } from './utils/userId';
 import './styles/album.css';
 
 export default function App() {
@@ -13,6 +19,12 @@ export default function App() {
   const [activeLetter, setActiveLetter] = useState('A');
   const [selectedTeam, setSelectedTeam] = useState(null);
   const [selectedPlayer, setSelectedPlayer] = useState(null);
+  const [counts, setCounts] = useState({});
+  const [showSwaps, setShowSwaps] = useState(false);
+  const [showPack, setShowPack] = useState(false);
+  const [showClubs, setShowClubs] = useState(false);
+  const [selectedClub, setSelectedClub] = useState(null);
+  const userId = useMemo(() => getUserId(), []);
 
   // Fetch teams on mount
   useEffect(() => {
@@ -31,6 +43,69 @@ export default function App() {
     fetchTeams();
   }, []);
 
+  // Fetch the collector's stickers on mount
+  useEffect(() => {
+    async function fetchCollection() {
+      try {
+        const res = await fetch(`/api/collections/${userId}`);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || `HTTP ${res.status}`);
+        }
+        setCounts(data.counts);
+      } catch (error) {
+        console.error('Failed to fetch collection:', error);
+      }
+    }
+
+    fetchCollection();
+  }, [userId]);
+
+  async function setStickerCount(playerId, count) {
+    try {
+      const res = await fetch(`/api/collections/${userId}/stickers/${encodeURIComponent(playerId)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ count }),
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setCounts((prev) => {
+        const next = { ...prev };
+        if (count > 0) {
+          next[playerId] = count;
+        } else {
+          delete next[playerId];
+        }
+        return next;
+      });
+    } catch (error) {
+      console.error('Failed to update sticker count:', error);
+    }
+  }
+
+  // Merge freshly opened stickers into the local counts
+  function addPackStickers(stickers) {
+    setCounts((prev) => {
+      const next = { ...prev };
+      stickers.forEach((sticker) => {
+        next[sticker._id] = sticker.count;
+      });
+      return next;
+    });
+  }
+
+  // Open the squad page for a searched player, then the player on top of it
+  function selectSearchedPlayer(player) {
+    const team = teams.find((t) => t.name === player.teamName);
+    if (team) {
+      setSelectedTeam(team);
+    }
+    setSelectedPlayer(player);
+  }
+
   // Calculate which letters have teams
   const availableLetters = useMemo(() => {
     const letters = new Set();
@@ -52,6 +127,22 @@ export default function App() {
 
   return (
     <div className="album-main">
+      <div className="album-toolbar">
+        <SearchBox
+          onTeamSelect={setSelectedTeam}
+          onPlayerSelect={selectSearchedPlayer}
+        />
+        <button className="toolbar-btn" onClick={() => setShowClubs(true)}>
+          Clubs
+        </button>
+        <button className="toolbar-btn" onClick={() => setShowPack(true)}>
+          Open Pack
+        </button>
+        <button className="toolbar-btn" onClick={() => setShowSwaps(true)}>
+          Swaps &amp; Needs
+        </button>
+      </div>
+
       <LetterNav
         activeLetter={activeLetter}
         onLetterClick={setActiveLetter}
@@ -67,15 +158,51 @@ export default function App() {
       {selectedTeam && (
         <SquadModal
           team={selectedTeam}
+          counts={counts}
           onClose={() => setSelectedTeam(null)}
           onPlayerClick={setSelectedPlayer}
+          onCollect={(playerId) => setStickerCount(playerId, 1)}
+        />
+      )}
+
+      {showClubs && (
+        <ClubsModal
+          onClose={() => setShowClubs(false)}
+          onClubClick={setSelectedClub}
+        />
+      )}
+
+      {selectedClub && (
+        <ClubPage
+          club={selectedClub}
+          counts={counts}
+          onClose={() => setSelectedClub(null)}
+          onPlayerClick={setSelectedPlayer}
+          onCollect={(playerId) => setStickerCount(playerId, 1)}
         />
       )}
 
       {selectedPlayer && (
         <PlayerDetailModal
           player={selectedPlayer}
+          count={counts[selectedPlayer._id] || 0}
           onClose={() => setSelectedPlayer(null)}
+          onCountChange={(count) => setStickerCount(selectedPlayer._id, count)}
+        />
+      )}
+
+      {showSwaps && (
+        <SwapListPanel
+          userId={userId}
+          onClose={() => setShowSwaps(false)}
+        />
+      )}
+
+      {showPack && (
+        <PackOpening
+          userId={userId}
+          onClose={() => setShowPack(false)}
+          onOpened={addPackStickers}
         />
       )}
     </div>
@@ -0,0 +1,235 @@
+import { useCallback, useEffect, useState } from 'react';
+import '../styles/album.css';
+
+const STATUSES = [
+  { value: 'pending-review', label: 'Pending review' },
+  { value: 'approved', label: 'Live' },
+  { value: 'retired', label: 'Previous' },
+  { value: 'rejected', label: 'Rejected' },
+];
+
+// The admin API wants the server's ADMIN_TOKEN; it's kept in this browser once entered
+const TOKEN_KEY = 'wc-album-admin-token';
+
+const authHeaders = (token) => ({ Authorization: `Bearer ${token}` });
+
+async function post(url, token, body = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders(token) },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.error || 'Request failed');
+  }
+  return data;
+}
+
+export default function AdminReview() {
+  const [status, setStatus] = useState('pending-review');
+  const [images, setImages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [tweaks, setTweaks] = useState({});
+  const [message, setMessage] = useState(null);
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
+  const [tokenInput, setTokenInput] = useState('');
+
+  const fetchImages = useCallback(async () => {
+    if (!token) {
+      setLoading(false);
+      return;
+    }
+    try {
+      const res = await fetch(`/api/admin/images?status=${status}`, { headers: authHeaders(token) });
+      const data = await res.json();
+      if (res.status === 401) {
+        localStorage.removeItem(TOKEN_KEY);
+        setToken(null);
+        setMessage('That admin token was not accepted');
+        return;
+      }
+      if (!res.ok) {
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      setImages(data);
+    } catch (error) {
+      console.error('Failed to fetch images:', error);
+      setMessage(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status, token]);
+
+  useEffect(() => {
+    fetchImages();
+  }, [fetchImages]);
+
+  // Run a review action, then reload the list it changed
+  async function act(action, done) {
+    try {
+      await action();
+      setMessage(done);
+    } catch (error) {
+      setMessage(error.message);
+    }
+    fetchImages();
+  }
+
+  function approve(image) {
+    act(
+      () => post(`/api/admin/images/${encodeURIComponent(image._id)}/approve`, token),
+      `${image.playerName} v${image.version} is live`
+    );
+  }
+
+  function reject(image) {
+    act(
+      () => post(`/api/admin/images/${encodeURIComponent(image._id)}/reject`, token),
+      `${image.playerName} v${image.version} rejected`
+    );
+  }
+
+  function regenerate(image) {
+    const promptTweak = tweaks[image._id]?.trim() || null;
+    act(
+      () => post(`/api/admin/images/${encodeURIComponent(image._id)}/regenerate`, token, { promptTweak }),
+      `${image.playerName} queued for regeneration`
+    );
+  }
+
+  function rollback(image) {
+    act(
+      () => post(`/api/admin/players/${encodeURIComponent(image.playerId)}/rollback`, token),
+      `${image.playerName} rolled back`
+    );
+  }
+
+  function saveToken(e) {
+    e.preventDefault();
+    const entered = tokenInput.trim();
+    if (!entered) return;
+    localStorage.setItem(TOKEN_KEY, entered);
+    setToken(entered);
+    setTokenInput('');
+    setMessage(null);
+    setLoading(true);
+  }
+
+  if (!token) {
+    return (
+      <div className="album-main admin-review">
+        <div className="squad-header">
+          <a className="back-btn" href="/">
+            ←
+          </a>
+          <span className="team-name">Sticker Review</span>
+        </div>
+
+        {message && <p className="review-message">{message}</p>}
+
+        <form className="review-actions" onSubmit={saveToken}>
+          <input
+            type="password"
+            className="review-tweak"
+            placeholder="Admin token"
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+          />
+          <button type="submit" className="toolbar-btn">
+            Unlock
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="album-main admin-review">
+      <div className="squad-header">
+        <a className="back-btn" href="/">
+          ←
+        </a>
+        <span className="team-name">Sticker Review</span>
+      </div>
+
+      <div className="album-toolbar club-country-nav">
+        {STATUSES.map((option) => (
+          <button
+            key={option.value}
+            className={`chip-btn ${status === option.value ? 'active' : ''}`}
+            onClick={() => setStatus(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {message && <p className="review-message">{message}</p>}
+
+      {loading ? (
+        <div className="loading">Loading images...</div>
+      ) : images.length === 0 ? (
+        <div className="empty-state">Nothing here</div>
+      ) : (
+        <div className="review-grid">
+          {images.map((image) => (
+            <article key={image._id} className="review-card">
+              <div className="review-images">
+                <figure>
+                  <img src={image.imagePath} alt={`${image.playerName} v${image.version}`} />
+                  <figcaption>v{image.version}</figcaption>
+                </figure>
+                {image.status === 'pending-review' && image.liveImagePath && (
+                  <figure>
+                    <img src={image.liveImagePath} alt={`${image.playerName} live`} />
+                    <figcaption>Live now</figcaption>
+                  </figure>
+                )}
+              </div>
+
+              <h3>{image.playerName}</h3>
+              <p className="review-meta">
+                {image.teamName}
+                {image.promptInfo && ` · ${image.promptInfo.template} v${image.promptInfo.version}`}
+              </p>
+              {image.promptInfo?.tweak && <p className="review-meta">Tweak: {image.promptInfo.tweak}</p>}
+              {image.note && <p className="review-meta">Note: {image.note}</p>}
+
+              <div className="review-actions">
+                {(image.status === 'pending-review' || image.status === 'retired') && (
+                  <button className="toolbar-btn" onClick={() => approve(image)}>
+                    {image.status === 'retired' ? 'Make live' : 'Approve'}
+                  </button>
+                )}
+                {image.status === 'pending-review' && (
+                  <button className="toolbar-btn" onClick={() => reject(image)}>
+                    Reject
+                  </button>
+                )}
+                {image.status === 'approved' && (
+                  <button className="toolbar-btn" onClick={() => rollback(image)}>
+                    Roll back
+                  </button>
+                )}
+              </div>
+
+              <div className="review-actions">
+                <input
+                  type="text"
+                  className="review-tweak"
+                  placeholder="Prompt tweak (optional)"
+                  value={tweaks[image._id] || ''}
+                  onChange={(e) => setTweaks((prev) => ({ ...prev, [image._id]: e.target.value }))}
+                />
+                <button className="toolbar-btn" onClick={() => regenerate(image)}>
+                  Regenerate
+                </button>
+              </div>
+            </article>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import AdminReview from './AdminReview';
+
+const candidate = {
+  _id: 'stickerImage:player:csv:argentina-lionel-messi:2',
+  playerId: 'player:csv:argentina-lionel-messi',
+  version: 2,
+  status: 'pending-review',
+  imagePath: '/players/argentina/lionel-messi.v2.png',
+  promptInfo: { template: 'panini', version: 1, kit: 'home' },
+  playerName: 'Lionel Messi',
+  teamName: 'Argentina',
+  liveImagePath: '/players/argentina/lionel-messi.v1.png',
+};
+
+const auth = { Authorization: 'Bearer secret' };
+
+let fetchMock;
+
+beforeEach(() => {
+  localStorage.setItem('wc-album-admin-token', 'secret');
+  fetchMock = vi.fn(async (url, options) => ({
+    ok: true,
+    status: 200,
+    json: async () => (options?.method === 'POST' ? {} : [candidate]),
+  }));
+  vi.stubGlobal('fetch', fetchMock);
+});
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  vi.unstubAllGlobals();
+});
+
+describe('AdminReview', () => {
+  it('shows pending candidates next to the live sticker', async () => {
+    render(<AdminReview />);
+
+    expect(await screen.findByText('Lionel Messi')).toBeTruthy();
+    expect(fetchMock).toHaveBeenCalledWith('/api/admin/images?status=pending-review', { headers: auth });
+    expect(screen.getByAltText('Lionel Messi v2').getAttribute('src')).toBe(candidate.imagePath);
+    expect(screen.getByAltText('Lionel Messi live').getAttribute('src')).toBe(candidate.liveImagePath);
+  });
+
+  it('approves a candidate', async () => {
+    render(<AdminReview />);
+    fireEvent.click(await screen.findByText('Approve'));
+
+    expect(await screen.findByText('Lionel Messi v2 is live')).toBeTruthy();
+    expect(fetchMock).toHaveBeenCalledWith(
+      `/api/admin/images/${encodeURIComponent(candidate._id)}/approve`,
+      expect.objectContaining({ method: 'POST', headers: expect.objectContaining(auth) })
+    );
+  });
+
+  it('sends the prompt tweak with a regeneration request', async () => {
+    render(<AdminReview />);
+    fireEvent.change(await screen.findByPlaceholderText('Prompt tweak (optional)'), {
+      target: { value: 'Shorter beard' },
+    });
+    fireEvent.click(screen.getByText('Regenerate'));
+
+    expect(await screen.findByText('Lionel Messi queued for regeneration')).toBeTruthy();
+    const [, options] = fetchMock.mock.calls.find(([url]) => url.endsWith('/regenerate'));
+    expect(JSON.parse(options.body)).toEqual({ promptTweak: 'Shorter beard' });
+  });
+
+  it('asks for the admin token before loading anything', async () => {
+    localStorage.clear();
+    render(<AdminReview />);
+
+    fireEvent.change(screen.getByPlaceholderText('Admin token'), { target: { value: 'secret' } });
+    expect(fetchMock).not.toHaveBeenCalled();
+    fireEvent.click(screen.getByText('Unlock'));
+
+    expect(await screen.findByText('Lionel Messi')).toBeTruthy();
+    expect(localStorage.getItem('wc-album-admin-token')).toBe('secret');
+  });
+
+  it('asks again when the token is turned away', async () => {
+    fetchMock.mockImplementation(async () => ({
+      ok: false,
+      status: 401,
+      json: async () => ({ error: 'Admin token required' }),
+    }));
+    render(<AdminReview />);
+
+    expect(await screen.findByText('That admin token was not accepted')).toBeTruthy();
+    expect(screen.getByPlaceholderText('Admin token')).toBeTruthy();
+    expect(localStorage.getItem('wc-album-admin-token')).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+import { useEffect, useState } from 'react';
+import PlayerSlot from './PlayerSlot';
+import '../styles/album.css';
+
+export default function ClubPage({ club, counts, onClose, onPlayerClick, onCollect }) {
+  const [players, setPlayers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function fetchPlayers() {
+      try {
+        const res = await fetch(`/api/clubs/${encodeURIComponent(club.name)}/players`);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || `HTTP ${res.status}`);
+        }
+        setPlayers(data);
+      } catch (error) {
+        console.error('Failed to fetch club players:', error);
+        setError('Could not load the club');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchPlayers();
+  }, [club.name]);
+
+  return (
+    <div className="squad-modal-overlay">
+      <div className="squad-modal">
+        <div className="squad-header">
+          <button className="back-btn" onClick={onClose}>
+            ←
+          </button>
+          <span className="team-name">{club.name}</span>
+          <span className="progress">{club.country}</span>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading club...</div>
+        ) : error ? (
+          <div className="loading load-error">{error}</div>
+        ) : (
+          <div className="player-grid">
+            {players.map((player) => (
+              <div key={player._id} className="club-slot">
+                <div className="club-slot-team">
+                  {player.flagEmoji} {player.teamName}
+                </div>
+                <PlayerSlot
+                  player={player}
+                  count={counts[player._id] || 0}
+                  onClick={() => onPlayerClick(player)}
+                  onCollect={() => onCollect(player._id)}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import { useEffect, useState } from 'react';
+import '../styles/album.css';
+
+export default function ClubsModal({ onClose, onClubClick }) {
+  const [data, setData] = useState({ countries: [], clubs: [] });
+  const [activeCountry, setActiveCountry] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function fetchClubs() {
+      try {
+        const res = await fetch('/api/clubs');
+        const body = await res.json();
+        if (!res.ok) {
+          throw new Error(body.error || `HTTP ${res.status}`);
+        }
+        setData(body);
+      } catch (error) {
+        console.error('Failed to fetch clubs:', error);
+        setError('Could not load the clubs');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchClubs();
+  }, []);
+
+  const clubs = activeCountry
+    ? data.clubs.filter((club) => club.country === activeCountry)
+    : data.clubs;
+
+  return (
+    <div className="squad-modal-overlay">
+      <div className="squad-modal">
+        <div className="squad-header">
+          <button className="back-btn" onClick={onClose}>
+            ←
+          </button>
+          <span className="team-name">Clubs</span>
+          {!loading && !error && (
+            <span className="progress">
+              {clubs.length} clubs · {clubs.reduce((sum, club) => sum + club.playerCount, 0)} players
+            </span>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading clubs...</div>
+        ) : error ? (
+          <div className="loading load-error">{error}</div>
+        ) : (
+          <>
+            <nav className="letter-nav club-country-nav">
+              <button
+                className={`chip-btn ${activeCountry === null ? 'active' : ''}`}
+                onClick={() => setActiveCountry(null)}
+              >
+                All
+              </button>
+              {data.countries.map((country) => (
+                <button
+                  key={country.name}
+                  className={`chip-btn ${activeCountry === country.name ? 'active' : ''}`}
+                  onClick={() => setActiveCountry(country.name)}
+                >
+                  {country.name} <span className="chip-count">{country.playerCount}</span>
+                </button>
+              ))}
+            </nav>
+
+            <div className="team-grid">
+              {clubs.map((club) => (
+                <div key={club.name} className="team-card club-card" onClick={() => onClubClick(club)}>
+                  <div className="name">{club.name}</div>
+                  <div className="club-country">{club.country}</div>
+                  <div className="club-counts">
+                    {club.playerCount} players · {club.nationCount} nations
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, render, screen } from '@testing-library/react';
+import ClubsModal from './ClubsModal';
+import ClubPage from './ClubPage';
+
+function stubFetch(status, body) {
+  vi.stubGlobal('fetch', vi.fn(async () => ({
+    ok: status < 400,
+    status,
+    json: async () => body,
+  })));
+}
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+});
+
+describe('ClubsModal', () => {
+  it('lists clubs with their counts', async () => {
+    stubFetch(200, {
+      countries: [{ name: 'Spain', playerCount: 1, clubCount: 1 }],
+      clubs: [{ name: 'Real Madrid', country: 'Spain', playerCount: 1, nationCount: 1 }],
+    });
+    render(<ClubsModal onClose={() => {}} onClubClick={() => {}} />);
+
+    expect(await screen.findByText('Real Madrid')).toBeTruthy();
+    expect(screen.getByText('1 players · 1 nations')).toBeTruthy();
+  });
+
+  it('shows an error when the clubs cannot be loaded', async () => {
+    stubFetch(500, { error: 'Failed to fetch clubs' });
+    render(<ClubsModal onClose={() => {}} onClubClick={() => {}} />);
+
+    expect(await screen.findByText('Could not load the clubs')).toBeTruthy();
+  });
+});
+
+describe('ClubPage', () => {
+  it('shows an error when the club cannot be loaded', async () => {
+    stubFetch(404, { error: 'Club not found' });
+    render(
+      <ClubPage
+        club={{ name: 'Nowhere FC', country: 'Spain' }}
+        counts={{}}
+        onClose={() => {}}
+        onPlayerClick={() => {}}
+        onCollect={() => {}}
+      />
+    );
+
+    expect(await screen.findByText('Could not load the club')).toBeTruthy();
+  });
+});
@@ -0,0 +1,36 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import LetterNav from './LetterNav';
+
+afterEach(cleanup);
+
+describe('LetterNav', () => {
+  it('renders a button per letter and disables letters without teams', () => {
+    render(
+      <LetterNav activeLetter="A" onLetterClick={() => {}} availableLetters={new Set(['A', 'B'])} />
+    );
+
+    expect(screen.getAllByRole('button')).toHaveLength(26);
+    expect(screen.getByRole('button', { name: 'B' }).disabled).toBe(false);
+    expect(screen.getByRole('button', { name: 'Z' }).disabled).toBe(true);
+  });
+
+  it('marks the active letter', () => {
+    render(
+      <LetterNav activeLetter="B" onLetterClick={() => {}} availableLetters={new Set(['A', 'B'])} />
+    );
+
+    expect(screen.getByRole('button', { name: 'B' }).className).toContain('active');
+    expect(screen.getByRole('button', { name: 'A' }).className).not.toContain('active');
+  });
+
+  it('reports the clicked letter', () => {
+    const onLetterClick = vi.fn();
+    render(
+      <LetterNav activeLetter="A" onLetterClick={onLetterClick} availableLetters={new Set(['A', 'B'])} />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'B' }));
+    expect(onLetterClick).toHaveBeenCalledWith('B');
+  });
+});
@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import '../styles/album.css';
+
+export default function PackOpening({ userId, onClose, onOpened }) {
+  const [stickers, setStickers] = useState(null);
+  const [opening, setOpening] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function openPack() {
+    setOpening(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/packs/open', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || 'Could not open the pack');
+        return;
+      }
+      setStickers(data.stickers);
+      onOpened(data.stickers);
+    } catch (error) {
+      console.error('Failed to open pack:', error);
+      setError('Could not open the pack');
+    } finally {
+      setOpening(false);
+    }
+  }
+
+  return (
+    <div className="player-detail-overlay" onClick={onClose}>
+      <div className="pack-stage" onClick={(e) => e.stopPropagation()}>
+        {error && <p className="pack-error">{error}</p>}
+        {!stickers ? (
+          <button
+            className={`sticker-pack ${opening ? 'tearing' : ''}`}
+            onClick={openPack}
+            disabled={opening}
+          >
+            <span className="trophy">🏆</span>
+            <span className="pack-title">World Cup 2026</span>
+            <span className="pack-hint">{opening ? 'Opening...' : 'Tap to open'}</span>
+          </button>
+        ) : (
+          <>
+            <div className="pack-cards">
+              {stickers.map((sticker, i) => (
+                <div
+                  key={`${sticker._id}-${i}`}
+                  className={`pack-card ${sticker.type} ${sticker.shiny ? 'shiny' : ''}`}
+                  style={{ animationDelay: `${i * 0.25}s` }}
+                >
+                  {sticker.isNew && <span className="new-badge">New</span>}
+                  {sticker.number && <span className="sticker-number">{sticker.number}</span>}
+                  <div className="photo">
+                    {sticker.type === 'crest' ? (
+                      sticker.flagEmoji
+                    ) : sticker.thumb ? (
+                      <img src={sticker.thumb} alt={sticker.name} />
+                    ) : (
+                      '👤'
+                    )}
+                  </div>
+                  <div className="name">{sticker.name}</div>
+                  <div className="team">
+                    {sticker.type === 'crest' ? 'Team Badge' : `${sticker.flagEmoji} ${sticker.teamName}`}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="pack-actions">
+              <button className="toolbar-btn" onClick={() => setStickers(null)}>
+                Open another
+              </button>
+              <button className="toolbar-btn" onClick={onClose}>
+                Done
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import PackOpening from './PackOpening';
+
+const sticker = {
+  _id: 'player:csv:argentina-lionel-messi',
+  type: 'player',
+  shiny: false,
+  number: 'ARG 12',
+  name: 'Lionel Messi',
+  teamName: 'Argentina',
+  flagEmoji: '🇦🇷',
+  thumb: null,
+  count: 1,
+  isNew: true,
+};
+
+function stubFetch(status, body) {
+  vi.stubGlobal('fetch', vi.fn(async () => ({
+    ok: status < 400,
+    status,
+    json: async () => body,
+  })));
+}
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+});
+
+describe('PackOpening', () => {
+  it('shows the opened stickers', async () => {
+    stubFetch(201, { seed: 'abc', stickers: [sticker] });
+    const onOpened = vi.fn();
+    render(<PackOpening userId="collector-1" onClose={() => {}} onOpened={onOpened} />);
+
+    fireEvent.click(screen.getByText('Tap to open'));
+
+    expect(await screen.findByText('ARG 12')).toBeTruthy();
+    expect(onOpened).toHaveBeenCalledWith([sticker]);
+  });
+
+  it('shows the error and keeps the pack closed when opening fails', async () => {
+    stubFetch(404, { error: 'No stickers available' });
+    const onOpened = vi.fn();
+    render(<PackOpening userId="collector-1" onClose={() => {}} onOpened={onOpened} />);
+
+    fireEvent.click(screen.getByText('Tap to open'));
+
+    expect(await screen.findByText('No stickers available')).toBeTruthy();
+    expect(screen.getByText('Tap to open')).toBeTruthy();
+    expect(onOpened).not.toHaveBeenCalled();
+  });
+});
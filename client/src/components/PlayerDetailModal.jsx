@@ -1,6 +1,45 @@
+import { useEffect, useState } from 'react';
 import '../styles/album.css';
 
-export default function PlayerDetailModal({ player, onClose }) {
+const FEET = { left: 'Left', right: 'Right', both: 'Both' };
+
+// Back-of-sticker stats: [label, value] pairs for the fields we know
+function profileRows(profile) {
+  if (!profile) return [];
+  return [
+    ['Age', profile.age != null && `${profile.age} (${profile.dateOfBirth})`],
+    ['Height', profile.height != null && `${profile.height} cm`],
+    ['Weight', profile.weight != null && `${profile.weight} kg`],
+    ['Foot', FEET[profile.preferredFoot]],
+    ['Caps', profile.caps != null && `${profile.caps} (${profile.internationalGoals ?? 0} goals)`],
+  ].filter(([, value]) => value);
+}
+
+export default function PlayerDetailModal({ player, count, onClose, onCountChange }) {
+  const [profile, setProfile] = useState(null);
+
+  // List responses don't carry the profile, so load the full player
+  useEffect(() => {
+    let cancelled = false;
+
+    async function fetchProfile() {
+      try {
+        const res = await fetch(`/api/players/${encodeURIComponent(player._id)}`);
+        const data = await res.json();
+        if (!cancelled) setProfile(data.profile || null);
+      } catch (error) {
+        console.error('Failed to fetch player profile:', error);
+      }
+    }
+
+    fetchProfile();
+    return () => {
+      cancelled = true;
+    };
+  }, [player._id]);
+
+  const stats = profileRows(profile);
+
   return (
     <div className="player-detail-overlay" onClick={onClose}>
       <div
@@ -12,9 +51,9 @@ export default function PlayerDetailModal({ player, onClose }) {
         </button>
 
         <div className="photo">
-          {player.image_path ? (
+          {player.full ? (
             <img
-              src={player.image_path}
+              src={player.full}
               alt={player.name}
               style={{ width: '100%', height: '100%', objectFit: 'cover', borderRadius: '50%' }}
             />
@@ -29,6 +68,13 @@ export default function PlayerDetailModal({ player, onClose }) {
           {player.position}
         </span>
 
+        {player.stickerNumber && (
+          <div className="info-row">
+            <span className="info-label">Sticker</span>
+            <span className="info-value">{player.stickerNumber}</span>
+          </div>
+        )}
+
         <div className="info-row">
           <span className="info-label">Club</span>
           <span className="info-value">{player.club}</span>
@@ -38,6 +84,28 @@ export default function PlayerDetailModal({ player, onClose }) {
           <span className="info-label">Club Country</span>
           <span className="info-value">{player.clubCountry}</span>
         </div>
+
+        {stats.length > 0 && (
+          <div className="sticker-back">
+            {stats.map(([label, value]) => (
+              <div key={label} className="info-row">
+                <span className="info-label">{label}</span>
+                <span className="info-value">{value}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="info-row">
+          <span className="info-label">Copies</span>
+          <span className="copies-stepper">
+            <button onClick={() => onCountChange(count - 1)} disabled={count === 0}>
+              −
+            </button>
+            <span className="info-value">{count}</span>
+            <button onClick={() => onCountChange(count + 1)}>+</button>
+          </span>
+        </div>
       </div>
     </div>
   );
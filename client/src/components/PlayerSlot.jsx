@@ -1,12 +1,47 @@
 import '../styles/album.css';
 
-export default function PlayerSlot({ player, onClick }) {
+// Squad number in front of the name, when the squad has one
+function PlayerName({ player }) {
+  return (
+    <div className="name">
+      {player.jerseyNumber != null && <span className="jersey-number">{player.jerseyNumber}</span>}
+      {player.name}
+    </div>
+  );
+}
+
+// Position group (GK/DEF/MID/FWD) plus the detailed position, e.g. "DEF · CB"
+function PositionBadge({ player }) {
+  return (
+    <span className={`position-badge ${player.position}`}>
+      {player.detailedPosition ? `${player.position} · ${player.detailedPosition}` : player.position}
+    </span>
+  );
+}
+
+export default function PlayerSlot({ player, count, onClick, onCollect }) {
+  // Empty slot: the sticker hasn't been stuck in yet
+  if (!count) {
+    return (
+      <div className="player-slot empty">
+        <div className="photo">{player.stickerNumber || '?'}</div>
+        <PlayerName player={player} />
+        <PositionBadge player={player} />
+        <button className="stick-btn" onClick={onCollect}>
+          Got it
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div className="player-slot" onClick={onClick}>
+      {player.stickerNumber && <span className="sticker-number">{player.stickerNumber}</span>}
+      {count > 1 && <span className="copies-badge">×{count}</span>}
       <div className="photo">
-        {player.image_path ? (
+        {player.thumb ? (
           <img
-            src={player.image_path}
+            src={player.thumb}
             alt={player.name}
             style={{ width: '100%', height: '100%', objectFit: 'cover', borderRadius: '50%' }}
           />
@@ -14,10 +49,8 @@ export default function PlayerSlot({ player, onClick }) {
           '👤'
         )}
       </div>
-      <div className="name">{player.name}</div>
-      <span className={`position-badge ${player.position}`}>
-        {player.position}
-      </span>
+      <PlayerName player={player} />
+      <PositionBadge player={player} />
       <div className="club">{player.club}</div>
     </div>
   );
@@ -0,0 +1,81 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, render, screen } from '@testing-library/react';
+import PlayerSlot from './PlayerSlot';
+import PlayerDetailModal from './PlayerDetailModal';
+
+const player = {
+  _id: 'player:csv:argentina-lionel-messi',
+  name: 'Lionel Messi',
+  position: 'FWD',
+  club: 'Inter Miami',
+  thumb: '/players/argentina/lionel-messi.v1.thumb.webp',
+  full: '/players/argentina/lionel-messi.v1.webp',
+};
+
+let profile = null;
+
+beforeEach(() => {
+  profile = null;
+  vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, json: async () => ({ ...player, profile }) })));
+});
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+});
+
+describe('sticker images', () => {
+  it('uses the thumbnail in album slots', () => {
+    render(<PlayerSlot player={player} count={1} onClick={() => {}} onCollect={() => {}} />);
+    expect(screen.getByAltText('Lionel Messi').getAttribute('src')).toBe(player.thumb);
+  });
+
+  it('uses the full image in the detail view', () => {
+    render(<PlayerDetailModal player={player} count={1} onClose={() => {}} onCountChange={() => {}} />);
+    expect(screen.getByAltText('Lionel Messi').getAttribute('src')).toBe(player.full);
+  });
+});
+
+describe('positions and squad numbers', () => {
+  it('shows the detailed position and jersey number', () => {
+    render(<PlayerSlot player={{ ...player, detailedPosition: 'RW', jerseyNumber: 10 }} count={1} onClick={() => {}} onCollect={() => {}} />);
+    expect(screen.getByText('FWD · RW')).toBeTruthy();
+    expect(screen.getByText('10').className).toBe('jersey-number');
+  });
+
+  it('shows just the position group when there is no detail', () => {
+    const { container } = render(<PlayerSlot player={player} count={0} onClick={() => {}} onCollect={() => {}} />);
+    expect(screen.getByText('FWD')).toBeTruthy();
+    expect(container.querySelector('.jersey-number')).toBeNull();
+  });
+});
+
+describe('sticker back', () => {
+  it('loads and shows the player profile', async () => {
+    profile = {
+      dateOfBirth: '1987-06-24',
+      age: 39,
+      height: 170,
+      weight: 72,
+      preferredFoot: 'left',
+      caps: 191,
+      internationalGoals: 112,
+    };
+    render(<PlayerDetailModal player={player} count={1} onClose={() => {}} onCountChange={() => {}} />);
+
+    expect(await screen.findByText('39 (1987-06-24)')).toBeTruthy();
+    expect(screen.getByText('170 cm')).toBeTruthy();
+    expect(screen.getByText('72 kg')).toBeTruthy();
+    expect(screen.getByText('Left')).toBeTruthy();
+    expect(screen.getByText('191 (112 goals)')).toBeTruthy();
+    expect(fetch).toHaveBeenCalledWith(`/api/players/${encodeURIComponent(player._id)}`);
+  });
+
+  it('leaves out stats the player has no data for', async () => {
+    profile = { dateOfBirth: null, age: null, height: 185, weight: null, preferredFoot: null, caps: null, internationalGoals: null };
+    const { container } = render(<PlayerDetailModal player={player} count={1} onClose={() => {}} onCountChange={() => {}} />);
+
+    expect(await screen.findByText('185 cm')).toBeTruthy();
+    expect(container.querySelectorAll('.sticker-back .info-row')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,105 @@
+import { useEffect, useState } from 'react';
+import '../styles/album.css';
+
+export default function SearchBox({ onTeamSelect, onPlayerSelect }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Debounce so we don't search on every keystroke
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 2) {
+      return undefined;
+    }
+
+    const timeoutId = setTimeout(async () => {
+      try {
+        const res = await fetch(`/api/search?q=${encodeURIComponent(q)}`);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || `HTTP ${res.status}`);
+        }
+        setResults(data);
+        setError(null);
+      } catch (error) {
+        console.error('Failed to search:', error);
+        setResults(null);
+        setError('Search failed, try again');
+      }
+    }, 250);
+
+    return () => clearTimeout(timeoutId);
+  }, [query]);
+
+  function handleChange(e) {
+    setQuery(e.target.value);
+    if (e.target.value.trim().length < 2) {
+      setResults(null);
+      setError(null);
+    }
+  }
+
+  function clear() {
+    setQuery('');
+    setResults(null);
+    setError(null);
+  }
+
+  const hasResults = results && (results.teams.length > 0 || results.players.length > 0);
+
+  return (
+    <div className="search-box">
+      <input
+        type="search"
+        placeholder="Search players, clubs or teams..."
+        value={query}
+        onChange={handleChange}
+      />
+
+      {error && (
+        <div className="search-results">
+          <div className="search-empty">{error}</div>
+        </div>
+      )}
+
+      {results && (
+        <div className="search-results">
+          {!hasResults && <div className="search-empty">No matches for "{query}"</div>}
+
+          {results.teams.map((team) => (
+            <button
+              key={team._id}
+              className="search-result"
+              onClick={() => {
+                onTeamSelect(team);
+                clear();
+              }}
+            >
+              <span className="flag">{team.flagEmoji}</span>
+              <span className="result-name">{team.name}</span>
+              <span className="result-meta">Team</span>
+            </button>
+          ))}
+
+          {results.players.map((player) => (
+            <button
+              key={player._id}
+              className="search-result"
+              onClick={() => {
+                onPlayerSelect(player);
+                clear();
+              }}
+            >
+              <span className={`position-badge ${player.position}`}>{player.position}</span>
+              <span className="result-name">{player.name}</span>
+              <span className="result-meta">
+                {player.teamName} · {player.club}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import SearchBox from './SearchBox';
+
+function stubFetch(status, body) {
+  vi.stubGlobal('fetch', vi.fn(async () => ({
+    ok: status < 400,
+    status,
+    json: async () => body,
+  })));
+}
+
+function search(text) {
+  render(<SearchBox onTeamSelect={() => {}} onPlayerSelect={() => {}} />);
+  fireEvent.change(screen.getByPlaceholderText('Search players, clubs or teams...'), { target: { value: text } });
+}
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+});
+
+describe('SearchBox', () => {
+  it('lists matching teams and players', async () => {
+    stubFetch(200, {
+      teams: [],
+      players: [{ _id: 'player:csv:argentina-lionel-messi', name: 'Lionel Messi', position: 'FWD', teamName: 'Argentina', club: 'Inter Miami' }],
+    });
+    search('messi');
+
+    expect(await screen.findByText('Lionel Messi')).toBeTruthy();
+  });
+
+  it('shows an error instead of results when the search fails', async () => {
+    stubFetch(500, { error: 'Search failed' });
+    search('messi');
+
+    expect(await screen.findByText('Search failed, try again')).toBeTruthy();
+  });
+});
@@ -2,7 +2,7 @@ import { useEffect, useState } from 'react';
 import PlayerSlot from './PlayerSlot';
 import '../styles/album.css';
 
-export default function SquadModal({ team, onClose, onPlayerClick }) {
+export default function SquadModal({ team, counts, onClose, onPlayerClick, onCollect }) {
   const [players, setPlayers] = useState([]);
   const [loading, setLoading] = useState(true);
 
@@ -22,6 +22,8 @@ export default function SquadModal({ team, onClose, onPlayerClick }) {
     fetchPlayers();
   }, [team.name]);
 
+  const collectedCount = players.filter((player) => counts[player._id] > 0).length;
+
   return (
     <div className="squad-modal-overlay">
       <div className="squad-modal">
@@ -31,7 +33,12 @@ export default function SquadModal({ team, onClose, onPlayerClick }) {
           </button>
           <span className="flag">{team.flagEmoji}</span>
           <span className="team-name">{team.name}</span>
-                  </div>
+          {!loading && (
+            <span className="progress">
+              {collectedCount}/{players.length} collected
+            </span>
+          )}
+        </div>
 
         {loading ? (
           <div className="loading">Loading squad...</div>
@@ -42,7 +49,9 @@ export default function SquadModal({ team, onClose, onPlayerClick }) {
                 <PlayerSlot
                   key={player._id}
                   player={player}
+                  count={counts[player._id] || 0}
                   onClick={() => onPlayerClick(player)}
+                  onCollect={() => onCollect(player._id)}
                 />
               ))}
             </div>
@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import SquadModal from './SquadModal';
+
+const team = { _id: 'team:csv:argentina', name: 'Argentina', flagEmoji: '🇦🇷' };
+
+const players = [
+  {
+    _id: 'player:csv:argentina-emiliano-martinez',
+    name: 'Emiliano Martínez',
+    position: 'GK',
+    club: 'Aston Villa',
+    stickerNumber: 'ARG 3',
+  },
+  {
+    _id: 'player:csv:argentina-lionel-messi',
+    name: 'Lionel Messi',
+    position: 'FWD',
+    club: 'Inter Miami',
+    stickerNumber: 'ARG 4',
+  },
+];
+
+beforeEach(() => {
+  vi.stubGlobal('fetch', vi.fn(async () => ({ json: async () => players })));
+});
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+});
+
+function renderModal(props = {}) {
+  return render(
+    <SquadModal
+      team={team}
+      counts={{}}
+      onClose={() => {}}
+      onPlayerClick={() => {}}
+      onCollect={() => {}}
+      {...props}
+    />
+  );
+}
+
+describe('SquadModal', () => {
+  it('fetches the squad for the team', async () => {
+    renderModal();
+
+    expect(screen.getByText('Loading squad...')).toBeTruthy();
+    expect(await screen.findByText('Lionel Messi')).toBeTruthy();
+    expect(fetch).toHaveBeenCalledWith('/api/teams/Argentina/players');
+  });
+
+  it('shows collection progress and copy counts', async () => {
+    renderModal({ counts: { 'player:csv:argentina-lionel-messi': 2 } });
+
+    expect(await screen.findByText('1/2 collected')).toBeTruthy();
+    expect(screen.getByText('×2')).toBeTruthy();
+    // Missing stickers show their number in the empty slot
+    expect(screen.getByText('ARG 3')).toBeTruthy();
+  });
+
+  it('collects an empty slot and opens a collected one', async () => {
+    const onCollect = vi.fn();
+    const onPlayerClick = vi.fn();
+    renderModal({
+      counts: { 'player:csv:argentina-lionel-messi': 1 },
+      onCollect,
+      onPlayerClick,
+    });
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Got it' }));
+    expect(onCollect).toHaveBeenCalledWith('player:csv:argentina-emiliano-martinez');
+
+    fireEvent.click(screen.getByText('Lionel Messi'));
+    expect(onPlayerClick).toHaveBeenCalledWith(players[1]);
+  });
+
+  it('closes from the back button', async () => {
+    const onClose = vi.fn();
+    renderModal({ onClose });
+
+    await screen.findByText('Lionel Messi');
+    fireEvent.click(screen.getByRole('button', { name: '←' }));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
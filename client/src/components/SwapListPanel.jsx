@@ -0,0 +1,95 @@
+import { useEffect, useState } from 'react';
+import '../styles/album.css';
+
+export default function SwapListPanel({ userId, onClose }) {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    async function fetchSwaps() {
+      try {
+        const res = await fetch(`/api/collections/${userId}/swaps`);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || `HTTP ${res.status}`);
+        }
+        setGroups(data.teams);
+      } catch (error) {
+        console.error('Failed to fetch swaps:', error);
+        setError('Could not load the swap list');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    fetchSwaps();
+  }, [userId]);
+
+  return (
+    <div className="squad-modal-overlay swap-list-overlay">
+      <div className="squad-modal">
+        <div className="squad-header">
+          <button className="back-btn" onClick={onClose}>
+            ←
+          </button>
+          <span className="team-name">Swaps &amp; Needs</span>
+          <a className="toolbar-btn" href={`/api/collections/${userId}/swaps?format=csv`}>
+            Download CSV
+          </a>
+          <button className="toolbar-btn" onClick={() => window.print()}>
+            Print
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading swap list...</div>
+        ) : error ? (
+          <div className="loading load-error">{error}</div>
+        ) : (
+          <div className="swap-list">
+            {groups.map((group) => (
+              <section key={group.team._id} className="swap-team">
+                <h3>
+                  <span className="flag">{group.team.flagEmoji}</span> {group.team.name}
+                </h3>
+                <div className="swap-columns">
+                  <div>
+                    <h4>Swaps</h4>
+                    {group.swaps.length === 0 ? (
+                      <p className="swap-empty">None</p>
+                    ) : (
+                      <ul>
+                        {group.swaps.map((sticker) => (
+                          <li key={sticker._id}>
+                            {sticker.number && <span className="swap-number">{sticker.number}</span>}
+                            {sticker.name} <span className="swap-spare">×{sticker.spare}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                  <div>
+                    <h4>Needs</h4>
+                    {group.needs.length === 0 ? (
+                      <p className="swap-empty">Complete!</p>
+                    ) : (
+                      <ul>
+                        {group.needs.map((sticker) => (
+                          <li key={sticker._id}>
+                            {sticker.number && <span className="swap-number">{sticker.number}</span>}
+                            {sticker.name}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </div>
+              </section>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, render, screen } from '@testing-library/react';
+import SwapListPanel from './SwapListPanel';
+
+function stubFetch(status, body) {
+  vi.stubGlobal('fetch', vi.fn(async () => ({
+    ok: status < 400,
+    status,
+    json: async () => body,
+  })));
+}
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+});
+
+describe('SwapListPanel', () => {
+  it('lists swaps and needs by team', async () => {
+    stubFetch(200, {
+      userId: 'collector-1',
+      teams: [{
+        team: { _id: 'team:csv:argentina', name: 'Argentina', flagEmoji: '🇦🇷' },
+        swaps: [{ _id: 'player:csv:argentina-lionel-messi', number: 'ARG 12', name: 'Lionel Messi', spare: 2 }],
+        needs: [],
+      }],
+    });
+    render(<SwapListPanel userId="collector-1" onClose={() => {}} />);
+
+    expect(await screen.findByText('×2')).toBeTruthy();
+    expect(screen.getByText('Complete!')).toBeTruthy();
+  });
+
+  it('shows an error instead of the list when the request fails', async () => {
+    stubFetch(500, { error: 'Failed to fetch swaps' });
+    render(<SwapListPanel userId="collector-1" onClose={() => {}} />);
+
+    expect(await screen.findByText('Could not load the swap list')).toBeTruthy();
+  });
+});
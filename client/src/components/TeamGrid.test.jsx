@@ -0,0 +1,35 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import TeamGrid from './TeamGrid';
+
+afterEach(cleanup);
+
+const teams = [
+  { _id: 'team:csv:argentina', name: 'Argentina', flagEmoji: '🇦🇷' },
+  { _id: 'team:csv:australia', name: 'Australia', flagEmoji: '🇦🇺' },
+  { _id: 'team:csv:brazil', name: 'Brazil', flagEmoji: '🇧🇷' },
+];
+
+describe('TeamGrid', () => {
+  it('only shows teams for the active letter', () => {
+    render(<TeamGrid teams={teams} activeLetter="A" onTeamClick={() => {}} />);
+
+    expect(screen.getByText('Argentina')).toBeTruthy();
+    expect(screen.getByText('Australia')).toBeTruthy();
+    expect(screen.queryByText('Brazil')).toBeNull();
+  });
+
+  it('shows an empty state when no team starts with the letter', () => {
+    render(<TeamGrid teams={teams} activeLetter="Z" onTeamClick={() => {}} />);
+
+    expect(screen.getByText('No teams found for letter "Z"')).toBeTruthy();
+  });
+
+  it('reports the clicked team', () => {
+    const onTeamClick = vi.fn();
+    render(<TeamGrid teams={teams} activeLetter="B" onTeamClick={onTeamClick} />);
+
+    fireEvent.click(screen.getByText('Brazil'));
+    expect(onTeamClick).toHaveBeenCalledWith(teams[2]);
+  });
+});
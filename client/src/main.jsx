@@ -1,9 +1,13 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+import AdminReview from './components/AdminReview.jsx'
+
+// /admin is the sticker review page; everything else is the album
+const Page = window.location.pathname.startsWith('/admin') ? AdminReview : App
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <Page />
   </StrictMode>,
 )
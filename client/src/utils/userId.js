@@ -0,0 +1,24 @@
+const STORAGE_KEY = 'wc-album-user-id';
+
+// crypto.randomUUID only exists in secure contexts (https or localhost), so
+// an album opened over http://<LAN-IP> builds the id from random bytes
+function randomId() {
+  if (typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// There are no accounts yet, so each browser gets its own collector id
+export function getUserId() {
+  let userId = localStorage.getItem(STORAGE_KEY);
+  if (!userId) {
+    userId = randomId();
+    localStorage.setItem(STORAGE_KEY, userId);
+  }
+  return userId;
+}
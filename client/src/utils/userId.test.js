@@ -0,0 +1,23 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getUserId } from './userId';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('getUserId', () => {
+  it('keeps the same id for the browser', () => {
+    const userId = getUserId();
+    expect(getUserId()).toBe(userId);
+  });
+
+  it('falls back to random bytes outside a secure context', () => {
+    vi.stubGlobal('crypto', { getRandomValues: (bytes) => bytes.fill(0xab) });
+
+    expect(getUserId()).toBe('abababab-abab-4bab-abab-abababababab');
+  });
+});
@@ -1,9 +1,25 @@
 import express from 'express';
 import cors from 'cors';
-import { MongoClient } from 'mongodb';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { fileURLToPath } from 'url';
+import { loadServerConfig } from '../src/config.js';
+import * as db from '../src/db.js';
+import { drawPack, PACK_DEFAULTS } from '../src/packs.js';
+import { stickerLabel, BADGE_NUMBER } from '../src/numbering.js';
+import { flagEmojis } from '../src/flags.js';
+import { ageOn } from '../src/playerProfile.js';
+import { httpError } from '../src/httpError.js';
+import { EXPORT_FORMATS, exportAlbum } from '../src/albumExport.js';
+import { formatCSVRecord } from '../src/importers/csvImporter.js';
+import { createImageStore, isImageKey } from '../src/imageStore/index.js';
+import { clearSourceImageOverride, isImageUrl, setSourceImageOverride } from '../src/headshots/index.js';
+import {
+  REVIEW_STATUS,
+  approveImage,
+  rejectImage,
+  requestRegeneration,
+  rollbackImage,
+} from '../src/imageReview.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -12,80 +28,48 @@ const PORT = process.env.PORT || 3001;
 app.use(cors());
 app.use(express.json());
 
-// MongoDB connection
-let db = null;
-
-async function connectDB() {
-  const client = new MongoClient(process.env.MONGODB_URI);
-  await client.connect();
-  db = client.db(process.env.DB_NAME || 'football');
-  console.log('[DB] Connected to MongoDB Atlas');
-  return db;
-}
-
-// Flag emoji mapping for all 42 confirmed World Cup teams
-const flagEmojis = {
-  'Algeria': '🇩🇿',
-  'Argentina': '🇦🇷',
-  'Australia': '🇦🇺',
-  'Austria': '🇦🇹',
-  'Belgium': '🇧🇪',
-  'Brazil': '🇧🇷',
-  'Canada': '🇨🇦',
-  'Cape Verde': '🇨🇻',
-  'Colombia': '🇨🇴',
-  'Croatia': '🇭🇷',
-  'Curaçao': '🇨🇼',
-  'Ecuador': '🇪🇨',
-  'Egypt': '🇪🇬',
-  'England': '🏴󠁧󠁢󠁥󠁮󠁧󠁿',
-  'France': '🇫🇷',
-  'Germany': '🇩🇪',
-  'Ghana': '🇬🇭',
-  'Haiti': '🇭🇹',
-  'Iran': '🇮🇷',
-  'Ivory Coast': '🇨🇮',
-  'Japan': '🇯🇵',
-  'Jordan': '🇯🇴',
-  'Mexico': '🇲🇽',
-  'Morocco': '🇲🇦',
-  'Netherlands': '🇳🇱',
-  'New Zealand': '🇳🇿',
-  'Norway': '🇳🇴',
-  'Panama': '🇵🇦',
-  'Paraguay': '🇵🇾',
-  'Portugal': '🇵🇹',
-  'Qatar': '🇶🇦',
-  'Saudi Arabia': '🇸🇦',
-  'Scotland': '🏴󠁧󠁢󠁳󠁣󠁴󠁿',
-  'Senegal': '🇸🇳',
-  'South Africa': '🇿🇦',
-  'South Korea': '🇰🇷',
-  'Spain': '🇪🇸',
-  'Switzerland': '🇨🇭',
-  'Tunisia': '🇹🇳',
-  'United States': '🇺🇸',
-  'Uruguay': '🇺🇾',
-  'Uzbekistan': '🇺🇿',
-};
+// Storage (MongoDB Atlas or in-memory, see STORAGE_BACKEND)
+let storage = null;
+
+// Sticker image files (content-addressed, see IMAGE_STORE)
+let imageStore = null;
+
+// Bearer token for the admin routes (ADMIN_TOKEN); null keeps them closed
+let adminToken = null;
 
 // Position sort order
 const positionOrder = { 'GK': 1, 'DEF': 2, 'MID': 3, 'FWD': 4 };
 
+/**
+ * Sort players in album order: numbered stickers first, by number, then
+ * the rest by position (GK → DEF → MID → FWD)
+ */
+function compareAlbumOrder(a, b) {
+  const numberA = a.sticker?.number ?? null;
+  const numberB = b.sticker?.number ?? null;
+  if (numberA !== null || numberB !== null) {
+    if (numberA === null) return 1;
+    if (numberB === null) return -1;
+    return numberA - numberB;
+  }
+  const orderA = positionOrder[a.position] || 5;
+  const orderB = positionOrder[b.position] || 5;
+  return orderA - orderB;
+}
+
 // API Routes
 
 // GET /api/teams - Get all teams sorted alphabetically
 app.get('/api/teams', async (req, res) => {
   try {
-    const teams = await db.collection('teams')
-      .find({})
-      .sort({ name: 1 })
-      .toArray();
+    const teams = await storage.teams.list();
 
     const teamsWithFlags = teams.map(team => ({
       _id: team._id,
       name: team.name,
       flagEmoji: flagEmojis[team.name] || '🏳️',
+      albumCode: team.album?.code || null,
+      albumPage: team.album?.page || null,
     }));
 
     res.json(teamsWithFlags);
@@ -95,31 +79,128 @@ app.get('/api/teams', async (req, res) => {
   }
 });
 
-// GET /api/teams/:teamName/players - Get all players for a team
+/**
+ * Map each squad player id to the team whose squad lists them, so players
+ * show under the team that called them up even when their nationality name
+ * differs from the team name ("USA" vs "United States", dual nationals)
+ */
+async function loadPlayerTeams() {
+  const [teams, squads] = await Promise.all([
+    storage.teams.list(),
+    storage.squads.list(),
+  ]);
+
+  const playerTeams = new Map();
+  squads.forEach(squad => {
+    const team = teams.find(t => db.squadBelongsToTeam(squad, t));
+    if (!team) return;
+    squad.playerIds.forEach(id => playerTeams.set(id, team));
+  });
+
+  return playerTeams;
+}
+
+/**
+ * Team name to show for a player: the squad's team, else the nationality name
+ */
+function teamNameFor(player, playerTeams) {
+  return playerTeams.get(player._id)?.name || player.nationality?.name || null;
+}
+
+/**
+ * A player sticker as listed in swaps, needs and trades
+ */
+function playerSticker(player) {
+  return {
+    _id: player._id,
+    number: player.sticker?.label || null,
+    name: player.name,
+    position: player.position || null,
+  };
+}
+
+/**
+ * A team's crest sticker (album number 1, found in packs) in the same shape;
+ * its _id is the team's
+ */
+function crestSticker(team) {
+  return {
+    _id: team._id,
+    number: team.album?.code ? stickerLabel(team.album.code, BADGE_NUMBER) : null,
+    name: `${team.name} crest`,
+    position: null,
+  };
+}
+
+/**
+ * Resolve a team's players through its squad document
+ * Falls back to nationality name matching when the team has no squad yet
+ */
+async function resolveTeamPlayers(teamName) {
+  const team = await storage.teams.findByName(teamName);
+  const squad = team ? await storage.squads.findForTeam(team) : null;
+
+  if (squad && squad.playerIds.length > 0) {
+    const players = await storage.players.findByIds(squad.playerIds);
+    return { team, squad, players, source: 'squad' };
+  }
+
+  const players = await storage.players.findByNationality(teamName);
+  return { team, squad, players, source: 'nationality' };
+}
+
+/**
+ * Sticker image URLs for API responses: a thumbnail for album grids and the
+ * full image for detail views. Players without a processed sticker (e.g.
+ * Sportmonks photos) use image_path for both.
+ */
+function imageUrls(player) {
+  const full = player.image_path || null;
+  return { thumb: player.imageMeta?.thumbPath || full, full };
+}
+
+/**
+ * Vital stats for the back of the sticker
+ */
+function playerProfile(player) {
+  return {
+    dateOfBirth: player.dateOfBirth || null,
+    age: ageOn(player.dateOfBirth),
+    height: player.height ?? null,
+    weight: player.weight ?? null,
+    preferredFoot: player.preferredFoot || null,
+    caps: player.caps ?? null,
+    internationalGoals: player.internationalGoals ?? null,
+  };
+}
+
+// GET /api/teams/:teamName/players - Get the called-up squad for a team
 app.get('/api/teams/:teamName/players', async (req, res) => {
   try {
     const { teamName } = req.params;
 
-    const players = await db.collection('players')
-      .find({ 'nationality.name': teamName })
-      .toArray();
+    const { squad, players, source } = await resolveTeamPlayers(teamName);
 
-    // Sort by position: GK → DEF → MID → FWD
-    const sortedPlayers = players.sort((a, b) => {
-      const orderA = positionOrder[a.position] || 5;
-      const orderB = positionOrder[b.position] || 5;
-      return orderA - orderB;
-    });
+    if (source === 'nationality') {
+      console.warn(`[API] No squad for "${teamName}", falling back to nationality match`);
+    }
+
+    const sortedPlayers = players.sort(compareAlbumOrder);
 
     const formattedPlayers = sortedPlayers.map(player => ({
       _id: player._id,
       name: player.name,
       position: player.position,
+      detailedPosition: player.detailedPosition || null,
+      jerseyNumber: squad?.jerseyNumbers?.[player._id] ?? null,
       club: player.currentClub?.name || 'Unknown',
       clubCountry: player.currentClubCountry?.name || 'Unknown',
       image_path: player.image_path,
+      ...imageUrls(player),
+      stickerNumber: player.sticker?.label || null,
     }));
 
+    res.set('X-Squad-Source', source);
     res.json(formattedPlayers);
   } catch (error) {
     console.error('[API] Error fetching players:', error);
@@ -127,25 +208,81 @@ app.get('/api/teams/:teamName/players', async (req, res) => {
   }
 });
 
+// GET /api/teams/:teamName/squad-check - Report where the squad and nationality data disagree
+app.get('/api/teams/:teamName/squad-check', async (req, res) => {
+  try {
+    const { teamName } = req.params;
+
+    const { team, squad, players, source } = await resolveTeamPlayers(teamName);
+
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const squadIds = new Set(squad?.playerIds || []);
+    const foundIds = new Set(players.map(p => p._id));
+
+    // Players with this nationality name who were not called up (or belong to another squad)
+    const sameNationality = await storage.players.findByNationality(teamName);
+
+    const summarize = player => ({
+      _id: player._id,
+      name: player.name,
+      nationality: player.nationality?.name || null,
+    });
+
+    res.json({
+      team: { _id: team._id, name: team.name },
+      source,
+      squadId: squad?._id || null,
+      squadSize: squadIds.size,
+      mismatches: {
+        // Squad entries with no player document
+        missingPlayers: [...squadIds].filter(id => !foundIds.has(id)),
+        // Called-up players whose nationality name differs from the team name
+        nationalityDiffers: source === 'squad'
+          ? players.filter(p => p.nationality?.name !== team.name).map(summarize)
+          : [],
+        // Players with the team's nationality name who are not in the squad
+        notInSquad: source === 'squad'
+          ? sameNationality.filter(p => !squadIds.has(p._id)).map(p => ({ _id: p._id, name: p.name }))
+          : [],
+      },
+    });
+  } catch (error) {
+    console.error('[API] Error checking squad:', error);
+    res.status(500).json({ error: 'Failed to check squad' });
+  }
+});
+
 // GET /api/players/:playerId - Get single player details
 app.get('/api/players/:playerId', async (req, res) => {
   try {
     const { playerId } = req.params;
 
-    const player = await db.collection('players').findOne({ _id: playerId });
+    const player = await storage.players.findById(playerId);
 
     if (!player) {
       return res.status(404).json({ error: 'Player not found' });
     }
 
+    const squad = await storage.squads.findByPlayer(playerId);
+
     res.json({
       _id: player._id,
       name: player.name,
       position: player.position,
+      detailedPosition: player.detailedPosition || null,
+      jerseyNumber: squad?.jerseyNumbers?.[playerId] ?? null,
       club: player.currentClub?.name || 'Unknown',
       clubCountry: player.currentClubCountry?.name || 'Unknown',
       nationality: player.nationality?.name || 'Unknown',
       image_path: player.image_path,
+      ...imageUrls(player),
+      stickerNumber: player.sticker?.label || null,
+      sourceImage: player.sourceImage || null,
+      imagePrompt: player.imagePrompt || null,
+      profile: playerProfile(player),
     });
   } catch (error) {
     console.error('[API] Error fetching player:', error);
@@ -153,15 +290,873 @@ app.get('/api/players/:playerId', async (req, res) => {
   }
 });
 
+/**
+ * Compare tokens in constant time (hashing first evens out their lengths)
+ */
+function tokensMatch(given, expected) {
+  const digest = token => createHash('sha256').update(token).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Let a request through only with "Authorization: Bearer <ADMIN_TOKEN>"
+ */
+function requireAdmin(req, res, next) {
+  if (!adminToken) {
+    return res.status(503).json({ error: 'Admin API is disabled; set ADMIN_TOKEN to enable it' });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !tokensMatch(token, adminToken)) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+
+  next();
+}
+
+// PUT /api/players/:playerId/source-image - Pin the headshot a sticker is generated from (admin)
+// Body: { url } (an image or a Fox Sports player page; the player's image job is queued again to use it)
+app.put('/api/players/:playerId/source-image', requireAdmin, async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const url = req.body?.url;
+
+    if (typeof url !== 'string' || !isImageUrl(url)) {
+      return res.status(400).json({ error: 'url must be an http(s) URL' });
+    }
+
+    const player = await storage.players.findById(playerId);
+
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const sourceImage = await setSourceImageOverride(playerId, url);
+
+    res.json({ playerId, sourceImage });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[API] Error setting source image:', error);
+    res.status(500).json({ error: 'Failed to set source image' });
+  }
+});
+
+// DELETE /api/players/:playerId/source-image - Forget the headshot so it is searched for again (admin)
+app.delete('/api/players/:playerId/source-image', requireAdmin, async (req, res) => {
+  try {
+    const { playerId } = req.params;
+
+    const player = await storage.players.findById(playerId);
+
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    await clearSourceImageOverride(playerId);
+
+    res.json({ playerId, sourceImage: null });
+  } catch (error) {
+    console.error('[API] Error clearing source image:', error);
+    res.status(500).json({ error: 'Failed to clear source image' });
+  }
+});
+
+// GET /api/clubs - Club and club-country counts across all World Cup players
+// Query: ?country= to only list clubs from one club country
+app.get('/api/clubs', async (req, res) => {
+  try {
+    const { country } = req.query;
+
+    res.json(await storage.players.clubSummary({ country }));
+  } catch (error) {
+    console.error('[API] Error fetching clubs:', error);
+    res.status(500).json({ error: 'Failed to fetch clubs' });
+  }
+});
+
+// GET /api/clubs/:clubName/players - All World Cup players at a club, grouped by team
+app.get('/api/clubs/:clubName/players', async (req, res) => {
+  try {
+    const { clubName } = req.params;
+
+    const [players, playerTeams] = await Promise.all([
+      storage.players.findByClub(clubName),
+      loadPlayerTeams(),
+    ]);
+
+    if (players.length === 0) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    const sortedPlayers = players.sort((a, b) =>
+      (teamNameFor(a, playerTeams) || '').localeCompare(teamNameFor(b, playerTeams) || '') ||
+      compareAlbumOrder(a, b)
+    );
+
+    res.json(sortedPlayers.map(player => ({
+      _id: player._id,
+      name: player.name,
+      position: player.position,
+      club: player.currentClub?.name || 'Unknown',
+      clubCountry: player.currentClubCountry?.name || 'Unknown',
+      teamName: teamNameFor(player, playerTeams),
+      flagEmoji: flagEmojis[teamNameFor(player, playerTeams)] || '🏳️',
+      image_path: player.image_path,
+      ...imageUrls(player),
+      stickerNumber: player.sticker?.label || null,
+    })));
+  } catch (error) {
+    console.error('[API] Error fetching club players:', error);
+    res.status(500).json({ error: 'Failed to fetch club players' });
+  }
+});
+
+// GET /api/search?q= - Search players (by name or club) and teams
+// Matching is accent-insensitive and partial words match as prefixes
+app.get('/api/search', async (req, res) => {
+  try {
+    // ?q=a&q=b parses to an array
+    if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+      return res.status(400).json({ error: 'Query must be a single string' });
+    }
+
+    const q = (req.query.q || '').trim();
+
+    if (q.length < 2) {
+      return res.status(400).json({ error: 'Query must be at least 2 characters' });
+    }
+
+    const limit = 20;
+    const [teams, players] = await Promise.all([
+      storage.teams.search(q, limit),
+      storage.players.search(q, limit),
+    ]);
+
+    const playerTeams = await loadPlayerTeams();
+
+    res.json({
+      teams: teams.map(team => ({
+        _id: team._id,
+        name: team.name,
+        flagEmoji: flagEmojis[team.name] || '🏳️',
+        albumCode: team.album?.code || null,
+        albumPage: team.album?.page || null,
+      })),
+      players: players.map(player => ({
+        _id: player._id,
+        name: player.name,
+        position: player.position,
+        club: player.currentClub?.name || 'Unknown',
+        clubCountry: player.currentClubCountry?.name || 'Unknown',
+        teamName: teamNameFor(player, playerTeams),
+        image_path: player.image_path,
+        ...imageUrls(player),
+        stickerNumber: player.sticker?.label || null,
+      })),
+    });
+  } catch (error) {
+    console.error('[API] Error searching:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Collector ids are client-generated, so keep them to a safe charset
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// GET /api/collections/:userId - Get the stickers a user has and how many copies
+app.get('/api/collections/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!USER_ID_PATTERN.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    const entries = await storage.collections.listForUser(userId);
+
+    const counts = {};
+    entries.forEach(entry => {
+      counts[entry.playerId] = entry.count;
+    });
+
+    res.json({
+      userId,
+      playerIds: entries.map(entry => entry.playerId),
+      counts,
+    });
+  } catch (error) {
+    console.error('[API] Error fetching collection:', error);
+    res.status(500).json({ error: 'Failed to fetch collection' });
+  }
+});
+
+// PUT /api/collections/:userId/stickers/:playerId - Set how many copies of a sticker a user holds
+// Body: { count } (defaults to 1; 0 marks the sticker as needed again)
+app.put('/api/collections/:userId/stickers/:playerId', async (req, res) => {
+  try {
+    const { userId, playerId } = req.params;
+    const count = req.body?.count ?? 1;
+
+    if (!USER_ID_PATTERN.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    if (!Number.isInteger(count) || count < 0) {
+      return res.status(400).json({ error: 'Count must be a non-negative integer' });
+    }
+
+    const player = await storage.players.findById(playerId);
+
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    await storage.collections.setCount(userId, playerId, count);
+
+    res.json({ userId, playerId, count, collected: count > 0 });
+  } catch (error) {
+    console.error('[API] Error collecting sticker:', error);
+    res.status(500).json({ error: 'Failed to collect sticker' });
+  }
+});
+
+// DELETE /api/collections/:userId/stickers/:playerId - Mark a sticker as needed again
+app.delete('/api/collections/:userId/stickers/:playerId', async (req, res) => {
+  try {
+    const { userId, playerId } = req.params;
+
+    if (!USER_ID_PATTERN.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    await storage.collections.remove(userId, playerId);
+
+    res.json({ userId, playerId, count: 0, collected: false });
+  } catch (error) {
+    console.error('[API] Error removing sticker:', error);
+    res.status(500).json({ error: 'Failed to remove sticker' });
+  }
+});
+
+// GET /api/collections/:userId/swaps - List swaps (count > 1) and needs (count 0) grouped by team
+// Each team's crest comes first, then its players in album order
+// Query: ?format=csv returns a downloadable list to take to a swap meet
+app.get('/api/collections/:userId/swaps', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!USER_ID_PATTERN.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    const [teams, players, entries, playerTeams] = await Promise.all([
+      storage.teams.list(),
+      storage.players.list(),
+      storage.collections.listForUser(userId),
+      loadPlayerTeams(),
+    ]);
+
+    const counts = new Map(entries.map(entry => [entry.playerId, entry.count]));
+
+    const groups = teams.map(team => {
+      const teamPlayers = players
+        .filter(player => teamNameFor(player, playerTeams) === team.name)
+        .sort(compareAlbumOrder);
+
+      const swaps = [];
+      const needs = [];
+
+      [crestSticker(team), ...teamPlayers.map(playerSticker)].forEach(sticker => {
+        const count = counts.get(sticker._id) || 0;
+
+        if (count > 1) {
+          swaps.push({ ...sticker, count, spare: count - 1 });
+        } else if (count === 0) {
+          needs.push(sticker);
+        }
+      });
+
+      return {
+        team: { _id: team._id, name: team.name, flagEmoji: flagEmojis[team.name] || '🏳️' },
+        swaps,
+        needs,
+      };
+    }).filter(group => group.swaps.length > 0 || group.needs.length > 0);
+
+    if (req.query.format === 'csv') {
+      const lines = [formatCSVRecord(['type', 'number', 'team', 'player', 'position', 'spare'])];
+      groups.forEach(group => {
+        group.swaps.forEach(s => {
+          lines.push(formatCSVRecord(['swap', s.number, group.team.name, s.name, s.position, s.spare]));
+        });
+        group.needs.forEach(n => {
+          lines.push(formatCSVRecord(['need', n.number, group.team.name, n.name, n.position, null]));
+        });
+      });
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="swaps-${userId}.csv"`);
+      return res.send(lines.join('\n') + '\n');
+    }
+
+    res.json({ userId, teams: groups });
+  } catch (error) {
+    console.error('[API] Error fetching swaps:', error);
+    res.status(500).json({ error: 'Failed to fetch swaps' });
+  }
+});
+
+// Trade statuses: pending until the recipient accepts/rejects or the proposer cancels
+const TRADE_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Validate a list of sticker ids from a request body (unique, non-empty strings)
+ */
+function isStickerList(list) {
+  return Array.isArray(list) &&
+    list.every(id => typeof id === 'string' && id.length > 0) &&
+    new Set(list).size === list.length;
+}
+
+/**
+ * Check that a user holds a spare copy (count > 1) of every listed sticker
+ * Returns the ids that are not spare
+ */
+async function findMissingSwaps(userId, playerIds) {
+  const entries = await storage.collections.findSpares({ userId, playerIds });
+  const spare = new Set(entries.map(e => e.playerId));
+  return playerIds.filter(id => !spare.has(id));
+}
+
+/**
+ * Move one copy of each sticker from one collection to another
+ * Must run inside a transaction; throws 409 if a spare copy has gone
+ */
+async function transferStickers(fromUserId, toUserId, playerIds, tx) {
+  for (const playerId of playerIds) {
+    const taken = await storage.collections.takeSpareCopy(fromUserId, playerId, tx);
+
+    if (!taken) {
+      throw httpError(409, `Sticker ${playerId} is no longer a swap for ${fromUserId}`);
+    }
+
+    await storage.collections.addCopy(toUserId, playerId, {}, tx);
+  }
+}
+
+/**
+ * Attach player (or crest) names to sticker ids for display
+ */
+async function describeStickers(stickerIds) {
+  const [players, teams] = await Promise.all([
+    storage.players.findByIds(stickerIds),
+    storage.teams.list(),
+  ]);
+  const byId = new Map([
+    ...teams.map(team => [team._id, crestSticker(team)]),
+    ...players.map(player => [player._id, playerSticker(player)]),
+  ]);
+
+  return stickerIds.map(id => byId.get(id) || { _id: id, number: null, name: 'Unknown', position: null });
+}
+
+// POST /api/trades - Propose a trade of duplicates between two collectors
+// Body: { fromUserId, toUserId, give: [playerId], receive: [playerId] }
+app.post('/api/trades', async (req, res) => {
+  try {
+    const { fromUserId, toUserId, give, receive } = req.body || {};
+
+    if (!USER_ID_PATTERN.test(fromUserId || '') || !USER_ID_PATTERN.test(toUserId || '')) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    if (fromUserId === toUserId) {
+      return res.status(400).json({ error: 'Cannot trade with yourself' });
+    }
+
+    if (!isStickerList(give) || !isStickerList(receive) || give.length + receive.length === 0) {
+      return res.status(400).json({ error: 'give and receive must be lists of unique sticker ids' });
+    }
+
+    const [missingGive, missingReceive] = await Promise.all([
+      findMissingSwaps(fromUserId, give),
+      findMissingSwaps(toUserId, receive),
+    ]);
+
+    if (missingGive.length > 0 || missingReceive.length > 0) {
+      return res.status(409).json({
+        error: 'Trades can only include duplicate stickers',
+        missingGive,
+        missingReceive,
+      });
+    }
+
+    const trade = {
+      _id: `trade:${randomUUID()}`,
+      fromUserId,
+      toUserId,
+      give,
+      receive,
+      status: TRADE_STATUS.PENDING,
+      createdAt: new Date(),
+      respondedAt: null,
+    };
+
+    await storage.trades.insert(trade);
+
+    res.status(201).json(trade);
+  } catch (error) {
+    console.error('[API] Error proposing trade:', error);
+    res.status(500).json({ error: 'Failed to propose trade' });
+  }
+});
+
+// POST /api/trades/:tradeId/accept - Recipient accepts; stickers move atomically
+// Body: { userId }
+app.post('/api/trades/:tradeId/accept', async (req, res) => {
+  try {
+    const { tradeId } = req.params;
+    const { userId } = req.body || {};
+
+    const accepted = await storage.withTransaction(async (tx) => {
+      const trade = await storage.trades.findById(tradeId, tx);
+
+      if (!trade) {
+        throw httpError(404, 'Trade not found');
+      }
+      if (trade.toUserId !== userId) {
+        throw httpError(403, 'Only the recipient can accept this trade');
+      }
+      if (trade.status !== TRADE_STATUS.PENDING) {
+        throw httpError(409, `Trade is already ${trade.status}`);
+      }
+
+      await transferStickers(trade.fromUserId, trade.toUserId, trade.give, tx);
+      await transferStickers(trade.toUserId, trade.fromUserId, trade.receive, tx);
+
+      const respondedAt = new Date();
+      await storage.trades.updateStatus(
+        tradeId,
+        TRADE_STATUS.PENDING,
+        { status: TRADE_STATUS.ACCEPTED, respondedAt },
+        tx
+      );
+
+      return { ...trade, status: TRADE_STATUS.ACCEPTED, respondedAt };
+    });
+
+    res.json(accepted);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[API] Error accepting trade:', error);
+    res.status(500).json({ error: 'Failed to accept trade' });
+  }
+});
+
+// POST /api/trades/:tradeId/reject - Recipient rejects (or proposer cancels) a pending trade
+// Body: { userId }
+app.post('/api/trades/:tradeId/reject', async (req, res) => {
+  try {
+    const { tradeId } = req.params;
+    const { userId } = req.body || {};
+
+    const trade = await storage.trades.findById(tradeId);
+
+    if (!trade) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
+    let status;
+    if (trade.toUserId === userId) {
+      status = TRADE_STATUS.REJECTED;
+    } else if (trade.fromUserId === userId) {
+      status = TRADE_STATUS.CANCELLED;
+    } else {
+      return res.status(403).json({ error: 'Only the collectors in this trade can reject it' });
+    }
+
+    const respondedAt = new Date();
+    const updated = await storage.trades.updateStatus(tradeId, TRADE_STATUS.PENDING, { status, respondedAt });
+
+    if (!updated) {
+      return res.status(409).json({ error: `Trade is already ${trade.status}` });
+    }
+
+    res.json({ ...trade, status, respondedAt });
+  } catch (error) {
+    console.error('[API] Error rejecting trade:', error);
+    res.status(500).json({ error: 'Failed to reject trade' });
+  }
+});
+
+// GET /api/collections/:userId/trades - Trade history (proposed and received), newest first
+// Query: ?status=pending to filter
+app.get('/api/collections/:userId/trades', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { status } = req.query;
+
+    if (!USER_ID_PATTERN.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    const trades = await storage.trades.listForUser(userId, { status });
+
+    const stickerIds = [...new Set(trades.flatMap(t => [...t.give, ...t.receive]))];
+    const stickers = new Map((await describeStickers(stickerIds)).map(s => [s._id, s]));
+
+    res.json(trades.map(trade => ({
+      ...trade,
+      direction: trade.fromUserId === userId ? 'outgoing' : 'incoming',
+      give: trade.give.map(id => stickers.get(id)),
+      receive: trade.receive.map(id => stickers.get(id)),
+    })));
+  } catch (error) {
+    console.error('[API] Error fetching trades:', error);
+    res.status(500).json({ error: 'Failed to fetch trades' });
+  }
+});
+
+// GET /api/collections/:userId/suggested-trades - Match my needs against other users' swaps
+// Query: ?with=otherUserId to only consider one collector
+app.get('/api/collections/:userId/suggested-trades', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const otherUserId = req.query.with;
+
+    if (!USER_ID_PATTERN.test(userId) || (otherUserId && !USER_ID_PATTERN.test(otherUserId))) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    const [players, teams, mine] = await Promise.all([
+      storage.players.list(),
+      storage.teams.list(),
+      storage.collections.listForUser(userId),
+    ]);
+
+    const owned = new Set(mine.map(e => e.playerId));
+    const mySwaps = new Set(mine.filter(e => e.count > 1).map(e => e.playerId));
+    // Crests from packs are needed and swapped like player stickers
+    const myNeeds = [...teams, ...players].map(s => s._id).filter(id => !owned.has(id));
+
+    // Other collectors' spare copies of stickers I still need
+    const theirSwaps = await storage.collections.findSpares(
+      otherUserId
+        ? { userId: otherUserId, playerIds: myNeeds }
+        : { excludeUserId: userId, playerIds: myNeeds }
+    );
+
+    const candidates = new Map();
+    theirSwaps.forEach(entry => {
+      if (!candidates.has(entry.userId)) {
+        candidates.set(entry.userId, []);
+      }
+      candidates.get(entry.userId).push(entry.playerId);
+    });
+
+    const suggestions = [];
+    for (const [candidateId, receive] of candidates) {
+      const theirs = await storage.collections.listForUser(candidateId, { playerIds: [...mySwaps] });
+      const theyHave = new Set(theirs.map(e => e.playerId));
+      const give = [...mySwaps].filter(id => !theyHave.has(id));
+
+      if (give.length === 0) continue;
+
+      // A one-for-one swap is the most either side can fully use
+      const size = Math.min(give.length, receive.length);
+      suggestions.push({
+        userId: candidateId,
+        give: await describeStickers(give.slice(0, size)),
+        receive: await describeStickers(receive.slice(0, size)),
+        size,
+      });
+    }
+
+    suggestions.sort((a, b) => b.size - a.size);
+
+    res.json(suggestions.slice(0, 20));
+  } catch (error) {
+    console.error('[API] Error suggesting trades:', error);
+    res.status(500).json({ error: 'Failed to suggest trades' });
+  }
+});
+
+// Pack size and odds (PACK_SIZE, PACK_CREST_ODDS, PACK_SHINY_ODDS), set by init()
+let packConfig = PACK_DEFAULTS;
+
+// POST /api/packs/open - Open a pack and add its stickers to the user's collection
+// Body: { userId, seed? } (seed makes the draw reproducible)
+app.post('/api/packs/open', async (req, res) => {
+  try {
+    const { userId, seed } = req.body || {};
+
+    if (!USER_ID_PATTERN.test(userId || '')) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+
+    if (seed !== undefined && typeof seed !== 'string' && typeof seed !== 'number') {
+      return res.status(400).json({ error: 'seed must be a string or a number' });
+    }
+
+    const [players, teams, playerTeams] = await Promise.all([
+      storage.players.list(),
+      storage.teams.list(),
+      loadPlayerTeams(),
+    ]);
+
+    if (players.length === 0) {
+      return res.status(404).json({ error: 'No stickers available' });
+    }
+
+    const packSeed = seed !== undefined ? String(seed) : randomUUID();
+    const draws = drawPack({ players, crests: teams }, { ...packConfig, seed: packSeed });
+
+    // All copies and the pack record land together, or none do
+    const stickers = await storage.withTransaction(async (tx) => {
+      const opened = [];
+      for (const draw of draws) {
+        const { sticker, type, shiny } = draw;
+        const teamName = type === 'player' ? teamNameFor(sticker, playerTeams) : sticker.name;
+        const count = await storage.collections.addCopy(userId, sticker._id, { shiny }, tx);
+
+        opened.push({
+          _id: sticker._id,
+          type,
+          shiny,
+          number: type === 'player' ? sticker.sticker?.label || null : crestSticker(sticker).number,
+          name: sticker.name,
+          position: type === 'player' ? sticker.position : null,
+          teamName,
+          flagEmoji: flagEmojis[teamName] || '🏳️',
+          image_path: sticker.image_path,
+          ...imageUrls(sticker),
+          count,
+          isNew: count === 1,
+        });
+      }
+
+      await storage.packs.insert({
+        _id: `pack:${randomUUID()}`,
+        userId,
+        seed: packSeed,
+        stickerIds: opened.map(s => s._id),
+        openedAt: new Date(),
+      }, tx);
+
+      return opened;
+    });
+
+    res.status(201).json({ seed: packSeed, stickers });
+  } catch (error) {
+    console.error('[API] Error opening pack:', error);
+    res.status(500).json({ error: 'Failed to open pack' });
+  }
+});
+
+/**
+ * Attach player details to sticker image versions for the review page
+ */
+async function describeImages(images) {
+  const players = await storage.players.findByIds([...new Set(images.map(image => image.playerId))]);
+  const byId = new Map(players.map(p => [p._id, p]));
+
+  return images.map(image => {
+    const player = byId.get(image.playerId);
+    return {
+      ...image,
+      playerName: player?.name || 'Unknown',
+      teamName: player?.nationality?.name || null,
+      liveImagePath: player?.image_path || null,
+    };
+  });
+}
+
+/**
+ * Send a review action's result, mapping review errors to their HTTP status
+ */
+async function sendReviewResult(res, action, description) {
+  try {
+    res.json(await action());
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`[API] Error ${description}:`, error);
+    res.status(500).json({ error: `Failed ${description}` });
+  }
+}
+
+// Sticker review and ingest history are for admins only
+app.use('/api/admin', requireAdmin);
+
+// GET /api/admin/images - Generated sticker versions, oldest first
+// Query: ?status= (default pending-review)
+app.get('/api/admin/images', async (req, res) => {
+  try {
+    const status = req.query.status || REVIEW_STATUS.PENDING;
+
+    if (!Object.values(REVIEW_STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${Object.values(REVIEW_STATUS).join(', ')}` });
+    }
+
+    const images = await storage.stickerImages.listByStatus([status]);
+    res.json(await describeImages(images));
+  } catch (error) {
+    console.error('[API] Error fetching images for review:', error);
+    res.status(500).json({ error: 'Failed to fetch images' });
+  }
+});
+
+// GET /api/admin/players/:playerId/images - Every sticker version of a player, newest first
+app.get('/api/admin/players/:playerId/images', async (req, res) => {
+  try {
+    const images = await storage.stickerImages.listByPlayer(req.params.playerId);
+    res.json(await describeImages(images));
+  } catch (error) {
+    console.error('[API] Error fetching image versions:', error);
+    res.status(500).json({ error: 'Failed to fetch image versions' });
+  }
+});
+
+// POST /api/admin/images/:imageId/approve - Make a version the live sticker
+// Body: { note } (optional)
+app.post('/api/admin/images/:imageId/approve', (req, res) =>
+  sendReviewResult(res, () => approveImage(req.params.imageId, { note: req.body?.note || null }), 'approving image')
+);
+
+// POST /api/admin/images/:imageId/reject - Turn down a pending version
+// Body: { note } (optional)
+app.post('/api/admin/images/:imageId/reject', (req, res) =>
+  sendReviewResult(res, () => rejectImage(req.params.imageId, { note: req.body?.note || null }), 'rejecting image')
+);
+
+// POST /api/admin/images/:imageId/regenerate - Reject and queue a new version
+// Body: { promptTweak } (optional extra prompt instructions)
+app.post('/api/admin/images/:imageId/regenerate', (req, res) => {
+  const promptTweak = req.body?.promptTweak;
+
+  if (promptTweak != null && (typeof promptTweak !== 'string' || promptTweak.length > 500)) {
+    return res.status(400).json({ error: 'promptTweak must be a string of at most 500 characters' });
+  }
+
+  sendReviewResult(res, () => requestRegeneration(req.params.imageId, { promptTweak: promptTweak?.trim() }), 'requesting regeneration');
+});
+
+// POST /api/admin/players/:playerId/rollback - Bring back the previously approved version
+app.post('/api/admin/players/:playerId/rollback', (req, res) =>
+  sendReviewResult(res, () => rollbackImage(req.params.playerId), 'rolling back image')
+);
+
+const INGEST_RUNS_LIMIT = 20;
+
+// GET /api/admin/ingest-runs - Recent ingest runs with their diff summaries, newest first
+app.get('/api/admin/ingest-runs', async (req, res) => {
+  try {
+    res.json(await storage.ingestRuns.list(INGEST_RUNS_LIMIT));
+  } catch (error) {
+    console.error('[API] Error fetching ingest runs:', error);
+    res.status(500).json({ error: 'Failed to fetch ingest runs' });
+  }
+});
+
+// GET /api/admin/ingest-runs/:runId - A single ingest run
+app.get('/api/admin/ingest-runs/:runId', async (req, res) => {
+  try {
+    const run = await storage.ingestRuns.findById(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Ingest run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('[API] Error fetching ingest run:', error);
+    res.status(500).json({ error: 'Failed to fetch ingest run' });
+  }
+});
+
+// GET /api/export - Teams, squads and players in the importers' shape
+// Query: ?format=csv for CSV instead of JSON; both download as album.<format>
+app.get('/api/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="album.${format}"`);
+    res.send(await exportAlbum(format));
+  } catch (error) {
+    console.error('[API] Error exporting album:', error);
+    res.status(500).json({ error: 'Failed to export album' });
+  }
+});
+
+// Stored images never change (the key is their content hash), so browsers
+// and CDNs may cache them for a year without revalidating
+const IMAGE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// GET /api/images/:key - Serve a sticker image from the image store
+app.get('/api/images/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!isImageKey(key)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const image = await imageStore.get(key);
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Cache-Control': IMAGE_CACHE_CONTROL,
+      ETag: `"${key.split('.')[0]}"`,
+    });
+    res.send(image.data);
+  } catch (error) {
+    console.error('[API] Error serving image:', error);
+    res.status(500).json({ error: 'Failed to load image' });
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/**
+ * Connect storage for the routes above
+ * Separate from start() so tests can run the app against in-memory storage
+ */
+export async function init(config = loadServerConfig()) {
+  storage = await db.connect(config);
+  imageStore = createImageStore(config);
+  adminToken = config.ADMIN_TOKEN || null;
+  packConfig = {
+    size: config.PACK_SIZE ?? PACK_DEFAULTS.size,
+    crestOdds: config.PACK_CREST_ODDS ?? PACK_DEFAULTS.crestOdds,
+    shinyOdds: config.PACK_SHINY_ODDS ?? PACK_DEFAULTS.shinyOdds,
+  };
+  return app;
+}
+
 // Start server
 async function start() {
   try {
-    await connectDB();
+    await init();
     app.listen(PORT, () => {
       console.log(`[SERVER] Running on http://localhost:${PORT}`);
     });
@@ -171,4 +1166,9 @@ async function start() {
   }
 }
 
-start();
+// Run when invoked directly (not when imported by tests)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  start();
+}
+
+export { app };
@@ -0,0 +1,119 @@
+/**
+ * Album Export
+ *
+ * Dumps teams, their squads and players in the shape the squad importers
+ * read back (see importers/), so an album can be snapshotted, diffed in git,
+ * moved between environments and restored with `npm run ingest-csv`. Every
+ * row keeps its document ids and provider keys, squad number and sticker
+ * number, so a restore updates the same teams, players and squads (Sportmonks
+ * ones included) instead of creating CSV copies.
+ *
+ * JSON: { "Argentina": { team_id, ..., squad_id, players: [{ name, ... }] } }
+ * CSV:  one row per player with the team columns repeated
+ */
+
+import * as db from './db.js';
+import { formatCSVRecord } from './importers/csvImporter.js';
+
+export const EXPORT_FORMATS = ['json', 'csv'];
+
+// Team-level columns, named as the importers' canonical columns
+export const TEAM_COLUMNS = ['team_id', 'team_provider', 'team_provider_id', 'team_code', 'team_page', 'squad_id'];
+
+// Player columns in export order
+export const PLAYER_COLUMNS = [
+  'name', 'position', 'detailed_position', 'jersey_number', 'club', 'club_country', 'image',
+  'date_of_birth', 'height', 'weight', 'preferred_foot', 'caps', 'goals',
+  'sticker_number', 'player_id', 'provider', 'provider_id',
+];
+
+export const EXPORT_COLUMNS = ['team', ...PLAYER_COLUMNS, ...TEAM_COLUMNS];
+
+/**
+ * A player document as an importer row (without the team columns)
+ */
+function playerRow(player, squad) {
+  return {
+    name: player.name,
+    position: player.position || null,
+    detailed_position: player.detailedPosition || null,
+    jersey_number: squad.jerseyNumbers?.[player._id] ?? null,
+    club: player.currentClub?.name || null,
+    club_country: player.currentClubCountry?.name || null,
+    image: player.image_path || null,
+    date_of_birth: player.dateOfBirth || null,
+    height: player.height ?? null,
+    weight: player.weight ?? null,
+    preferred_foot: player.preferredFoot || null,
+    caps: player.caps ?? null,
+    goals: player.internationalGoals ?? null,
+    sticker_number: player.sticker?.number ?? null,
+    player_id: player._id,
+    provider: player.provider || null,
+    provider_id: player.providerId ?? null,
+  };
+}
+
+/**
+ * Every team's squad, in squad order, keyed by team name
+ * Teams without a squad (or with an empty one) are left out
+ */
+export async function buildAlbumExport() {
+  const storage = db.getStorage();
+  const album = {};
+
+  for (const team of await storage.teams.list()) {
+    const squad = await storage.squads.findForTeam(team);
+    if (!squad || squad.playerIds.length === 0) continue;
+
+    const players = new Map((await storage.players.findByIds(squad.playerIds)).map(p => [p._id, p]));
+    album[team.name] = {
+      team_id: team._id,
+      team_provider: team.provider || null,
+      team_provider_id: team.providerId ?? null,
+      team_code: team.album?.code || null,
+      team_page: team.album?.page ?? null,
+      squad_id: squad._id,
+      players: squad.playerIds
+        .filter(id => players.has(id))
+        .map(id => playerRow(players.get(id), squad)),
+    };
+  }
+
+  return album;
+}
+
+/**
+ * The album as CSV with a header row
+ */
+export function formatAlbumCSV(album) {
+  const lines = [formatCSVRecord(EXPORT_COLUMNS)];
+
+  for (const [team, { players, ...teamFields }] of Object.entries(album)) {
+    for (const player of players) {
+      const row = { team, ...player, ...teamFields };
+      lines.push(formatCSVRecord(EXPORT_COLUMNS.map(column => row[column])));
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * The album as JSON, indented so snapshots diff cleanly
+ */
+export function formatAlbumJSON(album) {
+  return JSON.stringify(album, null, 2) + '\n';
+}
+
+/**
+ * Build the export and format it ('json' or 'csv')
+ */
+export async function exportAlbum(format = 'json') {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(' or ')})`);
+  }
+
+  const album = await buildAlbumExport();
+  return format === 'csv' ? formatAlbumCSV(album) : formatAlbumJSON(album);
+}
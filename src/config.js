@@ -1,36 +1,219 @@
 import dotenv from 'dotenv';
+import { STORAGE_BACKENDS } from './storage/index.js';
+import { IMAGE_PROVIDERS } from './rendering/index.js';
+import { HEADSHOT_SOURCES } from './headshots/index.js';
+import { DEFAULT_IMAGE_STORE_DIR, IMAGE_STORES } from './imageStore/index.js';
+import { PACK_DEFAULTS } from './packs.js';
 
 dotenv.config();
 
 // Constants
 const DEFAULTS = {
   DB_NAME: 'football',
+  STORAGE_BACKEND: 'mongodb',
+  IMAGE_STORE: 'local',
+  IMAGE_STORE_DIR: DEFAULT_IMAGE_STORE_DIR,
+  IMAGE_PROVIDER: 'fireworks',
+  SPORTMONKS_BASE_URL: 'https://api.sportmonks.com/v3/football',
+  SPORTMONKS_MODE: 'live',
+  SPORTMONKS_FIXTURES_DIR: 'fixtures/sportmonks',
   REQUEST_DELAY_MS: 350,
   REQUEST_TIMEOUT_MS: 30000,
   MAX_RETRIES: 4,
+  RETRY_BASE_MS: 1000,
   MAX_PLAYERS_PER_SQUAD: 24,
 };
 
 /**
- * Load and validate environment configuration.
- * Exits with helpful error messages if required vars are missing.
+ * Read storage settings, pushing any problems onto errors
  */
-export function loadConfig() {
-  const errors = [];
+function readStorageConfig(errors) {
+  const STORAGE_BACKEND = process.env.STORAGE_BACKEND?.trim() || DEFAULTS.STORAGE_BACKEND;
+  const MONGODB_URI = process.env.MONGODB_URI?.trim();
+  const DB_NAME = process.env.DB_NAME?.trim() || DEFAULTS.DB_NAME;
+  const STORAGE_FILE = process.env.STORAGE_FILE?.trim() || null;
+  const IMAGE_STORE = process.env.IMAGE_STORE?.trim() || DEFAULTS.IMAGE_STORE;
+  const IMAGE_STORE_DIR = process.env.IMAGE_STORE_DIR?.trim() || DEFAULTS.IMAGE_STORE_DIR;
+
+  if (!STORAGE_BACKENDS.includes(STORAGE_BACKEND)) {
+    errors.push(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  if (!IMAGE_STORES.includes(IMAGE_STORE)) {
+    errors.push(`IMAGE_STORE must be one of: ${IMAGE_STORES.join(', ')}`);
+  }
+
+  // Only the MongoDB backend needs a connection string
+  if (STORAGE_BACKEND === 'mongodb' && !MONGODB_URI) {
+    errors.push('MONGODB_URI is required. Get your connection string from MongoDB Atlas.');
+  }
 
-  // Required env vars
+  return { STORAGE_BACKEND, MONGODB_URI, DB_NAME, STORAGE_FILE, IMAGE_STORE, IMAGE_STORE_DIR };
+}
+
+// live calls the API, record also saves responses as fixtures, replay only reads fixtures
+const SPORTMONKS_MODES = ['live', 'record', 'replay'];
+
+/**
+ * Read Sportmonks client settings, pushing any problems onto errors
+ */
+function readSportmonksConfig(errors) {
   const SPORTMONKS_API_KEY = process.env.SPORTMONKS_API_KEY?.trim();
-  const MONGODB_URI = process.env.MONGODB_URI?.trim();
-  const TEAM_IDS_RAW = process.env.TEAM_IDS?.trim();
+  const SPORTMONKS_BASE_URL = process.env.SPORTMONKS_BASE_URL?.trim() || DEFAULTS.SPORTMONKS_BASE_URL;
+  const SPORTMONKS_MODE = process.env.SPORTMONKS_MODE?.trim() || DEFAULTS.SPORTMONKS_MODE;
+  const SPORTMONKS_FIXTURES_DIR = process.env.SPORTMONKS_FIXTURES_DIR?.trim() || DEFAULTS.SPORTMONKS_FIXTURES_DIR;
+
+  if (!SPORTMONKS_MODES.includes(SPORTMONKS_MODE)) {
+    errors.push(`SPORTMONKS_MODE must be one of: ${SPORTMONKS_MODES.join(', ')}`);
+  }
 
-  if (!SPORTMONKS_API_KEY) {
+  // Replaying fixtures never touches the API, so no key is needed
+  if (!SPORTMONKS_API_KEY && SPORTMONKS_MODE !== 'replay') {
     errors.push('SPORTMONKS_API_KEY is required. Get your API key from https://sportmonks.com');
   }
 
-  if (!MONGODB_URI) {
-    errors.push('MONGODB_URI is required. Get your connection string from MongoDB Atlas.');
+  try {
+    new URL(SPORTMONKS_BASE_URL);
+  } catch {
+    errors.push(`SPORTMONKS_BASE_URL is not a valid URL: "${SPORTMONKS_BASE_URL}"`);
   }
 
+  return { SPORTMONKS_API_KEY, SPORTMONKS_BASE_URL, SPORTMONKS_MODE, SPORTMONKS_FIXTURES_DIR };
+}
+
+/**
+ * Read sticker image provider settings, pushing any problems onto errors
+ */
+function readImageConfig(errors) {
+  const IMAGE_PROVIDER = process.env.IMAGE_PROVIDER?.trim() || DEFAULTS.IMAGE_PROVIDER;
+  const FIREWORKS_API_KEY = process.env.FIREWORKS_API_KEY?.trim();
+
+  if (!IMAGE_PROVIDERS.includes(IMAGE_PROVIDER)) {
+    errors.push(`IMAGE_PROVIDER must be one of: ${IMAGE_PROVIDERS.join(', ')}`);
+  }
+
+  // The local placeholder renderer works offline
+  if (IMAGE_PROVIDER === 'fireworks' && !FIREWORKS_API_KEY) {
+    errors.push('FIREWORKS_API_KEY is required for IMAGE_PROVIDER=fireworks. Use IMAGE_PROVIDER=local to render placeholders offline.');
+  }
+
+  // Headshot sources to try, in order
+  const headshotSources = process.env.HEADSHOT_SOURCES?.trim()
+    ? process.env.HEADSHOT_SOURCES.split(',').map(name => name.trim()).filter(Boolean)
+    : HEADSHOT_SOURCES;
+
+  headshotSources
+    .filter(name => !HEADSHOT_SOURCES.includes(name))
+    .forEach(name => errors.push(`Unknown headshot source "${name}" in HEADSHOT_SOURCES (available: ${HEADSHOT_SOURCES.join(', ')})`));
+
+  return { IMAGE_PROVIDER, FIREWORKS_API_KEY, HEADSHOT_SOURCES: headshotSources };
+}
+
+/**
+ * Read pack opening settings, pushing any problems onto errors
+ * Odds are probabilities per sticker slot, so they must lie in [0, 1]
+ */
+function readPackConfig(errors) {
+  const read = (name, fallback) => {
+    const raw = process.env[name]?.trim();
+    return raw ? Number(raw) : fallback;
+  };
+
+  const PACK_SIZE = read('PACK_SIZE', PACK_DEFAULTS.size);
+  const PACK_CREST_ODDS = read('PACK_CREST_ODDS', PACK_DEFAULTS.crestOdds);
+  const PACK_SHINY_ODDS = read('PACK_SHINY_ODDS', PACK_DEFAULTS.shinyOdds);
+
+  if (!Number.isInteger(PACK_SIZE) || PACK_SIZE < 1) {
+    errors.push(`PACK_SIZE must be a whole number of at least 1, got "${process.env.PACK_SIZE}"`);
+  }
+
+  for (const [name, odds] of [['PACK_CREST_ODDS', PACK_CREST_ODDS], ['PACK_SHINY_ODDS', PACK_SHINY_ODDS]]) {
+    if (!Number.isFinite(odds) || odds < 0 || odds > 1) {
+      errors.push(`${name} must be a number between 0 and 1, got "${process.env[name]}"`);
+    }
+  }
+
+  return { PACK_SIZE, PACK_CREST_ODDS, PACK_SHINY_ODDS };
+}
+
+/**
+ * Read admin API settings
+ * Without ADMIN_TOKEN the admin routes stay closed, so it is not required
+ */
+function readAdminConfig() {
+  return { ADMIN_TOKEN: process.env.ADMIN_TOKEN?.trim() || null };
+}
+
+/**
+ * Print config errors and exit
+ */
+function exitWithErrors(errors) {
+  console.error('\n[CONFIG ERROR] Missing or invalid environment variables:\n');
+  errors.forEach(err => console.error(`  - ${err}`));
+  console.error('\nPlease check your .env file and try again.\n');
+  process.exit(1);
+}
+
+/**
+ * Load and validate storage configuration only.
+ * For commands that don't call Sportmonks (server, CSV ingest, numbering).
+ */
+export function loadStorageConfig() {
+  const errors = [];
+  const storageConfig = readStorageConfig(errors);
+
+  if (errors.length > 0) {
+    exitWithErrors(errors);
+  }
+
+  return { ...DEFAULTS, ...storageConfig };
+}
+
+/**
+ * Load and validate the API server's configuration: storage, packs and the
+ * admin token.
+ */
+export function loadServerConfig() {
+  const errors = [];
+  const storageConfig = readStorageConfig(errors);
+  const packConfig = readPackConfig(errors);
+  const adminConfig = readAdminConfig();
+
+  if (errors.length > 0) {
+    exitWithErrors(errors);
+  }
+
+  return { ...DEFAULTS, ...storageConfig, ...packConfig, ...adminConfig };
+}
+
+/**
+ * Load and validate image generation configuration.
+ * With storage settings too when the script reads or updates players.
+ */
+export function loadImageConfig({ storage = false } = {}) {
+  const errors = [];
+  const imageConfig = readImageConfig(errors);
+  const storageConfig = storage ? readStorageConfig(errors) : {};
+
+  if (errors.length > 0) {
+    exitWithErrors(errors);
+  }
+
+  return { ...DEFAULTS, ...storageConfig, ...imageConfig };
+}
+
+/**
+ * Load and validate environment configuration.
+ * Exits with helpful error messages if required vars are missing.
+ */
+export function loadConfig() {
+  const errors = [];
+
+  const TEAM_IDS_RAW = process.env.TEAM_IDS?.trim();
+
+  const sportmonksConfig = readSportmonksConfig(errors);
+  const storageConfig = readStorageConfig(errors);
+
   // TEAM_IDS validation - required for ingest, but we allow empty for find-teams helper
   let teamIds = [];
   if (TEAM_IDS_RAW) {
@@ -49,25 +232,18 @@ export function loadConfig() {
       .filter(id => id !== null);
   }
 
-  // Optional env vars
-  const DB_NAME = process.env.DB_NAME?.trim() || DEFAULTS.DB_NAME;
-
   // FIREWORKS_API_KEY is optional and not required for ingestion
   // We don't validate or error on it
 
   if (errors.length > 0) {
-    console.error('\n[CONFIG ERROR] Missing or invalid environment variables:\n');
-    errors.forEach(err => console.error(`  - ${err}`));
-    console.error('\nPlease check your .env file and try again.\n');
-    process.exit(1);
+    exitWithErrors(errors);
   }
 
   return {
-    SPORTMONKS_API_KEY,
-    MONGODB_URI,
-    DB_NAME,
-    TEAM_IDS: teamIds,
     ...DEFAULTS,
+    ...sportmonksConfig,
+    ...storageConfig,
+    TEAM_IDS: teamIds,
   };
 }
 
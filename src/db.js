@@ -1,49 +1,36 @@
-import { MongoClient } from 'mongodb';
+import { createStorage } from './storage/index.js';
+import { buildProfile } from './playerProfile.js';
 
-let client = null;
-let db = null;
+export { squadBelongsToTeam, stickerCount } from './storage/shared.js';
+
+let storage = null;
 
 /**
- * Connect to MongoDB Atlas
+ * Connect to the configured storage backend (MongoDB Atlas or in-memory)
  */
-export async function connect(mongoUri, dbName) {
-  console.log(`[DB] Connecting to MongoDB Atlas...`);
-
-  client = new MongoClient(mongoUri, {
-    maxPoolSize: 10,
-    serverSelectionTimeoutMS: 5000,
-    socketTimeoutMS: 45000,
-  });
-
-  await client.connect();
-  db = client.db(dbName);
-
-  // Verify connection
-  await db.command({ ping: 1 });
-  console.log(`[DB] Connected to database: ${dbName}`);
-
-  return db;
+export async function connect(config) {
+  storage = createStorage(config);
+  await storage.connect();
+  return storage;
 }
 
 /**
- * Get the database instance
+ * Get the storage instance (repositories for teams, players, squads, ...)
  */
-export function getDb() {
-  if (!db) {
+export function getStorage() {
+  if (!storage) {
     throw new Error('Database not connected. Call connect() first.');
   }
-  return db;
+  return storage;
 }
 
 /**
- * Close the database connection
+ * Close the storage connection
  */
 export async function close() {
-  if (client) {
-    console.log('[DB] Closing connection...');
-    await client.close();
-    client = null;
-    db = null;
+  if (storage) {
+    await storage.close();
+    storage = null;
   }
 }
 
@@ -51,161 +38,126 @@ export async function close() {
  * Ensure all required indexes exist
  */
 export async function ensureIndexes() {
-  console.log('[DB] Ensuring indexes...');
-
-  const teamsCollection = db.collection('teams');
-  const playersCollection = db.collection('players');
-  const squadsCollection = db.collection('squads');
-  const countriesCollection = db.collection('countries');
-
-  // Teams indexes
-  await teamsCollection.createIndex(
-    { provider: 1, providerId: 1 },
-    { unique: true, name: 'provider_providerId_unique' }
-  );
-  await teamsCollection.createIndex(
-    { 'country.id': 1 },
-    { name: 'country_id' }
-  );
-
-  // Players indexes
-  await playersCollection.createIndex(
-    { provider: 1, providerId: 1 },
-    { unique: true, name: 'provider_providerId_unique' }
-  );
-  await playersCollection.createIndex(
-    { 'nationality.id': 1 },
-    { name: 'nationality_id' }
-  );
-  await playersCollection.createIndex(
-    { 'currentClub.id': 1 },
-    { name: 'currentClub_id' }
-  );
-
-  // Squads indexes
-  await squadsCollection.createIndex(
-    { provider: 1, teamId: 1 },
-    { unique: true, name: 'provider_teamId_unique' }
-  );
-  await squadsCollection.createIndex(
-    { teamId: 1 },
-    { name: 'teamId' }
-  );
-
-  // Countries indexes (optional collection)
-  await countriesCollection.createIndex(
-    { provider: 1, providerId: 1 },
-    { unique: true, name: 'provider_providerId_unique' }
-  );
-
-  console.log('[DB] Indexes created/verified');
+  await storage.ensureIndexes();
 }
 
 /**
- * Upsert a team document
+ * Build a team document (without timestamps)
  * Supports both Sportmonks (numeric providerId) and CSV (custom _id)
  */
-export async function upsertTeam(teamData) {
-  const _id = teamData._id || `team:sportmonks:${teamData.providerId}`;
-  const provider = teamData.provider || 'sportmonks';
-
-  const doc = {
-    _id,
-    provider,
+export function buildTeamDoc(teamData) {
+  return {
+    _id: teamData._id || `team:sportmonks:${teamData.providerId}`,
+    provider: teamData.provider || 'sportmonks',
     providerId: teamData.providerId,
     name: teamData.name || null,
     type: teamData.type || null,
     country: teamData.country || { id: null, name: null, code: null },
     image_path: teamData.image_path || null,
-    updatedAt: new Date(),
+    // Album page/code, only when restoring an export (see numbering.js)
+    ...(teamData.album && { album: teamData.album }),
   };
+}
 
-  await db.collection('teams').updateOne(
-    { _id },
-    { $set: doc },
-    { upsert: true }
-  );
+/**
+ * Upsert a team document
+ */
+export async function upsertTeam(teamData) {
+  const doc = { ...buildTeamDoc(teamData), updatedAt: new Date() };
+
+  await storage.teams.upsert(doc);
 
   return doc;
 }
 
 /**
- * Upsert a player document
+ * Build a player document (without timestamps)
  * Supports both Sportmonks (numeric providerId) and CSV (custom _id)
  */
-export async function upsertPlayer(playerData) {
-  const _id = playerData._id || `player:sportmonks:${playerData.providerId}`;
-  const provider = playerData.provider || 'sportmonks';
-
-  const doc = {
-    _id,
-    provider,
+export function buildPlayerDoc(playerData) {
+  return {
+    _id: playerData._id || `player:sportmonks:${playerData.providerId}`,
+    provider: playerData.provider || 'sportmonks',
     providerId: playerData.providerId,
     name: playerData.name || null,
     position: playerData.position || null,
+    detailedPosition: playerData.detailedPosition || null,
     nationality: playerData.nationality || { id: null, name: null, code: null },
     image_path: playerData.image_path || null,
     currentClub: playerData.currentClub || { id: null, name: null },
     currentClubCountry: playerData.currentClubCountry || { id: null, name: null, code: null },
-    updatedAt: new Date(),
+    ...buildProfile(playerData),
+    // Sticker number, only when restoring an export (see numbering.js)
+    ...(playerData.sticker && { sticker: playerData.sticker }),
   };
+}
+
+/**
+ * Upsert a player document
+ */
+export async function upsertPlayer(playerData) {
+  const doc = { ...buildPlayerDoc(playerData), updatedAt: new Date() };
 
-  await db.collection('players').updateOne(
-    { _id },
-    { $set: doc },
-    { upsert: true }
-  );
+  await storage.players.upsert(doc);
 
   return doc;
 }
 
 /**
- * Upsert a squad document
+ * Build a squad document (without timestamps)
  * Supports both Sportmonks (numeric teamId) and CSV (custom _id)
  */
-export async function upsertSquad(squadData) {
-  const _id = squadData._id || `squad:sportmonks:${squadData.teamId}:current`;
-  const provider = squadData.provider || 'sportmonks';
-
-  const doc = {
-    _id,
-    provider,
+export function buildSquadDoc(squadData) {
+  return {
+    _id: squadData._id || `squad:sportmonks:${squadData.teamId}:current`,
+    provider: squadData.provider || 'sportmonks',
     teamId: squadData.teamId,
+    teamRef: squadData.teamRef || null,
     teamName: squadData.teamName || null,
     playerIds: squadData.playerIds || [],
-    fetchedAt: new Date(),
+    // Squad numbers by player _id
+    jerseyNumbers: squadData.jerseyNumbers || {},
   };
+}
 
-  await db.collection('squads').updateOne(
-    { _id },
-    { $set: doc },
-    { upsert: true }
-  );
+/**
+ * Upsert a squad document
+ */
+export async function upsertSquad(squadData) {
+  const doc = { ...buildSquadDoc(squadData), fetchedAt: new Date() };
+
+  await storage.squads.upsert(doc);
 
   return doc;
 }
 
 /**
- * Upsert a country document (optional caching)
+ * Build a country document (without timestamps)
  */
-export async function upsertCountry(countryData) {
-  const { providerId } = countryData;
-  const _id = `country:sportmonks:${providerId}`;
-
-  const doc = {
-    _id,
+export function buildCountryDoc(countryData) {
+  return {
+    _id: `country:sportmonks:${countryData.providerId}`,
     provider: 'sportmonks',
-    providerId,
+    providerId: countryData.providerId,
     name: countryData.name || null,
     code: countryData.code || null,
-    updatedAt: new Date(),
   };
+}
 
-  await db.collection('countries').updateOne(
-    { _id },
-    { $set: doc },
-    { upsert: true }
-  );
+/**
+ * Upsert a country document (optional caching)
+ */
+export async function upsertCountry(countryData) {
+  const doc = { ...buildCountryDoc(countryData), updatedAt: new Date() };
+
+  await storage.countries.upsert(doc);
 
   return doc;
 }
+
+/**
+ * Find the squad document for a team document
+ */
+export async function findTeamSquad(team) {
+  return storage.squads.findForTeam(team);
+}
@@ -0,0 +1,44 @@
+/**
+ * Album Export
+ *
+ * Writes teams, squads and players to a JSON or CSV file (format from the
+ * extension) that `npm run ingest-csv` can import again.
+ *
+ * Usage: npm run export -- album.json
+ *        npm run export -- album.csv
+ */
+
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { loadStorageConfig } from './config.js';
+import * as db from './db.js';
+import { EXPORT_FORMATS, exportAlbum } from './albumExport.js';
+
+/**
+ * Main export
+ */
+async function main() {
+  const [file] = process.argv.slice(2);
+  const format = file ? path.extname(file).slice(1).toLowerCase() : null;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error('[ERROR] Please provide a .json or .csv output file');
+    console.error('Usage: npm run export -- album.json\n');
+    process.exit(1);
+  }
+
+  const config = loadStorageConfig();
+  console.log(`[CONFIG] Storage: ${config.STORAGE_BACKEND}, database: ${config.DB_NAME}`);
+
+  await db.connect(config);
+  const output = await exportAlbum(format);
+  await db.close();
+
+  writeFileSync(file, output);
+  console.log(`[EXPORT] Album saved to ${file} (${format})`);
+}
+
+main().catch(error => {
+  console.error('[FATAL]', error);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+/**
+ * Team Flags
+ *
+ * Shared by the API (team lists, packs) and the local sticker renderer.
+ */
+
+// Flag emoji mapping for all 42 confirmed World Cup teams
+export const flagEmojis = {
+  'Algeria': '🇩🇿',
+  'Argentina': '🇦🇷',
+  'Australia': '🇦🇺',
+  'Austria': '🇦🇹',
+  'Belgium': '🇧🇪',
+  'Brazil': '🇧🇷',
+  'Canada': '🇨🇦',
+  'Cape Verde': '🇨🇻',
+  'Colombia': '🇨🇴',
+  'Croatia': '🇭🇷',
+  'Curaçao': '🇨🇼',
+  'Ecuador': '🇪🇨',
+  'Egypt': '🇪🇬',
+  'England': '🏴󠁧󠁢󠁥󠁮󠁧󠁿',
+  'France': '🇫🇷',
+  'Germany': '🇩🇪',
+  'Ghana': '🇬🇭',
+  'Haiti': '🇭🇹',
+  'Iran': '🇮🇷',
+  'Ivory Coast': '🇨🇮',
+  'Japan': '🇯🇵',
+  'Jordan': '🇯🇴',
+  'Mexico': '🇲🇽',
+  'Morocco': '🇲🇦',
+  'Netherlands': '🇳🇱',
+  'New Zealand': '🇳🇿',
+  'Norway': '🇳🇴',
+  'Panama': '🇵🇦',
+  'Paraguay': '🇵🇾',
+  'Portugal': '🇵🇹',
+  'Qatar': '🇶🇦',
+  'Saudi Arabia': '🇸🇦',
+  'Scotland': '🏴󠁧󠁢󠁳󠁣󠁴󠁿',
+  'Senegal': '🇸🇳',
+  'South Africa': '🇿🇦',
+  'South Korea': '🇰🇷',
+  'Spain': '🇪🇸',
+  'Switzerland': '🇨🇭',
+  'Tunisia': '🇹🇳',
+  'United States': '🇺🇸',
+  'Uruguay': '🇺🇾',
+  'Uzbekistan': '🇺🇿',
+};
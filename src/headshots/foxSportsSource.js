@@ -0,0 +1,86 @@
+/**
+ * Fox Sports Headshot Source
+ *
+ * Player pages live at /soccer/<slug>-player; players sharing a name get
+ * -2-player, -3-player, ... so those guesses can be someone else entirely.
+ */
+
+const FOX_BASE = 'https://www.foxsports.com';
+const HEADSHOT_PATTERN = /https:\/\/b\.fssta\.com\/uploads\/application\/soccer\/headshots\/(\d+)\.vresize/;
+
+// Page suffixes to try, with how sure we are the page is the right player
+const PAGE_VARIANTS = [
+  { suffix: '-player', confidence: 0.9 },
+  { suffix: '-2-player', confidence: 0.5 },
+  { suffix: '-3-player', confidence: 0.4 },
+];
+
+/**
+ * Fox Sports URL slug: lowercase, accents stripped, words joined by dashes
+ */
+export function foxSlug(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Pull the headshot image URL out of a Fox Sports player page
+ */
+export function extractHeadshot(html) {
+  const match = html.match(HEADSHOT_PATTERN);
+  return match
+    ? `https://b.fssta.com/uploads/application/soccer/headshots/${match[1]}.vresize.350.350.medium.1.png`
+    : null;
+}
+
+/**
+ * Whether a URL is a Fox Sports player page (https://www.foxsports.com/soccer/<slug>-player)
+ */
+export function isPlayerPage(value) {
+  try {
+    const url = new URL(value);
+    return /(^|\.)foxsports\.com$/.test(url.hostname) && /^\/soccer\/[a-z0-9-]+-player\/?$/.test(url.pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The headshot on one Fox Sports player page, or null when it has none
+ */
+export async function fetchPageHeadshot(pageUrl, fetchImpl = fetch) {
+  const response = await fetchImpl(pageUrl);
+  if (!response.ok) return null;
+  return extractHeadshot(await response.text());
+}
+
+/**
+ * Create the Fox Sports source
+ */
+export function createFoxSportsSource({ baseUrl = FOX_BASE, fetchImpl = fetch } = {}) {
+  async function find(player) {
+    const slug = foxSlug(player.name);
+
+    for (const { suffix, confidence } of PAGE_VARIANTS) {
+      const pageUrl = `${baseUrl}/soccer/${slug}${suffix}`;
+
+      try {
+        const url = await fetchPageHeadshot(pageUrl, fetchImpl);
+        if (url) {
+          return { url, confidence, page: pageUrl };
+        }
+      } catch {
+        // Try the next page variant
+      }
+    }
+
+    return null;
+  }
+
+  return { name: 'foxsports', find };
+}
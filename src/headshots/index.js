@@ -0,0 +1,131 @@
+/**
+ * Source Headshot Resolver
+ *
+ * Finds the real photo a sticker is generated from by asking each source in
+ * turn (HEADSHOT_SOURCES, default "foxsports,wikipedia"). The answer is saved
+ * on the player as
+ *   sourceImage: { url, source, confidence, page, resolvedAt }
+ * so later runs reuse it. A manual override (source "manual") always wins
+ * and is never replaced by a search.
+ */
+
+import * as db from '../db.js';
+import { requeueJob } from '../imageQueue.js';
+import { httpError } from '../httpError.js';
+import { createFoxSportsSource, fetchPageHeadshot, isPlayerPage } from './foxSportsSource.js';
+import { createWikipediaSource } from './wikipediaSource.js';
+
+const SOURCE_FACTORIES = {
+  foxsports: createFoxSportsSource,
+  wikipedia: createWikipediaSource,
+};
+
+export const HEADSHOT_SOURCES = Object.keys(SOURCE_FACTORIES);
+
+export const MANUAL_SOURCE = 'manual';
+
+/**
+ * Create the source adapters named in the list, in order
+ */
+export function createHeadshotSources(names = HEADSHOT_SOURCES) {
+  return names.map(name => {
+    const factory = SOURCE_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown headshot source: "${name}"`);
+    }
+    return factory();
+  });
+}
+
+/**
+ * Ask each source in turn, returns the first hit as a sourceImage record
+ */
+export async function findHeadshot(player, sources) {
+  for (const source of sources) {
+    const found = await source.find(player);
+
+    if (found) {
+      console.log(`  ✅ ${source.name}: ${found.url.substring(0, 60)}... (confidence ${found.confidence})`);
+      return {
+        url: found.url,
+        source: source.name,
+        confidence: found.confidence,
+        page: found.page || null,
+        resolvedAt: new Date(),
+      };
+    }
+
+    console.log(`  ⚠️ ${source.name}: no headshot for "${player.name}"`);
+  }
+
+  return null;
+}
+
+/**
+ * The player's saved source image, searching (and saving) one if needed
+ * With refresh, searches again unless a manual override is set
+ */
+export async function resolveSourceImage(player, sources, { refresh = false } = {}) {
+  const saved = player.sourceImage;
+
+  if (saved?.source === MANUAL_SOURCE || (saved?.url && !refresh)) {
+    return saved;
+  }
+
+  const found = await findHeadshot(player, sources);
+  if (found) {
+    await db.getStorage().players.update(player._id, { sourceImage: found });
+  }
+  return found;
+}
+
+/**
+ * Whether a string is an absolute http(s) URL
+ */
+export function isImageUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Pin a player's source image to a hand-picked URL and queue the sticker
+ * to be generated again from it. Returns the saved record.
+ * A Fox Sports player page (e.g. .../soccer/damian-martinez-player for
+ * Emiliano Martínez) is resolved to the headshot on that page.
+ */
+export async function setSourceImageOverride(playerId, url, { fetchImpl = fetch } = {}) {
+  let page = null;
+  if (isPlayerPage(url)) {
+    page = url;
+    url = await fetchPageHeadshot(page, fetchImpl);
+    if (!url) {
+      throw httpError(422, `No headshot found on ${page}`);
+    }
+  }
+
+  const sourceImage = {
+    url,
+    source: MANUAL_SOURCE,
+    confidence: 1,
+    page,
+    resolvedAt: new Date(),
+  };
+
+  await db.getStorage().players.update(playerId, { sourceImage });
+  await requeueJob(playerId);
+
+  return sourceImage;
+}
+
+/**
+ * Forget the player's source image (manual or searched) so the next run
+ * searches the sources again
+ */
+export async function clearSourceImageOverride(playerId) {
+  await db.getStorage().players.update(playerId, { sourceImage: null });
+  await requeueJob(playerId);
+}
@@ -0,0 +1,44 @@
+/**
+ * Wikipedia Headshot Source
+ *
+ * Uses the page image of the player's article. Tries the
+ * "<name> (footballer)" title first since bare names are often ambiguous.
+ * Page images aren't always portraits, so confidence stays low.
+ */
+
+const WIKI_API = 'https://en.wikipedia.org/w/api.php';
+
+const TITLE_VARIANTS = [
+  { title: name => `${name} (footballer)`, confidence: 0.6 },
+  { title: name => name, confidence: 0.4 },
+];
+
+/**
+ * Create the Wikipedia source
+ */
+export function createWikipediaSource({ apiUrl = WIKI_API, fetchImpl = fetch } = {}) {
+  async function find(player) {
+    for (const variant of TITLE_VARIANTS) {
+      const title = variant.title(player.name);
+      const url = `${apiUrl}?action=query&format=json&prop=pageimages&redirects=1&titles=${encodeURIComponent(title)}&pithumbsize=500&origin=*`;
+
+      try {
+        const response = await fetchImpl(url);
+        if (!response.ok) continue;
+
+        const data = await response.json();
+        const page = Object.values(data.query?.pages || {})[0];
+
+        if (page?.thumbnail?.source) {
+          return { url: page.thumbnail.source, confidence: variant.confidence, page: title };
+        }
+      } catch {
+        // Try the next title
+      }
+    }
+
+    return null;
+  }
+
+  return { name: 'wikipedia', find };
+}
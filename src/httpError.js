@@ -0,0 +1,9 @@
+/**
+ * Build an error that the route handlers turn into an HTTP response
+ * (handlers send error.status with { error: error.message })
+ */
+export function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
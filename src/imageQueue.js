@@ -0,0 +1,348 @@
+/**
+ * Image Generation Queue
+ *
+ * One imageJobs document per player tracks its sticker through
+ *   pending -> source-found -> submitted (Kontext request_id) -> ready
+ * with failed and moderated as the other end states. Each step is saved
+ * before the next one starts, so a restarted worker carries on where it
+ * stopped - including polling requests Fireworks already accepted.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as db from './db.js';
+import { buildStickerPrompt } from './rendering/prompt.js';
+import { postProcessSticker } from './rendering/postProcess.js';
+import { imageUrl } from './imageStore/index.js';
+import { addCandidate, approveImage, nextImageVersion } from './imageReview.js';
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  SOURCE_FOUND: 'source-found',
+  SUBMITTED: 'submitted',
+  READY: 'ready',
+  FAILED: 'failed',
+  MODERATED: 'moderated',
+};
+
+// Statuses the worker still has to move forward
+const OPEN_STATUSES = [JOB_STATUS.PENDING, JOB_STATUS.SOURCE_FOUND, JOB_STATUS.SUBMITTED];
+
+export const QUEUE_DEFAULTS = {
+  concurrency: 2,
+  maxAttempts: 5,
+  retryBaseMs: 1000,
+  maxBackoffMs: 60000,
+};
+
+/**
+ * Build the _id of a player's image job
+ */
+export function imageJobId(playerId) {
+  return `imageJob:${playerId}`;
+}
+
+/**
+ * File-name slug for a team or player name
+ */
+export function slugify(name) {
+  return name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+}
+
+/**
+ * Find a sticker already generated for a player, whatever its format
+ */
+function findExistingSticker(outputDir, playerSlug) {
+  if (!fs.existsSync(outputDir)) return null;
+  return fs.readdirSync(outputDir).find(file => path.parse(file).name === playerSlug) || null;
+}
+
+/**
+ * Queue a job for every player that doesn't have one yet
+ * Players whose sticker file is already on disk are recorded as ready
+ */
+export async function enqueueTeam(team, players, { outputBase }) {
+  const storage = db.getStorage();
+  const teamSlug = slugify(team.name);
+  const summary = { queued: 0, alreadyDone: 0, alreadyQueued: 0 };
+
+  for (const player of players) {
+    const _id = imageJobId(player._id);
+
+    if (await storage.imageJobs.findById(_id)) {
+      summary.alreadyQueued++;
+      continue;
+    }
+
+    const playerSlug = slugify(player.name);
+    const existing = findExistingSticker(path.join(outputBase, teamSlug), playerSlug);
+    const now = new Date();
+
+    await storage.imageJobs.insert({
+      _id,
+      playerId: player._id,
+      playerName: player.name,
+      position: player.position || null,
+      teamName: team.name,
+      teamSlug,
+      playerSlug,
+      status: existing ? JOB_STATUS.READY : JOB_STATUS.PENDING,
+      sourceImageUrl: null,
+      requestId: null,
+      promptInfo: null,
+      imagePath: existing ? `/players/${teamSlug}/${existing}` : null,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    if (existing) {
+      summary.alreadyDone++;
+    } else {
+      summary.queued++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Put failed jobs back in the queue, returns how many were reset
+ */
+export async function retryFailedJobs() {
+  const storage = db.getStorage();
+  const failed = await storage.imageJobs.listByStatus([JOB_STATUS.FAILED]);
+
+  for (const job of failed) {
+    await storage.imageJobs.update(job._id, {
+      status: job.requestId ? JOB_STATUS.SUBMITTED : JOB_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null,
+      updatedAt: new Date(),
+    });
+  }
+
+  return failed.length;
+}
+
+/**
+ * Send a player's job back to the start, e.g. after its source image
+ * changed or a reviewer asked for a new version. `fields` are saved on the
+ * job too (e.g. { promptTweak }). No-op for players that were never queued.
+ */
+export async function requeueJob(playerId, fields = {}) {
+  const storage = db.getStorage();
+  const _id = imageJobId(playerId);
+
+  if (!(await storage.imageJobs.findById(_id))) {
+    return false;
+  }
+
+  await storage.imageJobs.update(_id, {
+    status: JOB_STATUS.PENDING,
+    sourceImageUrl: null,
+    requestId: null,
+    promptInfo: null,
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: null,
+    ...fields,
+    updatedAt: new Date(),
+  });
+  return true;
+}
+
+/**
+ * Whether an error is worth retrying: network errors, timeouts, rate limits
+ * and server errors are; other HTTP errors and permanent errors are not
+ */
+export function isTransientError(error) {
+  if (error.permanent) return false;
+  if (error.status) return error.status === 429 || error.status >= 500;
+  return true;
+}
+
+/**
+ * An error that retrying won't fix (e.g. no headshot exists)
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): base, 2x, 4x, ... capped
+ */
+export function backoffDelay(attempt, { retryBaseMs, maxBackoffMs }) {
+  return Math.min(Math.pow(2, attempt - 1) * retryBaseMs, maxBackoffMs);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Work through every unfinished job with at most `concurrency` in flight
+ *
+ * findSourceImage(job) resolves to a headshot URL (or null) and is only
+ * called when the renderer needs one. Finished stickers go into imageStore
+ * and are recorded as a new version pending review (see imageReview.js), or
+ * made live straight away with `autoApprove`. Returns counts of the jobs
+ * handled by their final status.
+ */
+export async function runImageJobs({ renderer, findSourceImage, imageStore, autoApprove = false, ...options }) {
+  const { concurrency, maxAttempts, retryBaseMs, maxBackoffMs } = { ...QUEUE_DEFAULTS, ...options };
+  const storage = db.getStorage();
+
+  const queue = await storage.imageJobs.listByStatus(OPEN_STATUSES);
+  const summary = { total: queue.length, ready: 0, failed: 0, moderated: 0 };
+
+  // Keep submissions spaced out even with several workers
+  let nextSubmitAt = 0;
+  async function throttleSubmit() {
+    const wait = nextSubmitAt - Date.now();
+    nextSubmitAt = Math.max(Date.now(), nextSubmitAt) + renderer.rateLimitMs;
+    if (wait > 0) await sleep(wait);
+  }
+
+  async function save(job, fields) {
+    const update = { ...fields, updatedAt: new Date() };
+    Object.assign(job, update);
+    await storage.imageJobs.update(job._id, update);
+  }
+
+  async function finish(job, rendered) {
+    const processed = await postProcessSticker(rendered);
+
+    // Stored by content hash, so earlier versions stay available for rollback
+    const full = await imageStore.put(processed.full.data, processed.full.extension);
+    const thumb = await imageStore.put(processed.thumb.data, processed.thumb.extension);
+    const imagePath = imageUrl(full.key);
+    // Which prompt template/version the sticker came from (null for placeholders)
+    const promptInfo = rendered.promptInfo || job.promptInfo || null;
+
+    const image = await addCandidate({
+      playerId: job.playerId,
+      version: await nextImageVersion(job.playerId),
+      imagePath,
+      thumbPath: imageUrl(thumb.key),
+      imageKey: full.key,
+      thumbKey: thumb.key,
+      width: processed.width,
+      height: processed.height,
+      hash: processed.hash,
+      promptInfo,
+      sourceImageUrl: job.sourceImageUrl,
+    });
+    if (autoApprove) {
+      await approveImage(image._id, { note: 'Auto-approved' });
+    }
+
+    await save(job, { status: JOB_STATUS.READY, imagePath, imageId: image._id, promptInfo, lastError: null, nextAttemptAt: null });
+    console.log(`[IMAGES] ${job.playerName}: ready (${imagePath}, ${autoApprove ? 'approved' : 'pending review'})`);
+  }
+
+  async function poll(job) {
+    for (let i = 0; i < renderer.maxPolls; i++) {
+      const { state, status, result } = await renderer.checkResult(job.requestId);
+
+      if (state === 'ready') {
+        return finish(job, await renderer.download(result));
+      }
+      if (state === 'moderated') {
+        await save(job, { status: JOB_STATUS.MODERATED, lastError: status });
+        console.log(`[IMAGES] ${job.playerName}: moderated (${status})`);
+        return;
+      }
+      if (state === 'error') {
+        // The request is dead; submit a new one on the next attempt
+        await save(job, { status: JOB_STATUS.SOURCE_FOUND, requestId: null });
+        throw new Error(`Generation failed: ${status}`);
+      }
+
+      await sleep(renderer.pollIntervalMs);
+    }
+
+    // Still running on Fireworks' side: keep the request id and poll again later
+    throw new Error('Timeout waiting for image generation');
+  }
+
+  async function step(job) {
+    switch (job.status) {
+      case JOB_STATUS.PENDING: {
+        if (!renderer.requiresSourceImage) {
+          return save(job, { status: JOB_STATUS.SOURCE_FOUND });
+        }
+
+        const sourceImageUrl = await findSourceImage(job);
+        if (!sourceImageUrl) {
+          throw permanentError('No source image found');
+        }
+        return save(job, { status: JOB_STATUS.SOURCE_FOUND, sourceImageUrl });
+      }
+
+      case JOB_STATUS.SOURCE_FOUND: {
+        // Synchronous providers (local placeholders) render in one go
+        if (!renderer.submit) {
+          return finish(job, await renderer.render({
+            name: job.playerName,
+            position: job.position,
+            teamName: job.teamName,
+            sourceImageUrl: job.sourceImageUrl,
+          }));
+        }
+
+        const { prompt, promptInfo } = buildStickerPrompt(job.teamName, {
+          position: job.position,
+          tweak: job.promptTweak,
+        });
+
+        await throttleSubmit();
+        const requestId = await renderer.submit({ sourceImageUrl: job.sourceImageUrl, prompt });
+        console.log(`[IMAGES] ${job.playerName}: submitted (${requestId}, ${promptInfo.template} v${promptInfo.version})`);
+        return save(job, { status: JOB_STATUS.SUBMITTED, requestId, promptInfo });
+      }
+
+      case JOB_STATUS.SUBMITTED:
+        return poll(job);
+    }
+  }
+
+  async function processJob(job) {
+    while (OPEN_STATUSES.includes(job.status)) {
+      const wait = job.nextAttemptAt ? new Date(job.nextAttemptAt) - Date.now() : 0;
+      if (wait > 0) await sleep(wait);
+
+      try {
+        await step(job);
+      } catch (error) {
+        const attempts = job.attempts + 1;
+
+        if (!isTransientError(error) || attempts >= maxAttempts) {
+          await save(job, { status: JOB_STATUS.FAILED, attempts, lastError: error.message });
+          console.error(`[IMAGES] ${job.playerName}: failed - ${error.message}`);
+        } else {
+          const delay = backoffDelay(attempts, { retryBaseMs, maxBackoffMs });
+          await save(job, { attempts, lastError: error.message, nextAttemptAt: new Date(Date.now() + delay) });
+          console.log(`[IMAGES] ${job.playerName}: ${error.message}, retry ${attempts}/${maxAttempts - 1} in ${delay}ms`);
+        }
+      }
+    }
+
+    summary[job.status]++;
+  }
+
+  // Each worker takes the next job off the shared queue until it's empty
+  let next = 0;
+  async function worker() {
+    while (next < queue.length) {
+      await processJob(queue[next++]);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+  return summary;
+}
@@ -0,0 +1,176 @@
+/**
+ * Sticker Image Review
+ *
+ * Every generated sticker is stored as a numbered version in stickerImages
+ * and starts out pending review. Only an approved version becomes the
+ * player's image_path; approving another version retires the previous one,
+ * so rolling back is just approving an older version again.
+ *
+ *   pending-review -> approved -> retired -> approved (rollback) ...
+ *   pending-review -> rejected
+ */
+
+import * as db from './db.js';
+import { httpError } from './httpError.js';
+import { imageJobId, requeueJob } from './imageQueue.js';
+
+export const REVIEW_STATUS = {
+  PENDING: 'pending-review',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RETIRED: 'retired',
+};
+
+// Versions an admin can make live
+const APPROVABLE_STATUSES = [REVIEW_STATUS.PENDING, REVIEW_STATUS.RETIRED];
+
+/**
+ * Build the _id of a sticker image version
+ */
+export function stickerImageId(playerId, version) {
+  return `stickerImage:${playerId}:${version}`;
+}
+
+/**
+ * Load a version or fail with 404
+ */
+async function findImage(imageId) {
+  const image = await db.getStorage().stickerImages.findById(imageId);
+  if (!image) {
+    throw httpError(404, 'Image not found');
+  }
+  return image;
+}
+
+/**
+ * Version number the next sticker generated for a player will get
+ */
+export async function nextImageVersion(playerId) {
+  const [latest] = await db.getStorage().stickerImages.listByPlayer(playerId);
+  return (latest?.version || 0) + 1;
+}
+
+/**
+ * Record a freshly generated sticker as a candidate awaiting review
+ */
+export async function addCandidate({
+  playerId,
+  version,
+  imagePath,
+  thumbPath = null,
+  imageKey = null,
+  thumbKey = null,
+  width = null,
+  height = null,
+  hash = null,
+  promptInfo = null,
+  sourceImageUrl = null,
+}) {
+  const image = {
+    _id: stickerImageId(playerId, version),
+    playerId,
+    version,
+    status: REVIEW_STATUS.PENDING,
+    imagePath,
+    thumbPath,
+    imageKey,
+    thumbKey,
+    width,
+    height,
+    hash,
+    promptInfo,
+    sourceImageUrl,
+    note: null,
+    createdAt: new Date(),
+    reviewedAt: null,
+  };
+
+  await db.getStorage().stickerImages.insert(image);
+  return image;
+}
+
+/**
+ * Make a version the player's live sticker, retiring the current one
+ */
+export async function approveImage(imageId, { note = null } = {}) {
+  const storage = db.getStorage();
+  const image = await findImage(imageId);
+
+  if (image.status === REVIEW_STATUS.APPROVED) {
+    return image;
+  }
+  if (!APPROVABLE_STATUSES.includes(image.status)) {
+    throw httpError(409, `Image is ${image.status}`);
+  }
+
+  const versions = await storage.stickerImages.listByPlayer(image.playerId);
+  for (const live of versions.filter(v => v.status === REVIEW_STATUS.APPROVED)) {
+    await storage.stickerImages.update(live._id, { status: REVIEW_STATUS.RETIRED });
+  }
+
+  const reviewed = { status: REVIEW_STATUS.APPROVED, note, reviewedAt: new Date() };
+  await storage.stickerImages.update(imageId, reviewed);
+  await storage.players.update(image.playerId, {
+    image_path: image.imagePath,
+    imageMeta: {
+      thumbPath: image.thumbPath,
+      width: image.width,
+      height: image.height,
+      hash: image.hash,
+    },
+    imagePrompt: image.promptInfo,
+    imageVersion: image.version,
+  });
+
+  return { ...image, ...reviewed };
+}
+
+/**
+ * Turn down a pending candidate; the live sticker stays as it was
+ */
+export async function rejectImage(imageId, { note = null } = {}) {
+  const image = await findImage(imageId);
+
+  if (image.status !== REVIEW_STATUS.PENDING) {
+    throw httpError(409, `Image is ${image.status}`);
+  }
+
+  const reviewed = { status: REVIEW_STATUS.REJECTED, note, reviewedAt: new Date() };
+  await db.getStorage().stickerImages.update(imageId, reviewed);
+  return { ...image, ...reviewed };
+}
+
+/**
+ * Reject a candidate (if still pending) and queue a new generation for the
+ * player, optionally with extra prompt instructions
+ */
+export async function requestRegeneration(imageId, { promptTweak = null } = {}) {
+  const image = await findImage(imageId);
+
+  // Check for a job first, so a failed request leaves the candidate pending
+  if (!(await db.getStorage().imageJobs.findById(imageJobId(image.playerId)))) {
+    throw httpError(409, 'Player has no image job; run generate-team for its team first');
+  }
+
+  if (image.status === REVIEW_STATUS.PENDING) {
+    await rejectImage(imageId, { note: promptTweak ? `Regenerate: ${promptTweak}` : 'Regenerate' });
+  }
+
+  await requeueJob(image.playerId, { promptTweak: promptTweak || null });
+
+  return { playerId: image.playerId, promptTweak: promptTweak || null };
+}
+
+/**
+ * Go back to the most recently retired version of a player's sticker
+ */
+export async function rollbackImage(playerId) {
+  const versions = await db.getStorage().stickerImages.listByPlayer(playerId);
+  const previous = versions.find(v => v.status === REVIEW_STATUS.RETIRED);
+
+  if (!previous) {
+    throw httpError(409, 'No earlier approved version to roll back to');
+  }
+
+  return approveImage(previous._id, { note: 'Rollback' });
+}
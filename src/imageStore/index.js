@@ -0,0 +1,41 @@
+/**
+ * Sticker Image Store
+ *
+ * Content-addressed: every image is stored under the SHA-256 of its bytes
+ * (<hash>.<extension>), so identical files are stored once and a key never
+ * changes meaning - which lets the API cache images forever. Which player
+ * uses which image lives in the stickerImages collection (imageReview.js).
+ *
+ * Every backend exposes put(data, extension) -> { key, hash, size },
+ * get(key) -> { data, contentType } | null and has(key).
+ *
+ * IMAGE_STORE=local  Files under IMAGE_STORE_DIR (default)
+ */
+
+import { createLocalImageStore } from './localImageStore.js';
+
+export { isImageKey, hashImage } from './shared.js';
+
+export const IMAGE_STORES = ['local'];
+
+export const DEFAULT_IMAGE_STORE_DIR = 'data/images';
+
+/**
+ * Create the image store named in config
+ */
+export function createImageStore(config) {
+  switch (config.IMAGE_STORE) {
+    case 'local':
+    case undefined:
+      return createLocalImageStore({ dir: config.IMAGE_STORE_DIR || DEFAULT_IMAGE_STORE_DIR });
+    default:
+      throw new Error(`Unknown image store: "${config.IMAGE_STORE}"`);
+  }
+}
+
+/**
+ * Public URL the API serves a stored image at
+ */
+export function imageUrl(key) {
+  return `/api/images/${key}`;
+}
@@ -0,0 +1,66 @@
+/**
+ * Local Filesystem Image Store
+ *
+ * Files live under <dir>/<first two hash chars>/<hash>.<extension> so no
+ * single directory grows too large.
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { contentTypeFor, hashImage, parseImageKey } from './shared.js';
+
+/**
+ * Create a store rooted at dir (created on first write)
+ */
+export function createLocalImageStore({ dir }) {
+  function filePath(key) {
+    const { hash } = parseImageKey(key);
+    return path.join(dir, hash.slice(0, 2), key);
+  }
+
+  /**
+   * Store image bytes, returns { key, hash, size }
+   * Storing the same bytes again is a no-op
+   */
+  async function put(data, extension) {
+    const hash = hashImage(data);
+    const key = `${hash}.${extension}`;
+    const file = filePath(key);
+
+    if (!(await has(key))) {
+      // Write then rename so readers never see a partial file; the temp
+      // name is unique so concurrent puts of the same image don't collide
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.${randomUUID()}.tmp`;
+      await fs.writeFile(temp, data);
+      await fs.rename(temp, file);
+    }
+
+    return { key, hash, size: data.length };
+  }
+
+  /**
+   * Load an image by key, or null if it isn't stored
+   */
+  async function get(key) {
+    try {
+      const data = await fs.readFile(filePath(key));
+      return { data, contentType: contentTypeFor(key) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function has(key) {
+    try {
+      await fs.access(filePath(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  return { name: 'local', dir, put, get, has };
+}
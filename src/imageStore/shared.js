@@ -0,0 +1,53 @@
+/**
+ * Helpers shared by the image store backends
+ */
+
+import crypto from 'crypto';
+
+const CONTENT_TYPES = {
+  webp: 'image/webp',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  svg: 'image/svg+xml',
+};
+
+// <sha256 hex>.<extension>
+const KEY_PATTERN = /^([0-9a-f]{64})\.([a-z]+)$/;
+
+/**
+ * Content hash an image is stored under
+ */
+export function hashImage(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Split a key into hash and extension, throwing for anything that isn't a
+ * valid key (so keys from URLs can't reach outside the store)
+ */
+export function parseImageKey(key) {
+  const match = KEY_PATTERN.exec(key);
+  if (!match || !CONTENT_TYPES[match[2]]) {
+    throw new Error(`Invalid image key: "${key}"`);
+  }
+  return { hash: match[1], extension: match[2] };
+}
+
+/**
+ * Whether a string is a valid image key
+ */
+export function isImageKey(key) {
+  try {
+    parseImageKey(key);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * MIME type to serve a stored image with
+ */
+export function contentTypeFor(key) {
+  return CONTENT_TYPES[parseImageKey(key).extension];
+}
@@ -0,0 +1,136 @@
+/**
+ * CSV Squad Importer
+ *
+ * RFC 4180 parsing: CRLF or LF line endings, quoted fields containing
+ * commas and newlines, and "" escapes. Records carry the line they start on
+ * so rejected rows can be reported by line number.
+ */
+
+import { readFile } from 'fs/promises';
+import { mapColumns } from '../squadRows.js';
+
+/**
+ * Split CSV content into records (RFC 4180)
+ * Handles CRLF and LF line endings, quoted fields with commas and newlines
+ * and "" escapes. Each record is { line, values } where line is the
+ * 1-based line the record starts on. Blank lines are skipped.
+ */
+export function parseCSVRecords(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const records = [];
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(field);
+    // A line with nothing on it is not a record
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || values.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Parse a single CSV line handling quoted values
+ */
+export function parseCSVLine(line) {
+  return parseCSVRecords(line)[0]?.values || [''];
+}
+
+/**
+ * Parse CSV content into records keyed by canonical column (see squadRows.js)
+ * Returns { records: [{ line, row }], rejected: [{ line, errors }] }; rows
+ * with the wrong number of columns are rejected here, everything else is
+ * left to validateRows
+ */
+export function parseCSV(content) {
+  const [header, ...dataRecords] = parseCSVRecords(content);
+  if (!header || dataRecords.length === 0) {
+    throw new Error('CSV must have a header row and at least one data row');
+  }
+
+  const columns = mapColumns(header.values);
+  const records = [];
+  const rejected = [];
+
+  for (const { line, values } of dataRecords) {
+    if (values.length !== columns.length) {
+      const valueOf = column => values[columns.indexOf(column)]?.trim() || null;
+      rejected.push({
+        line,
+        team: valueOf('team'),
+        name: valueOf('name'),
+        errors: [`expected ${columns.length} columns, got ${values.length}`],
+      });
+      continue;
+    }
+
+    const row = {};
+    columns.forEach((column, idx) => {
+      row[column] = values[idx].trim() || null;
+    });
+    records.push({ line, row });
+  }
+
+  return { records, rejected };
+}
+
+/**
+ * Format values as one CSV record, quoting fields that need it (RFC 4180)
+ * null and undefined become empty fields
+ */
+export function formatCSVRecord(values) {
+  return values.map(value => {
+    const field = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }).join(',');
+}
+
+/**
+ * Read a CSV squad file
+ */
+export async function readCSVFile(filePath) {
+  return parseCSV(await readFile(filePath, 'utf-8'));
+}
@@ -0,0 +1,37 @@
+/**
+ * Squad File Importers
+ *
+ * Every importer reads a squad file into { records, rejected }: records are
+ * { line, row } with row keyed by canonical column (see squadRows.js), and
+ * rejected holds rows the file format itself couldn't make sense of. The
+ * importer is picked by file extension; validation and saving are shared.
+ */
+
+import path from 'path';
+import { readCSVFile } from './csvImporter.js';
+import { readJSONFile } from './jsonImporter.js';
+import { readXLSXFile } from './xlsxImporter.js';
+
+const IMPORTERS = {
+  '.csv': readCSVFile,
+  '.json': readJSONFile,
+  '.xlsx': readXLSXFile,
+};
+
+export const SQUAD_FILE_EXTENSIONS = Object.keys(IMPORTERS);
+
+/**
+ * Read a squad file with the importer for its extension
+ * Returns { format, records, rejected }
+ */
+export async function readSquadFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const importer = IMPORTERS[extension];
+
+  if (!importer) {
+    throw new Error(`Unsupported squad file "${path.basename(filePath)}" (expected ${SQUAD_FILE_EXTENSIONS.join(', ')})`);
+  }
+
+  const { records, rejected } = await importer(filePath);
+  return { format: extension.slice(1), records, rejected };
+}
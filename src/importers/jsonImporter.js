@@ -0,0 +1,85 @@
+/**
+ * JSON Squad Importer
+ *
+ * Accepts either an array of players, each with a team:
+ *   [{ "team": "Argentina", "name": "Lionel Messi", "position": "FWD" }, ...]
+ * or players grouped by team:
+ *   { "Argentina": [{ "name": "Lionel Messi", "position": "FWD" }, ...] }
+ * where a team may also be an object whose other keys apply to each of its
+ * players (the shape `npm run export` writes):
+ *   { "Argentina": { "team_id": "team:csv:argentina", "players": [...] } }
+ *
+ * Keys go through the same column aliases as CSV headers. JSON has no
+ * useful line numbers, so each record's line is the player's 1-based
+ * position in the file.
+ */
+
+import { readFile } from 'fs/promises';
+import { canonicalColumn } from '../squadRows.js';
+
+/**
+ * A JSON value as the text a CSV cell would hold (null when empty)
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return null;
+  return String(value).trim() || null;
+}
+
+/**
+ * Parse JSON squad content into { records, rejected }
+ */
+export function parseSquadJSON(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  let entries;
+  if (Array.isArray(data)) {
+    entries = data.map(player => ({ team: null, teamFields: {}, player }));
+  } else if (data && typeof data === 'object') {
+    entries = Object.entries(data).flatMap(([team, group]) => {
+      const { players, ...teamFields } = Array.isArray(group) ? { players: group } : group || {};
+      if (!Array.isArray(players)) {
+        throw new Error(`Players for "${team}" must be an array (or an object with a players array)`);
+      }
+      return players.map(player => ({ team, teamFields, player }));
+    });
+  } else {
+    throw new Error('JSON squad file must be an array of players or an object of players by team');
+  }
+
+  if (entries.length === 0) {
+    throw new Error('JSON squad file has no players');
+  }
+
+  const records = [];
+  const rejected = [];
+
+  entries.forEach(({ team, teamFields, player }, idx) => {
+    const line = idx + 1;
+
+    if (!player || typeof player !== 'object' || Array.isArray(player)) {
+      rejected.push({ line, team, name: null, errors: ['expected a player object'] });
+      return;
+    }
+
+    const row = {};
+    for (const [key, value] of Object.entries({ ...teamFields, ...player })) {
+      row[canonicalColumn(key)] = cellText(value);
+    }
+    row.team = row.team || team;
+    records.push({ line, row });
+  });
+
+  return { records, rejected };
+}
+
+/**
+ * Read a JSON squad file
+ */
+export async function readJSONFile(filePath) {
+  return parseSquadJSON(await readFile(filePath, 'utf-8'));
+}
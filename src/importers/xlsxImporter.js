@@ -0,0 +1,52 @@
+/**
+ * Excel Squad Importer
+ *
+ * Reads the first sheet of an .xlsx file: the first non-empty row is the
+ * header (aliased like CSV headers), each following row a player. Records
+ * carry their spreadsheet row number as the line.
+ */
+
+import { readSheet } from 'read-excel-file/node';
+import { mapColumns } from '../squadRows.js';
+
+/**
+ * A cell as the text a CSV cell would hold (null when empty)
+ * Date cells (e.g. date of birth) become YYYY-MM-DD
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).trim() || null;
+}
+
+/**
+ * Turn sheet rows (arrays of cell values) into { records, rejected }
+ */
+export function parseSheetRows(sheetRows) {
+  const rows = sheetRows
+    .map((cells, idx) => ({ line: idx + 1, cells: cells.map(cellText) }))
+    .filter(({ cells }) => cells.some(cell => cell !== null));
+
+  const [header, ...dataRows] = rows;
+  if (!header || dataRows.length === 0) {
+    throw new Error('Sheet must have a header row and at least one data row');
+  }
+
+  const columns = mapColumns(header.cells);
+  const records = dataRows.map(({ line, cells }) => {
+    const row = {};
+    columns.forEach((column, idx) => {
+      row[column] = cells[idx] ?? null;
+    });
+    return { line, row };
+  });
+
+  return { records, rejected: [] };
+}
+
+/**
+ * Read an .xlsx squad file
+ */
+export async function readXLSXFile(filePath) {
+  return parseSheetRows(await readSheet(filePath));
+}
@@ -4,11 +4,16 @@
  * Fetches squad data from Sportmonks API and persists to MongoDB Atlas.
  *
  * Usage: npm run ingest
+ *        npm run ingest -- --dry-run                 (preview, no writes)
+ *        npm run ingest -- --output changes.json     (preview saved as JSON)
  */
 
+import { fileURLToPath } from 'url';
 import { loadConfig, requireTeamIds } from './config.js';
 import { createClient } from './sportmonksClient.js';
 import * as db from './db.js';
+import { assignStickerNumbers } from './numbering.js';
+import { createIngestSession, formatCounts, parseIngestArgs, reportRun } from './ingestRun.js';
 
 /**
  * Extract the best display name from a player object
@@ -35,6 +40,76 @@ function extractCountryInfo(country) {
   };
 }
 
+// Sportmonks position type ids
+const SPORTMONKS_POSITIONS = {
+  24: 'GK',
+  25: 'DEF',
+  26: 'MID',
+  27: 'FWD',
+};
+
+// Sportmonks detailed position type ids: [short code, position group]
+const SPORTMONKS_DETAILED_POSITIONS = {
+  148: ['CB', 'DEF'],
+  149: ['DM', 'MID'],
+  150: ['AM', 'MID'],
+  151: ['CF', 'FWD'],
+  152: ['LW', 'FWD'],
+  153: ['CM', 'MID'],
+  154: ['RB', 'DEF'],
+  155: ['LB', 'DEF'],
+  156: ['RW', 'FWD'],
+  157: ['LM', 'MID'],
+  158: ['RM', 'MID'],
+  163: ['SS', 'FWD'],
+};
+
+/**
+ * Map Sportmonks position ids to GK/DEF/MID/FWD plus a detailed position (CB, LW, ...)
+ * The squad entry wins over the player profile; the group comes from the
+ * detailed position when position_id is missing
+ * Returns: { position, detailedPosition }
+ */
+function mapPosition(entry, player) {
+  const positionId = entry?.position_id || player?.position_id;
+  const detailedId = entry?.detailed_position_id || player?.detailed_position_id;
+  const [detailedPosition, group] = SPORTMONKS_DETAILED_POSITIONS[detailedId] || [null, null];
+
+  return {
+    position: SPORTMONKS_POSITIONS[positionId] || group,
+    detailedPosition,
+  };
+}
+
+// Sportmonks type ids: player metadata and statistic details
+const PREFERRED_FOOT_TYPE_ID = 229;
+const APPEARANCES_TYPE_ID = 321;
+const GOALS_TYPE_ID = 52;
+
+/**
+ * Extract profile stats from a player fetched with metadata and statistics
+ * Caps and goals add up the player's seasons for the national team being ingested
+ * Returns: { dateOfBirth, height, weight, preferredFoot, caps, internationalGoals }
+ */
+function extractProfile(player, nationalTeamId) {
+  const foot = player.metadata?.find(m => m.type_id === PREFERRED_FOOT_TYPE_ID)?.values;
+  const seasons = (player.statistics || []).filter(s => s.team_id === nationalTeamId);
+
+  const total = typeId => (seasons.length === 0 ? null : seasons.reduce((sum, season) => {
+    const detail = season.details?.find(d => d.type_id === typeId);
+    return sum + (detail?.value?.total || 0);
+  }, 0));
+
+  return {
+    dateOfBirth: player.date_of_birth || null,
+    height: player.height || null,
+    weight: player.weight || null,
+    preferredFoot: typeof foot === 'object' ? foot?.value : foot,
+    caps: total(APPEARANCES_TYPE_ID),
+    internationalGoals: total(GOALS_TYPE_ID),
+  };
+}
+
 /**
  * Find the current club from player's teams array
  * Looks for a team with type "domestic" or "club" that is currently active
@@ -70,8 +145,8 @@ function findCurrentClub(teams) {
 /**
  * Process a single team's squad
  */
-async function processTeamSquad(client, teamId, config) {
-  const stats = { playersUpserted: 0, errors: [] };
+async function processTeamSquad(client, teamId, config, session) {
+  const stats = { errors: [] };
 
   try {
     // 1. Fetch squad with player includes
@@ -89,7 +164,7 @@ async function processTeamSquad(client, teamId, config) {
       // Extract country info from included country object
       const countryInfo = extractCountryInfo(team.country);
 
-      await db.upsertTeam({
+      await session.saveTeam({
         providerId: team.id,
         name: team.name,
         type: team.type || null,
@@ -99,7 +174,7 @@ async function processTeamSquad(client, teamId, config) {
 
       // Also cache country in DB if we have it
       if (team.country && team.country.id) {
-        await db.upsertCountry({
+        await session.saveCountry({
           providerId: team.country.id,
           name: team.country.name,
           code: team.country.iso2 || team.country.fifa_name || null,
@@ -109,6 +184,9 @@ async function processTeamSquad(client, teamId, config) {
 
     // 3. Process players (max 24)
     const playerIds = [];
+    const jerseyNumbers = {};
+    // Players we couldn't load this time stay in the squad rather than count as dropped
+    const unresolvedIds = [];
     const maxPlayers = Math.min(squadEntries.length, config.MAX_PLAYERS_PER_SQUAD);
 
     for (let i = 0; i < maxPlayers; i++) {
@@ -124,13 +202,14 @@ async function processTeamSquad(client, teamId, config) {
         // Player data might be included in squad response
         let player = entry.player;
 
-        // If player data is not included or incomplete, fetch it
-        if (!player || !player.nationality_id) {
+        // If player data is not included or incomplete (no nationality or profile), fetch it
+        if (!player || !player.nationality_id || !player.metadata) {
           player = await client.getPlayer(playerId);
         }
 
         if (!player) {
           console.log(`[WARN] Could not fetch player ${playerId}`);
+          unresolvedIds.push(`player:sportmonks:${playerId}`);
           continue;
         }
 
@@ -170,9 +249,11 @@ async function processTeamSquad(client, teamId, config) {
 
         // Upsert player document
         const playerDocId = `player:sportmonks:${player.id}`;
-        await db.upsertPlayer({
+        await session.savePlayer({
           providerId: player.id,
           name: getPlayerName(player),
+          ...mapPosition(entry, player),
+          ...extractProfile(player, teamId),
           nationality: nationalityInfo,
           image_path: player.image_path || null,
           currentClub: currentClubInfo,
@@ -180,19 +261,25 @@ async function processTeamSquad(client, teamId, config) {
         });
 
         playerIds.push(playerDocId);
-        stats.playersUpserted++;
+        if (entry.jersey_number != null) {
+          jerseyNumbers[playerDocId] = entry.jersey_number;
+        }
 
       } catch (error) {
         console.error(`[ERROR] Failed to process player ${playerId}: ${error.message}`);
         stats.errors.push({ playerId, error: error.message });
+        unresolvedIds.push(`player:sportmonks:${playerId}`);
       }
     }
 
-    // 4. Upsert squad document with player references
-    await db.upsertSquad({
+    // 4. Save squad document with player references
+    await session.saveSquad({
       teamId,
+      teamRef: team ? `team:sportmonks:${team.id}` : null,
+      teamName: team?.name || null,
       playerIds,
-    });
+      jerseyNumbers,
+    }, { keepPlayerIds: unresolvedIds });
 
     console.log(`[OK] Team ${teamId}: ${playerIds.length} players processed`);
 
@@ -215,28 +302,41 @@ async function main() {
   console.log('========================================\n');
 
   // 1. Load and validate config
+  const options = parseIngestArgs(process.argv.slice(2));
   const config = loadConfig();
   requireTeamIds(config);
 
-  console.log(`[CONFIG] Database: ${config.DB_NAME}`);
+  console.log(`[CONFIG] Storage: ${config.STORAGE_BACKEND}, database: ${config.DB_NAME}`);
+  const source = config.SPORTMONKS_MODE === 'replay'
+    ? `replaying fixtures from ${config.SPORTMONKS_FIXTURES_DIR}`
+    : `${config.SPORTMONKS_MODE} against ${config.SPORTMONKS_BASE_URL}`;
+  console.log(`[CONFIG] Sportmonks: ${source}`);
   console.log(`[CONFIG] Teams to process: ${config.TEAM_IDS.length}`);
   console.log(`[CONFIG] Max players per squad: ${config.MAX_PLAYERS_PER_SQUAD}`);
+  if (options.dryRun) {
+    console.log('[CONFIG] Dry run: nothing will be written');
+  }
   console.log('');
 
-  // 2. Connect to MongoDB
-  await db.connect(config.MONGODB_URI, config.DB_NAME);
+  // 2. Connect to storage
+  await db.connect(config);
 
   // 3. Ensure indexes exist
-  await db.ensureIndexes();
+  if (!options.dryRun) {
+    await db.ensureIndexes();
+  }
 
-  // 4. Create API client
+  // 4. Create API client and start recording the run
   const client = createClient(config);
+  const session = createIngestSession({
+    source: 'sportmonks',
+    input: { teamIds: config.TEAM_IDS },
+    dryRun: options.dryRun,
+  });
 
   // 5. Process each team
   const summary = {
     teamsProcessed: 0,
-    playersUpserted: 0,
-    squadsUpserted: 0,
     errors: [],
   };
 
@@ -245,31 +345,39 @@ async function main() {
   for (const teamId of config.TEAM_IDS) {
     console.log(`\n--- Processing Team ${teamId} ---`);
 
-    const stats = await processTeamSquad(client, teamId, config);
+    const stats = await processTeamSquad(client, teamId, config, session);
 
     summary.teamsProcessed++;
-    summary.playersUpserted += stats.playersUpserted;
-    summary.squadsUpserted++;
     summary.errors.push(...stats.errors);
   }
 
-  // 6. Close connection
+  const run = await session.finish();
+
+  // 6. Assign album numbers to any new teams/stickers
+  if (!options.dryRun) {
+    const numbering = await assignStickerNumbers();
+    console.log(`\n[NUMBERING] ${numbering.teamsNumbered} teams, ${numbering.stickersNumbered} stickers newly numbered`);
+  }
+
+  // 7. Close connection
   await db.close();
 
-  // 7. Print summary
+  // 8. Print summary
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
 
   console.log('\n========================================');
   console.log('           INGESTION SUMMARY');
   console.log('========================================');
   console.log(`  Teams processed:   ${summary.teamsProcessed}`);
-  console.log(`  Players upserted:  ${summary.playersUpserted}`);
-  console.log(`  Squads upserted:   ${summary.squadsUpserted}`);
+  console.log(`  Players:           ${formatCounts(run.counts.players)}`);
+  console.log(`  Squads:            ${formatCounts(run.counts.squads)}`);
   console.log(`  API calls made:    ${client.getApiCallCount()}`);
   console.log(`  Errors:            ${summary.errors.length}`);
   console.log(`  Elapsed time:      ${elapsed}s`);
   console.log('========================================\n');
 
+  reportRun(run, options);
+
   if (summary.errors.length > 0) {
     console.log('[ERRORS]');
     summary.errors.forEach(e => console.log(`  - ${JSON.stringify(e)}`));
@@ -279,8 +387,12 @@ async function main() {
   process.exit(summary.errors.length > 0 ? 1 : 0);
 }
 
-// Run
-main().catch(error => {
-  console.error('[FATAL]', error);
-  process.exit(1);
-});
+// Run when invoked directly (not when imported by tests)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('[FATAL]', error);
+    process.exit(1);
+  });
+}
+
+export { getPlayerName, extractCountryInfo, findCurrentClub, mapPosition, extractProfile };
@@ -1,87 +1,59 @@
 /**
  * CSV Squad Data Ingestion Pipeline
  *
- * Ingests player/squad data from a CSV file into MongoDB Atlas.
+ * Ingests player/squad data from a CSV, JSON or Excel (.xlsx) file into
+ * MongoDB Atlas. The importer is picked by file extension (see importers/);
+ * every format goes through the same validation and upserts.
  *
- * CSV Format (supports both):
+ * CSV Format (RFC 4180; header names are aliased, see squadRows.js):
  *   team,name,position,club,country
  *   team,player_fullname,position,club,club_country
  *
+ * Rows need a known team, a name and a GK/DEF/MID/FWD position. Invalid rows
+ * and players beyond 26 per squad are rejected and reported by line number.
+ *
+ * Optional profile columns:
+ *   date_of_birth (YYYY-MM-DD), height (cm), weight (kg), preferred_foot, caps, goals
+ *
+ * Restore columns written by `npm run export` (player_id, team_id, squad_id,
+ * provider keys, jersey_number, sticker_number, ...) make rows update the
+ * documents they came from; a row with a player_id needs no position.
+ *
  * Usage: npm run ingest-csv -- data/squads.csv
+ *        npm run ingest-csv -- data/squads.json      (array of players, or players by team)
+ *        npm run ingest-csv -- data/squads.xlsx      (first sheet, header row first)
+ *        npm run ingest-csv -- data/squads.csv --dry-run  (preview, no writes)
+ *        npm run ingest-csv -- data/squads.csv --output changes.json
+ *        npm run ingest-csv -- data/squads.csv --report rejected.json (rejected rows as JSON)
  */
 
-import { readFileSync } from 'fs';
-import { loadConfig } from './config.js';
+import { writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { loadStorageConfig } from './config.js';
 import * as db from './db.js';
-
-// Max players per squad (World Cup squads are 26)
-const MAX_PLAYERS_PER_SQUAD = 26;
+import { assignStickerNumbers, FIRST_PLAYER_NUMBER, stickerLabel } from './numbering.js';
+import { parseStat } from './playerProfile.js';
+import { createIngestSession, formatCounts, parseIngestArgs, reportRun } from './ingestRun.js';
+import { knownTeamNames, MAX_SQUAD_SIZE, validateRows } from './squadRows.js';
+import { readSquadFile } from './importers/index.js';
 
 /**
- * Parse CSV content into array of objects
+ * Print rejected rows with their line numbers
  */
-function parseCSV(content) {
-  const lines = content.trim().split('\n');
-  if (lines.length < 2) {
-    throw new Error('CSV must have a header row and at least one data row');
-  }
-
-  const header = lines[0].split(',').map(h => h.trim().toLowerCase());
-
-  // Check for required columns (support both naming conventions)
-  const hasTeam = header.includes('team');
-  const hasName = header.includes('name') || header.includes('player_fullname');
-
-  if (!hasTeam || !hasName) {
-    throw new Error('CSV must have "team" and either "name" or "player_fullname" columns');
-  }
-
-  const data = [];
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-
-    // Handle quoted values with commas
-    const values = parseCSVLine(line);
-
-    if (values.length !== header.length) {
-      console.warn(`[WARN] Line ${i + 1}: expected ${header.length} columns, got ${values.length}. Skipping.`);
-      continue;
-    }
+function logRejectedRows(rejected) {
+  if (rejected.length === 0) return;
 
-    const row = {};
-    header.forEach((col, idx) => {
-      row[col] = values[idx]?.trim() || null;
-    });
-    data.push(row);
-  }
-
-  return data;
+  console.log(`[REJECTED] ${rejected.length} rows were not imported:`);
+  rejected.forEach(r => console.log(`  line ${r.line}: ${r.errors.join('; ')}`));
+  console.log('');
 }
 
 /**
- * Parse a single CSV line handling quoted values
+ * Save the rejected rows as JSON for fixing the source file
+ * Shape: { file, accepted, rejected: [{ line, team, name, errors }] }
  */
-function parseCSVLine(line) {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      values.push(current);
-      current = '';
-    } else {
-      current += char;
-    }
-  }
-  values.push(current);
-
-  return values;
+function writeRejectedReport(file, report) {
+  writeFileSync(file, JSON.stringify(report, null, 2));
 }
 
 /**
@@ -97,6 +69,37 @@ function generateId(prefix, name) {
   return `${prefix}:csv:${slug}`;
 }
 
+/**
+ * Provider keys read from a file are text; Sportmonks ids are numbers
+ */
+function providerKey(provider, value) {
+  if (!value) return null;
+  return provider !== 'csv' && /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Keep a stored { id, name, ... } reference while the file has the same name,
+ * so restoring an export doesn't drop Sportmonks ids and country codes
+ */
+function keepReference(stored, fresh) {
+  return stored?.name && stored.name === fresh.name ? stored : fresh;
+}
+
+/**
+ * Album page/code for a team from exported rows (team_code, team_page and
+ * the players' sticker_number), or null when the file has none
+ */
+function albumFromRows(teamRow, players, stored) {
+  if (!teamRow.team_code) return null;
+
+  const numbers = players.map(p => parseStat(p.sticker_number)).filter(n => n !== null);
+  return {
+    code: teamRow.team_code,
+    page: parseStat(teamRow.team_page) ?? stored?.album?.page ?? null,
+    nextNumber: Math.max(FIRST_PLAYER_NUMBER, stored?.album?.nextNumber || 0, ...numbers.map(n => n + 1)),
+  };
+}
+
 /**
  * Main ingestion pipeline
  */
@@ -107,36 +110,50 @@ async function main() {
   console.log('  CSV Squad Data Ingestion Pipeline');
   console.log('========================================\n');
 
-  // Get CSV file path from command line
-  const csvPath = process.argv[2];
+  // Get CSV file path and flags from command line
+  const options = parseIngestArgs(process.argv.slice(2));
+  const reportIndex = options.args.indexOf('--report');
+  const report = reportIndex === -1 ? null : options.args.splice(reportIndex, 2)[1];
+  const csvPath = options.args[0];
   if (!csvPath) {
-    console.error('[ERROR] Please provide a CSV file path');
-    console.error('Usage: npm run ingest-csv -- path/to/squads.csv\n');
+    console.error('[ERROR] Please provide a squad file path (.csv, .json or .xlsx)');
+    console.error('Usage: npm run ingest-csv -- path/to/squads.csv [--dry-run] [--output changes.json] [--report rejected.json]\n');
     process.exit(1);
   }
 
   // 1. Load config
-  const config = loadConfig();
-  console.log(`[CONFIG] Database: ${config.DB_NAME}`);
+  const config = loadStorageConfig();
+  console.log(`[CONFIG] Storage: ${config.STORAGE_BACKEND}, database: ${config.DB_NAME}`);
+  if (options.dryRun) {
+    console.log('[CONFIG] Dry run: nothing will be written');
+  }
 
-  // 2. Read and parse CSV
+  // 2. Read and parse the squad file (importer picked by extension)
   console.log(`[CSV] Reading ${csvPath}...`);
-  let csvContent;
+  let parsed;
   try {
-    csvContent = readFileSync(csvPath, 'utf-8');
+    parsed = await readSquadFile(csvPath);
   } catch (error) {
-    console.error(`[ERROR] Could not read CSV file: ${error.message}`);
+    console.error(`[ERROR] Could not read squad file: ${error.message}`);
     process.exit(1);
   }
 
-  const rows = parseCSV(csvContent);
-  console.log(`[CSV] Parsed ${rows.length} player rows`);
+  console.log(`[CSV] Parsed ${parsed.records.length + parsed.rejected.length} player rows (${parsed.format})`);
 
-  // 3. Connect to MongoDB
-  await db.connect(config.MONGODB_URI, config.DB_NAME);
+  // 3. Connect to storage
+  await db.connect(config);
+
+  // Validate rows against the known teams
+  const knownTeams = knownTeamNames(await db.getStorage().teams.list());
+  const validation = validateRows(parsed.records, { knownTeams });
+  const rejected = [...parsed.rejected, ...validation.rejected].sort((a, b) => a.line - b.line);
+  const rows = validation.accepted.map(record => record.row);
+  console.log(`[CSV] ${rows.length} rows accepted, ${rejected.length} rejected`);
 
   // 4. Ensure indexes exist
-  await db.ensureIndexes();
+  if (!options.dryRun) {
+    await db.ensureIndexes();
+  }
 
   // 5. Group players by team
   const teamMap = new Map();
@@ -150,88 +167,139 @@ async function main() {
 
   console.log(`[CSV] Found ${teamMap.size} teams\n`);
 
+  const session = createIngestSession({ source: 'csv', input: { file: csvPath, format: parsed.format }, dryRun: options.dryRun });
+
   // 6. Process each team
-  const summary = {
-    teamsUpserted: 0,
-    playersUpserted: 0,
-    squadsUpserted: 0,
-  };
+  // Rows from `npm run export` carry document ids and provider keys; those
+  // are updated in place, anything else gets CSV ids derived from names
+  const storage = db.getStorage();
 
   for (const [teamName, players] of teamMap) {
     console.log(`--- Processing Team: ${teamName} (${players.length} players) ---`);
 
-    // Upsert team document
-    const teamId = generateId('team', teamName);
-    await db.upsertTeam({
+    const teamRow = players.find(p => p.team_id) || players[0];
+    const teamProvider = teamRow.team_provider || 'csv';
+    const teamProviderId = providerKey(teamProvider, teamRow.team_provider_id) ?? teamName;
+    const teamId = teamRow.team_id || generateId('team', teamName);
+    const storedTeam = await storage.teams.findById(teamId);
+    const album = albumFromRows(teamRow, players, storedTeam);
+
+    // Upsert team document (empty fields never overwrite stored ones)
+    await session.saveTeam({
       _id: teamId,
-      provider: 'csv',
-      providerId: teamName,
+      provider: teamProvider,
+      providerId: teamProviderId,
       name: teamName,
       type: 'national',
-      country: { id: null, name: teamName, code: null },
+      country: keepReference(storedTeam?.country, { id: null, name: teamName, code: null }),
       image_path: null,
+      album,
     });
-    summary.teamsUpserted++;
 
-    // Upsert each player (max 26 for World Cup squads)
+    // Upsert each player (validation already capped the squad at 26)
     const playerIds = [];
-    const maxPlayers = Math.min(players.length, MAX_PLAYERS_PER_SQUAD);
-
-    for (let i = 0; i < maxPlayers; i++) {
-      const player = players[i];
-      // Support both column naming conventions
-      const playerName = player.name || player.player_fullname;
-      const clubCountry = player.club_country || player.country || null;
+    const jerseyNumbers = {};
 
-      const playerId = generateId('player', `${teamName}-${playerName}`);
+    for (const player of players) {
+      const playerName = player.name;
+      const provider = player.provider || 'csv';
+      const playerId = player.player_id || generateId('player', `${teamName}-${playerName}`);
+      const stored = await storage.players.findById(playerId);
+      const stickerNumber = parseStat(player.sticker_number);
 
-      await db.upsertPlayer({
+      await session.savePlayer({
         _id: playerId,
-        provider: 'csv',
-        providerId: `${teamName}:${playerName}`,
+        provider,
+        providerId: providerKey(provider, player.provider_id) ?? `${teamName}:${playerName}`,
         name: playerName,
-        position: player.position || null,
-        nationality: { id: null, name: teamName, code: null },
+        position: player.position,
+        detailedPosition: player.detailed_position,
+        // A stored nationality may differ from the team (dual nationals)
+        nationality: stored?.nationality || { id: null, name: teamName, code: null },
         image_path: player.image || null,
-        currentClub: { id: null, name: player.club || null },
-        currentClubCountry: { id: null, name: clubCountry, code: null },
+        currentClub: keepReference(stored?.currentClub, { id: null, name: player.club || null }),
+        currentClubCountry: keepReference(stored?.currentClubCountry, { id: null, name: player.club_country || null, code: null }),
+        dateOfBirth: player.date_of_birth,
+        height: player.height,
+        weight: player.weight,
+        preferredFoot: player.preferred_foot,
+        caps: player.caps,
+        internationalGoals: player.goals,
+        sticker: album && stickerNumber !== null
+          ? { code: album.code, number: stickerNumber, label: stickerLabel(album.code, stickerNumber) }
+          : null,
       });
 
       playerIds.push(playerId);
-      summary.playersUpserted++;
+      const jerseyNumber = parseStat(player.jersey_number);
+      if (jerseyNumber !== null) {
+        jerseyNumbers[playerId] = jerseyNumber;
+      }
     }
 
-    // Upsert squad document
-    await db.upsertSquad({
-      _id: `squad:csv:${teamName.toLowerCase().replace(/\s+/g, '-')}:current`,
-      provider: 'csv',
-      teamId: teamName,
+    // Save squad document; players no longer listed are marked as dropped,
+    // but a rejected row doesn't drop a player who is already in the squad
+    const rejectedIds = rejected
+      .filter(r => r.team === teamName && r.name)
+      .map(r => r.playerId || generateId('player', `${teamName}-${r.name}`));
+
+    await session.saveSquad({
+      _id: teamRow.squad_id || `squad:csv:${teamName.toLowerCase().replace(/\s+/g, '-')}:current`,
+      provider: teamProvider,
+      // Squads are keyed by team name for CSV teams, by provider id otherwise
+      teamId: teamProvider === 'csv' ? teamName : teamProviderId,
+      teamRef: teamId,
       teamName: teamName,
       playerIds,
-    });
-    summary.squadsUpserted++;
+      jerseyNumbers,
+    }, { keepPlayerIds: rejectedIds, maxSize: MAX_SQUAD_SIZE });
 
     console.log(`[OK] ${teamName}: ${playerIds.length} players\n`);
   }
 
-  // 7. Close connection
+  const run = await session.finish();
+
+  // 7. Assign album numbers to any new teams/stickers
+  if (!options.dryRun) {
+    const numbering = await assignStickerNumbers();
+    console.log(`[NUMBERING] ${numbering.teamsNumbered} teams, ${numbering.stickersNumbered} stickers newly numbered\n`);
+  }
+
+  // 8. Close connection
   await db.close();
 
-  // 8. Print summary
+  // 9. Print summary
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
 
   console.log('========================================');
   console.log('           INGESTION SUMMARY');
   console.log('========================================');
-  console.log(`  Teams upserted:    ${summary.teamsUpserted}`);
-  console.log(`  Players upserted:  ${summary.playersUpserted}`);
-  console.log(`  Squads upserted:   ${summary.squadsUpserted}`);
+  console.log(`  Teams:             ${formatCounts(run.counts.teams)}`);
+  console.log(`  Players:           ${formatCounts(run.counts.players)}`);
+  console.log(`  Squads:            ${formatCounts(run.counts.squads)}`);
   console.log(`  Elapsed time:      ${elapsed}s`);
   console.log('========================================\n');
+
+  reportRun(run, options);
+  logRejectedRows(rejected);
+
+  if (report) {
+    writeRejectedReport(report, { file: csvPath, accepted: rows.length, rejected });
+    console.log(`[CSV] Rejected row report saved to ${report}\n`);
+  }
+
+  if (rejected.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Run when invoked directly (not when imported by tests)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('[FATAL]', error);
+    process.exit(1);
+  });
 }
 
-// Run
-main().catch(error => {
-  console.error('[FATAL]', error);
-  process.exit(1);
-});
+export { generateId };
+export { parseCSV, parseCSVLine, parseCSVRecords } from './importers/csvImporter.js';
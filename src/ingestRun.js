@@ -0,0 +1,355 @@
+/**
+ * Incremental Ingestion
+ *
+ * An ingest session compares every team, player, squad and country a run
+ * produces with what is already stored. New documents are inserted, changed
+ * ones get only their changed fields (plus a fresh timestamp) and unchanged
+ * ones are not written at all. Players missing from a squad's new list are
+ * marked with droppedFromSquad instead of silently losing their squad, unless
+ * another squad in the same run lists them (checked in finish(), so the order
+ * teams are processed in doesn't matter).
+ *
+ * finish() records the run in ingestRuns with the counts and a diff summary.
+ *
+ * A dry-run session reads the stored documents but writes nothing: every
+ * create, update and squad removal is collected in operations instead, so
+ * the caller can show what a real run would change.
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import * as db from './db.js';
+
+const DOC_KINDS = ['teams', 'players', 'squads', 'countries'];
+const TIMESTAMP_FIELDS = ['updatedAt', 'fetchedAt'];
+
+/**
+ * A source value that carries no information: null, or an object such as
+ * { id: null, name: null } whose values are all null
+ */
+function isBlank(value) {
+  if (value === null) return true;
+  return typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+    Object.values(value).every(v => v === null);
+}
+
+/**
+ * Fields of next that differ from existing
+ * Blank values are never a change, so they can't wipe data an earlier run
+ * (or an admin) stored
+ */
+function changedFields(existing, next, keep = []) {
+  const fields = {};
+
+  for (const [key, value] of Object.entries(next)) {
+    if (key === '_id' || keep.includes(key)) continue;
+    if (isBlank(value)) continue;
+    if (!isDeepStrictEqual(existing[key], value)) {
+      fields[key] = value;
+    }
+  }
+
+  return fields;
+}
+
+const emptyCounts = () => ({ created: 0, updated: 0, unchanged: 0 });
+
+/**
+ * Parse the flags both ingest commands share
+ * --dry-run previews the changes; --output <file> also saves them as JSON
+ * (and implies --dry-run). Anything else is returned in args.
+ */
+export function parseIngestArgs(argv) {
+  const options = { dryRun: false, output: null, args: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--output':
+        options.output = argv[++i];
+        if (!options.output) {
+          throw new Error('--output takes a file path');
+        }
+        options.dryRun = true;
+        break;
+      default:
+        options.args.push(argv[i]);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Start recording an ingest run
+ * source names the pipeline ('sportmonks', 'csv'), input what it read
+ */
+export function createIngestSession({ source, input = null, dryRun = false } = {}) {
+  const storage = db.getStorage();
+  const startedAt = new Date();
+  const operations = [];
+  // Dry runs keep what they would have written so later reads see it
+  const pending = Object.fromEntries(DOC_KINDS.map(kind => [kind, new Map()]));
+  const counts = Object.fromEntries(DOC_KINDS.map(kind => [kind, emptyCounts()]));
+  const changes = {
+    added: [],
+    removedFromSquad: [],
+    clubChanged: [],
+    positionChanged: [],
+  };
+  // Members of every squad saved so far, and players who left a squad
+  const squadMembers = new Set();
+  const leftSquad = [];
+
+  async function find(kind, _id) {
+    return pending[kind].get(_id) || storage[kind].findById(_id);
+  }
+
+  /**
+   * Record a write, and make it unless this is a dry run
+   */
+  async function write(operation, doc, apply) {
+    operations.push(operation);
+    if (dryRun) {
+      pending[operation.collection].set(operation._id, doc);
+    } else {
+      await apply();
+    }
+  }
+
+  /**
+   * Insert a new document or write only what changed
+   * keepFields(previous) lists stored fields this run must not touch
+   * Returns { doc, status, previous, fields }
+   */
+  async function save(kind, doc, stamp, keepFields = () => []) {
+    const repo = storage[kind];
+    const previous = await find(kind, doc._id);
+
+    if (!previous) {
+      const created = { ...doc, [stamp]: new Date() };
+      await write({ op: 'create', collection: kind, _id: doc._id, fields: created }, created, () => repo.upsert(created));
+      counts[kind].created++;
+      return { doc: created, status: 'created', previous: null, fields: doc };
+    }
+
+    const fields = changedFields(previous, doc, keepFields(previous));
+    if (Object.keys(fields).length === 0) {
+      counts[kind].unchanged++;
+      return { doc: previous, status: 'unchanged', previous, fields };
+    }
+
+    const update = { ...fields, [stamp]: new Date() };
+    const updated = { ...previous, ...update };
+    await write({ op: 'update', collection: kind, _id: doc._id, fields: update }, updated, () => repo.update(doc._id, update));
+    counts[kind].updated++;
+    return { doc: updated, status: 'updated', previous, fields };
+  }
+
+  async function saveTeam(teamData) {
+    return (await save('teams', db.buildTeamDoc(teamData), 'updatedAt')).doc;
+  }
+
+  async function saveCountry(countryData) {
+    return (await save('countries', db.buildCountryDoc(countryData), 'updatedAt')).doc;
+  }
+
+  async function savePlayer(playerData) {
+    const doc = db.buildPlayerDoc(playerData);
+
+    // An approved sticker owns image_path; ingest must not put the headshot back
+    const result = await save('players', doc, 'updatedAt', previous => (previous.imageVersion ? ['image_path'] : []));
+
+    if (result.status === 'updated') {
+      const { previous, fields } = result;
+      if ('currentClub' in fields) {
+        changes.clubChanged.push({
+          playerId: doc._id,
+          name: doc.name,
+          from: previous.currentClub?.name || null,
+          to: fields.currentClub.name,
+        });
+      }
+      if ('position' in fields) {
+        changes.positionChanged.push({
+          playerId: doc._id,
+          name: doc.name,
+          from: previous.position || null,
+          to: fields.position,
+        });
+      }
+    }
+
+    return result.doc;
+  }
+
+  function updatePlayer(player, fields) {
+    return write(
+      { op: 'update', collection: 'players', _id: player._id, fields },
+      { ...player, ...fields },
+      () => storage.players.update(player._id, fields)
+    );
+  }
+
+  /**
+   * Save a squad and mark the players that left it
+   * keepPlayerIds: current members to keep even though this run didn't
+   * return them (e.g. the player lookup failed)
+   * maxSize: squad size cap; kept members only fill places the run left free
+   */
+  async function saveSquad(squadData, { keepPlayerIds = [], maxSize = Infinity } = {}) {
+    const doc = db.buildSquadDoc(squadData);
+    const existing = await find('squads', doc._id);
+    const previousIds = existing?.playerIds || [];
+
+    const kept = previousIds
+      .filter(id => keepPlayerIds.includes(id) && !doc.playerIds.includes(id))
+      .slice(0, Math.max(0, maxSize - doc.playerIds.length));
+    doc.playerIds = [...doc.playerIds, ...kept];
+    for (const id of kept.filter(id => existing.jerseyNumbers?.[id] != null)) {
+      doc.jerseyNumbers[id] = existing.jerseyNumbers[id];
+    }
+
+    const result = await save('squads', doc, 'fetchedAt');
+    const teamName = doc.teamName;
+    doc.playerIds.forEach(id => squadMembers.add(id));
+
+    for (const playerId of doc.playerIds.filter(id => !previousIds.includes(id))) {
+      const player = await find('players', playerId);
+      changes.added.push({ playerId, name: player?.name || null, teamName });
+
+      // Back in the squad after being dropped
+      if (player?.droppedFromSquad) {
+        await updatePlayer(player, { droppedFromSquad: null, updatedAt: new Date() });
+      }
+    }
+
+    for (const playerId of previousIds.filter(id => !doc.playerIds.includes(id))) {
+      const player = await find('players', playerId);
+      const name = player?.name || null;
+      changes.removedFromSquad.push({ playerId, name, teamName });
+      operations.push({ op: 'delete', collection: 'squads', _id: doc._id, playerId, name });
+      leftSquad.push({ playerId, squadId: doc._id, teamName });
+    }
+
+    return result.doc;
+  }
+
+  /**
+   * Mark players who left a squad as dropped, unless they joined another
+   * squad in this run
+   */
+  async function markDroppedPlayers() {
+    for (const { playerId, squadId, teamName } of leftSquad) {
+      if (squadMembers.has(playerId)) continue;
+
+      const player = await find('players', playerId);
+      if (player) {
+        await updatePlayer(player, {
+          droppedFromSquad: { squadId, teamName, droppedAt: new Date() },
+          updatedAt: new Date(),
+        });
+      }
+    }
+  }
+
+  /**
+   * Record the run in ingestRuns and return it
+   * A dry run is not recorded; it comes back with dryRun and operations set
+   */
+  async function finish() {
+    await markDroppedPlayers();
+
+    const run = {
+      _id: `ingestRun:${randomUUID()}`,
+      source,
+      input,
+      startedAt,
+      finishedAt: new Date(),
+      counts,
+      changes,
+    };
+
+    if (dryRun) {
+      return { ...run, dryRun: true, operations };
+    }
+
+    await storage.ingestRuns.insert(run);
+    return run;
+  }
+
+  return { saveTeam, savePlayer, saveSquad, saveCountry, finish, counts, changes, operations };
+}
+
+/**
+ * "3 created, 1 updated, 20 unchanged"
+ */
+export function formatCounts({ created, updated, unchanged }) {
+  return `${created} created, ${updated} updated, ${unchanged} unchanged`;
+}
+
+/**
+ * Print what a run changed
+ */
+export function logRunChanges(run) {
+  const { added, removedFromSquad, clubChanged, positionChanged } = run.changes;
+
+  console.log(`[CHANGES] ${added.length} added, ${removedFromSquad.length} removed from squad, ` +
+    `${clubChanged.length} club changes, ${positionChanged.length} position changes`);
+
+  added.forEach(c => console.log(`  + ${c.name || c.playerId} (${c.teamName})`));
+  removedFromSquad.forEach(c => console.log(`  - ${c.name || c.playerId} (${c.teamName})`));
+  clubChanged.forEach(c => console.log(`  ~ ${c.name}: club ${c.from || '-'} -> ${c.to || '-'}`));
+  positionChanged.forEach(c => console.log(`  ~ ${c.name}: position ${c.from || '-'} -> ${c.to || '-'}`));
+}
+
+/**
+ * Print the writes a dry run would have made
+ */
+export function logDryRun(run) {
+  const ops = run.operations;
+  const count = op => ops.filter(o => o.op === op).length;
+
+  console.log(`[DRY RUN] Nothing was written. ${count('create')} creates, ${count('update')} updates, ${count('delete')} deletes:`);
+
+  for (const o of ops) {
+    if (o.op === 'delete') {
+      console.log(`  delete  ${o._id}: remove ${o.name || o.playerId} from squad`);
+    } else {
+      const fields = Object.keys(o.fields).filter(key => !TIMESTAMP_FIELDS.includes(key));
+      console.log(`  ${o.op.padEnd(7)} ${o._id}${o.op === 'update' ? ` (${fields.join(', ')})` : ''}`);
+    }
+  }
+}
+
+/**
+ * Save a dry run as JSON
+ */
+export function writeDryRun(run, file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(run, null, 2));
+}
+
+/**
+ * Print a finished run: its changes, then either where it was recorded or,
+ * for a dry run, the writes it skipped (saved to output when given)
+ */
+export function reportRun(run, { output = null } = {}) {
+  logRunChanges(run);
+
+  if (!run.dryRun) {
+    console.log(`[RUN] Recorded as ${run._id}\n`);
+    return;
+  }
+
+  logDryRun(run);
+  if (output) {
+    writeDryRun(run, output);
+    console.log(`[DRY RUN] Saved to ${output}`);
+  }
+  console.log('');
+}
@@ -0,0 +1,49 @@
+/**
+ * Missing Kit Report
+ *
+ * Lists teams that have no entry (or an incomplete one) in the sticker kit
+ * catalogue (src/rendering/stickerCatalogue.json). Checks every qualified
+ * team with a flag plus any other team in storage.
+ *
+ * Usage: npm run missing-kits
+ */
+
+import { loadStorageConfig } from './config.js';
+import * as db from './db.js';
+import { flagEmojis } from './flags.js';
+import { findMissingKits, stickerCatalogue } from './rendering/prompt.js';
+
+/**
+ * Main function
+ */
+async function main() {
+  const config = loadStorageConfig();
+  await db.connect(config);
+
+  let storedTeams;
+  try {
+    storedTeams = await db.getStorage().teams.list();
+  } finally {
+    await db.close();
+  }
+
+  const teamNames = [...new Set([...Object.keys(flagEmojis), ...storedTeams.map(team => team.name)])]
+    .filter(Boolean)
+    .sort();
+
+  const missing = findMissingKits(teamNames);
+  const template = stickerCatalogue.templates[stickerCatalogue.template];
+
+  console.log(`\n[CATALOGUE] v${stickerCatalogue.version}, template "${stickerCatalogue.template}" v${template.version}`);
+  console.log(`[CATALOGUE] ${teamNames.length} teams checked, ${missing.length} missing kit entries\n`);
+
+  for (const { team, missing: kits } of missing) {
+    console.log(`  - ${team}: ${kits.join(', ')}`);
+  }
+  if (missing.length > 0) console.log('');
+}
+
+main().catch(error => {
+  console.error('[FATAL]', error);
+  process.exit(1);
+});
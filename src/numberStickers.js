@@ -0,0 +1,39 @@
+/**
+ * Sticker Numbering Pass
+ *
+ * Assigns album pages and sticker numbers (e.g. "ARG 12") to any teams and
+ * players that don't have one yet. Safe to re-run after every ingest.
+ *
+ * Usage: npm run number-stickers
+ */
+
+import { loadStorageConfig } from './config.js';
+import * as db from './db.js';
+import { assignStickerNumbers } from './numbering.js';
+
+/**
+ * Main numbering pass
+ */
+async function main() {
+  console.log('\n========================================');
+  console.log('  Sticker Numbering');
+  console.log('========================================\n');
+
+  const config = loadStorageConfig();
+  console.log(`[CONFIG] Storage: ${config.STORAGE_BACKEND}, database: ${config.DB_NAME}`);
+
+  await db.connect(config);
+
+  const summary = await assignStickerNumbers();
+
+  await db.close();
+
+  console.log(`\n[OK] Teams numbered:    ${summary.teamsNumbered}`);
+  console.log(`[OK] Stickers numbered: ${summary.stickersNumbered}\n`);
+}
+
+// Run
+main().catch(error => {
+  console.error('[FATAL]', error);
+  process.exit(1);
+});
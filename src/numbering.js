@@ -0,0 +1,149 @@
+/**
+ * Album Sticker Numbering
+ *
+ * Assigns each team a page and a three-letter code, and each sticker a fixed
+ * number within its team (e.g. "ARG 12"), persisted on the team and player
+ * documents. Numbers are never reassigned: existing stickers keep theirs on
+ * re-ingest, new players take the next free number, and a player dropped from
+ * the squad keeps his number so swap lists stay valid.
+ *
+ * Per team: 1 = team badge, 2 = squad photo, 3+ = players (GK → DEF → MID → FWD)
+ */
+
+import * as db from './db.js';
+
+// FIFA codes for the qualified teams; other teams fall back to their name
+export const TEAM_CODES = {
+  'Algeria': 'ALG',
+  'Argentina': 'ARG',
+  'Australia': 'AUS',
+  'Austria': 'AUT',
+  'Belgium': 'BEL',
+  'Brazil': 'BRA',
+  'Canada': 'CAN',
+  'Cape Verde': 'CPV',
+  'Colombia': 'COL',
+  'Croatia': 'CRO',
+  'Curaçao': 'CUW',
+  'Ecuador': 'ECU',
+  'Egypt': 'EGY',
+  'England': 'ENG',
+  'France': 'FRA',
+  'Germany': 'GER',
+  'Ghana': 'GHA',
+  'Haiti': 'HAI',
+  'Iran': 'IRN',
+  'Ivory Coast': 'CIV',
+  'Japan': 'JPN',
+  'Jordan': 'JOR',
+  'Mexico': 'MEX',
+  'Morocco': 'MAR',
+  'Netherlands': 'NED',
+  'New Zealand': 'NZL',
+  'Norway': 'NOR',
+  'Panama': 'PAN',
+  'Paraguay': 'PAR',
+  'Portugal': 'POR',
+  'Qatar': 'QAT',
+  'Saudi Arabia': 'KSA',
+  'Scotland': 'SCO',
+  'Senegal': 'SEN',
+  'South Africa': 'RSA',
+  'South Korea': 'KOR',
+  'Spain': 'ESP',
+  'Switzerland': 'SUI',
+  'Tunisia': 'TUN',
+  'United States': 'USA',
+  'Uruguay': 'URU',
+  'Uzbekistan': 'UZB',
+};
+
+// Reserved numbers at the start of every team page
+export const BADGE_NUMBER = 1;
+export const SQUAD_PHOTO_NUMBER = 2;
+export const FIRST_PLAYER_NUMBER = 3;
+
+const positionOrder = { 'GK': 1, 'DEF': 2, 'MID': 3, 'FWD': 4 };
+
+/**
+ * Format a sticker label, e.g. ("ARG", 12) -> "ARG 12"
+ */
+export function stickerLabel(code, number) {
+  return `${code} ${number}`;
+}
+
+/**
+ * Pick a code for a team not in TEAM_CODES, avoiding codes already taken
+ */
+function fallbackCode(teamName, taken) {
+  const letters = teamName
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove accents
+    .replace(/[^A-Za-z]/g, '')
+    .toUpperCase();
+
+  let code = letters.slice(0, 3).padEnd(3, 'X');
+  for (let i = 3; taken.has(code) && i < letters.length; i++) {
+    code = letters.slice(0, 2) + letters[i];
+  }
+  return code;
+}
+
+/**
+ * Assign team pages/codes and sticker numbers for every team with a squad
+ * Returns a summary of what was newly numbered
+ */
+export async function assignStickerNumbers() {
+  const storage = db.getStorage();
+
+  const teams = await storage.teams.list();
+  const summary = { teamsNumbered: 0, stickersNumbered: 0 };
+
+  const takenCodes = new Set(teams.map(t => t.album?.code).filter(Boolean));
+  let nextPage = Math.max(0, ...teams.map(t => t.album?.page || 0)) + 1;
+
+  for (const team of teams) {
+    if (!team.name) continue;
+
+    // Team page and code are fixed the first time a team is numbered
+    let album = team.album;
+    if (!album?.code) {
+      const code = TEAM_CODES[team.name] && !takenCodes.has(TEAM_CODES[team.name])
+        ? TEAM_CODES[team.name]
+        : fallbackCode(team.name, takenCodes);
+      takenCodes.add(code);
+
+      album = { code, page: nextPage++, nextNumber: FIRST_PLAYER_NUMBER };
+      await storage.teams.update(team._id, { album });
+      summary.teamsNumbered++;
+    }
+
+    const squad = await db.findTeamSquad(team);
+    if (!squad) continue;
+
+    const players = await storage.players.findByIds(squad.playerIds);
+
+    // Only players without a number are assigned, in album order
+    const unnumbered = players
+      .filter(p => !p.sticker?.number || p.sticker.code !== album.code)
+      .sort((a, b) =>
+        (positionOrder[a.position] || 5) - (positionOrder[b.position] || 5) ||
+        (a.name || '').localeCompare(b.name || '')
+      );
+
+    if (unnumbered.length === 0) continue;
+
+    let nextNumber = album.nextNumber || FIRST_PLAYER_NUMBER;
+    for (const player of unnumbered) {
+      const number = nextNumber++;
+      await storage.players.update(player._id, {
+        sticker: { code: album.code, number, label: stickerLabel(album.code, number) },
+      });
+      summary.stickersNumbered++;
+    }
+
+    await storage.teams.update(team._id, { album: { ...album, nextNumber } });
+  }
+
+  return summary;
+}
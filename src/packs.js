@@ -0,0 +1,80 @@
+/**
+ * Virtual Sticker Packs
+ *
+ * Draws random stickers for a pack from a pool of players and team crests.
+ * Draws are driven by a seedable PRNG so odds can be checked deterministically.
+ */
+
+// Defaults used when the server env doesn't override them
+export const PACK_DEFAULTS = {
+  size: 5,
+  crestOdds: 0.05,   // Chance that a slot is a team crest instead of a player
+  shinyOdds: 0.02,   // Chance that a drawn sticker is a shiny variant
+};
+
+/**
+ * Hash a seed string into a 32-bit integer (FNV-1a)
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  const str = String(seed);
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * Returns a function producing floats in [0, 1)
+ */
+export function createRng(seed) {
+  let state = hashSeed(seed);
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw one pack of stickers
+ *
+ * pool: { players: [{ _id, ... }], crests: [{ _id, ... }] }
+ * options: { size, crestOdds, shinyOdds, seed }
+ * Returns: [{ sticker, type: 'player' | 'crest', shiny }]
+ */
+export function drawPack(pool, options = {}) {
+  const { size, crestOdds, shinyOdds } = { ...PACK_DEFAULTS, ...options };
+  const seed = options.seed ?? `${Date.now()}:${Math.random()}`;
+  const random = createRng(seed);
+
+  const players = pool.players || [];
+  const crests = pool.crests || [];
+
+  if (players.length === 0 && crests.length === 0) {
+    throw new Error('Cannot open a pack from an empty sticker pool');
+  }
+
+  const draws = [];
+  for (let i = 0; i < size; i++) {
+    // Always roll both so a seed gives the same sequence whatever the pool
+    const typeRoll = random();
+    const pickRoll = random();
+    const shinyRoll = random();
+
+    const useCrest = crests.length > 0 && (typeRoll < crestOdds || players.length === 0);
+    const source = useCrest ? crests : players;
+
+    draws.push({
+      sticker: source[Math.floor(pickRoll * source.length)],
+      type: useCrest ? 'crest' : 'player',
+      shiny: shinyRoll < shinyOdds,
+    });
+  }
+
+  return draws;
+}
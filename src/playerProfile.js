@@ -0,0 +1,62 @@
+/**
+ * Player Profile
+ *
+ * The vital stats printed on the back of a sticker: date of birth, height
+ * (cm), weight (kg), preferred foot and international caps/goals. Both
+ * ingest pipelines normalise their raw values through these helpers.
+ */
+
+export const PREFERRED_FEET = ['left', 'right', 'both'];
+
+const DATE_OF_BIRTH = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 'Right', 'R', 'right foot' -> 'right'; anything unrecognised -> null
+ */
+export function normalizeFoot(value) {
+  if (typeof value !== 'string') return null;
+  const foot = value.trim().toLowerCase();
+  return PREFERRED_FEET.find(f => foot === f || foot === f[0] || foot.startsWith(`${f} `)) || null;
+}
+
+/**
+ * A non-negative whole number ("182", 182, "182 cm"), or null
+ */
+export function parseStat(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseInt(value, 10);
+  return Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+/**
+ * A YYYY-MM-DD date of birth (time part dropped), or null
+ */
+export function parseDateOfBirth(value) {
+  const date = typeof value === 'string' ? value.trim().slice(0, 10) : null;
+  return date && DATE_OF_BIRTH.test(date) && !isNaN(new Date(date)) ? date : null;
+}
+
+/**
+ * Profile fields for a player document from raw source values
+ */
+export function buildProfile({ dateOfBirth, height, weight, preferredFoot, caps, internationalGoals } = {}) {
+  return {
+    dateOfBirth: parseDateOfBirth(dateOfBirth),
+    height: parseStat(height),
+    weight: parseStat(weight),
+    preferredFoot: normalizeFoot(preferredFoot),
+    caps: parseStat(caps),
+    internationalGoals: parseStat(internationalGoals),
+  };
+}
+
+/**
+ * Age in whole years on a given day
+ */
+export function ageOn(dateOfBirth, today = new Date()) {
+  if (!dateOfBirth) return null;
+  const [year, month, day] = dateOfBirth.split('-').map(Number);
+  const hadBirthday = today.getUTCMonth() + 1 > month ||
+    (today.getUTCMonth() + 1 === month && today.getUTCDate() >= day);
+  return today.getUTCFullYear() - year - (hadBirthday ? 0 : 1);
+}
@@ -0,0 +1,170 @@
+/**
+ * Fireworks FLUX Kontext Provider
+ *
+ * Restyles a source headshot into a Panini sticker. Generation is async on
+ * Fireworks' side: submit() returns a request id, getResult() polls it.
+ */
+
+import { buildStickerPrompt } from './prompt.js';
+
+const KONTEXT_URL = 'https://api.fireworks.ai/inference/v1/workflows/accounts/fireworks/models/flux-kontext-pro';
+
+// Fireworks statuses for requests blocked by content moderation
+const MODERATED_STATUSES = ['Content Moderated', 'Request Moderated'];
+
+/**
+ * Guess the file extension from an image's magic bytes
+ */
+function imageExtension(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpg';
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'webp';
+  return 'png';
+}
+
+/**
+ * Build an error for a failed API response, keeping the HTTP status so
+ * callers can tell rate limits and outages (retry) from bad requests
+ */
+async function apiError(label, response) {
+  const error = new Error(`${label}: ${response.status} - ${await response.text()}`);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Create a Fireworks Kontext provider
+ */
+export function createFireworksProvider({ apiKey, baseUrl = KONTEXT_URL, pollIntervalMs = 2000, maxPolls = 30 }) {
+  async function post(url, body) {
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  /**
+   * Submit a source image for restyling, returns the Fireworks request id
+   */
+  async function submit({ sourceImageUrl, prompt }) {
+    const response = await post(baseUrl, {
+      input_image: sourceImageUrl,
+      prompt,
+      aspect_ratio: '1:1',
+    });
+
+    if (!response.ok) {
+      throw await apiError('Kontext API error', response);
+    }
+
+    const data = await response.json();
+    return data.request_id;
+  }
+
+  /**
+   * Check a request once
+   * Returns { state, status, result }: state is pending, ready, moderated or
+   * error; status is the raw Fireworks status string
+   */
+  async function checkResult(requestId) {
+    const response = await post(`${baseUrl}/get_result`, { id: requestId });
+
+    if (!response.ok) {
+      throw await apiError('Get result error', response);
+    }
+
+    const data = await response.json();
+
+    let state = 'pending';
+    if (data.status === 'Ready') {
+      state = 'ready';
+    } else if (MODERATED_STATUSES.includes(data.status)) {
+      state = 'moderated';
+    } else if (data.status === 'Error') {
+      state = 'error';
+    }
+
+    return { state, status: data.status, result: data.result };
+  }
+
+  /**
+   * Poll a request until the image is ready
+   */
+  async function getResult(requestId) {
+    for (let i = 0; i < maxPolls; i++) {
+      const { state, status, result } = await checkResult(requestId);
+
+      if (state === 'ready') {
+        return result;
+      } else if (state !== 'pending') {
+        throw new Error(`Generation failed: ${status}`);
+      }
+
+      console.log(`  ⏳ ${status}...`);
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
+
+    throw new Error('Timeout waiting for image generation');
+  }
+
+  /**
+   * Turn a Kontext result (URL, data URL or bare base64) into image bytes
+   */
+  async function download(result) {
+    const imageData = typeof result === 'object' && result !== null
+      ? result.sample || result.output_image || result.image || result.url
+      : result;
+
+    if (typeof imageData !== 'string') {
+      throw new Error(`Unexpected result format: ${JSON.stringify(result).substring(0, 300)}`);
+    }
+
+    let data;
+    if (imageData.startsWith('data:')) {
+      data = Buffer.from(imageData.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+    } else if (imageData.startsWith('http')) {
+      const response = await fetch(imageData);
+      if (!response.ok) {
+        throw await apiError('Image download failed', response);
+      }
+      data = Buffer.from(await response.arrayBuffer());
+    } else {
+      data = Buffer.from(imageData, 'base64');
+    }
+
+    return { data, extension: imageExtension(data) };
+  }
+
+  /**
+   * Render a sticker end to end: submit, wait, download
+   */
+  async function render({ position, teamName, sourceImageUrl }) {
+    if (!sourceImageUrl) {
+      throw new Error('Fireworks rendering needs a source image');
+    }
+
+    const { prompt, promptInfo } = buildStickerPrompt(teamName, { position });
+    const requestId = await submit({ sourceImageUrl, prompt });
+    console.log(`  ⏳ Request ID: ${requestId}`);
+
+    const result = await getResult(requestId);
+    return { ...(await download(result)), promptInfo };
+  }
+
+  return {
+    name: 'fireworks',
+    requiresSourceImage: true,
+    // Pause between stickers to stay under Fireworks rate limits
+    rateLimitMs: 3000,
+    pollIntervalMs,
+    maxPolls,
+    submit,
+    checkResult,
+    getResult,
+    download,
+    render,
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Sticker Rendering
+ *
+ * Every provider exposes render({ name, position, teamName, sourceImageUrl })
+ * resolving to { data: Buffer, extension }, plus `requiresSourceImage` so
+ * callers know whether to look up a headshot first and `rateLimitMs` to pause
+ * between stickers.
+ *
+ * IMAGE_PROVIDER=fireworks  FLUX Kontext restyle of a real headshot (default)
+ * IMAGE_PROVIDER=local      Offline SVG placeholder (name, position colour, flag)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createFireworksProvider } from './fireworksProvider.js';
+import { createLocalProvider } from './localProvider.js';
+
+export const IMAGE_PROVIDERS = ['fireworks', 'local'];
+
+/**
+ * Create the sticker renderer named in config
+ */
+export function createRenderer(config) {
+  switch (config.IMAGE_PROVIDER) {
+    case 'local':
+      return createLocalProvider();
+    case 'fireworks':
+    case undefined:
+      return createFireworksProvider({ apiKey: config.FIREWORKS_API_KEY });
+    default:
+      throw new Error(`Unknown image provider: "${config.IMAGE_PROVIDER}"`);
+  }
+}
+
+/**
+ * Write a rendered sticker as <dir>/<baseName>.<extension>, returns the path
+ */
+export function writeSticker(dir, baseName, rendered) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${baseName}.${rendered.extension}`);
+  fs.writeFileSync(filePath, rendered.data);
+  return filePath;
+}
@@ -0,0 +1,74 @@
+/**
+ * Local Placeholder Provider
+ *
+ * Draws a flat SVG sticker from the player's name, position colour and team
+ * flag. No network or API key, and the same input always gives the same
+ * file, so album layout can be worked on offline.
+ */
+
+import { positionColors, positionLabels } from '../../client/src/utils/positionSort.js';
+import { flagEmojis } from '../flags.js';
+
+const SIZE = 512;
+const FALLBACK_COLOR = '#6b7280';
+
+/**
+ * Escape text for use inside SVG markup
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Initials for the portrait placeholder ("Lionel Messi" -> "LM")
+ */
+function initials(name) {
+  const words = (name || '?').split(/\s+/).filter(Boolean);
+  const letters = words.length > 1
+    ? [words[0], words[words.length - 1]].map(word => word[0])
+    : [words[0][0]];
+  return letters.join('').toUpperCase();
+}
+
+/**
+ * Build the placeholder sticker SVG
+ */
+export function renderPlaceholderSvg({ name, position, teamName }) {
+  const color = positionColors[position] || FALLBACK_COLOR;
+  const label = positionLabels[position] || position || '';
+  const flag = flagEmojis[teamName] || '🏳️';
+  // Shrink long names so they stay on the card
+  const nameSize = name && name.length > 18 ? 34 : 42;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}" viewBox="0 0 ${SIZE} ${SIZE}">
+  <rect x="8" y="8" width="496" height="496" rx="28" fill="#ffffff" stroke="${color}" stroke-width="16"/>
+  <rect x="16" y="16" width="480" height="72" rx="20" fill="${color}"/>
+  <text x="40" y="66" font-family="sans-serif" font-size="40">${flag}</text>
+  <text x="96" y="64" font-family="sans-serif" font-size="30" font-weight="bold" fill="#ffffff">${escapeXml(teamName || '')}</text>
+  <circle cx="256" cy="230" r="110" fill="${color}" fill-opacity="0.2" stroke="${color}" stroke-width="6"/>
+  <text x="256" y="258" text-anchor="middle" font-family="sans-serif" font-size="80" font-weight="bold" fill="${color}">${escapeXml(initials(name))}</text>
+  <text x="256" y="410" text-anchor="middle" font-family="sans-serif" font-size="${nameSize}" font-weight="bold" fill="#111827">${escapeXml(name || 'Unknown')}</text>
+  <text x="256" y="460" text-anchor="middle" font-family="sans-serif" font-size="26" fill="${color}">${escapeXml(label)}</text>
+</svg>
+`;
+}
+
+/**
+ * Create the local placeholder provider
+ */
+export function createLocalProvider() {
+  async function render(sticker) {
+    return { data: Buffer.from(renderPlaceholderSvg(sticker)), extension: 'svg' };
+  }
+
+  return {
+    name: 'local',
+    requiresSourceImage: false,
+    rateLimitMs: 0,
+    render,
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * Sticker Post-processing
+ *
+ * Whatever a provider returns (Kontext PNG/JPEG, placeholder SVG) is
+ * normalised to a square WebP sticker plus a small thumbnail for album
+ * grids. The content hash identifies the exact sticker bytes (it is also
+ * the full image's key in the image store).
+ */
+
+import sharp from 'sharp';
+import { hashImage } from '../imageStore/index.js';
+
+// Thumbnails are 2x the 80px album slot for high-density screens
+export const STICKER_SIZES = {
+  full: 512,
+  thumb: 160,
+};
+
+const WEBP_QUALITY = 85;
+
+/**
+ * Square crop around the most interesting region (the face, for headshots)
+ */
+function squareWebp(input, size) {
+  return sharp(input)
+    .resize(size, size, { fit: 'cover', position: sharp.strategy.attention })
+    .webp({ quality: WEBP_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Normalise a rendered sticker ({ data, extension })
+ * Returns { full, thumb } in the same shape plus width, height and the
+ * sha256 hash of the full image
+ */
+export async function postProcessSticker(rendered, sizes = STICKER_SIZES) {
+  const full = await squareWebp(rendered.data, sizes.full);
+  const thumb = await squareWebp(rendered.data, sizes.thumb);
+
+  return {
+    full: { data: full.data, extension: 'webp' },
+    thumb: { data: thumb.data, extension: 'webp' },
+    width: full.info.width,
+    height: full.info.height,
+    hash: hashImage(full.data),
+  };
+}
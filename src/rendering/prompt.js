@@ -0,0 +1,80 @@
+/**
+ * Sticker Prompt
+ *
+ * The Panini-style prompt sent with each source headshot, shared by every
+ * generation script. Prompt templates and per-team kit descriptions live in
+ * stickerCatalogue.json: bump a template's version whenever its text changes
+ * so stickers can be traced back to the prompt that produced them.
+ */
+
+import fs from 'fs';
+
+export const stickerCatalogue = JSON.parse(
+  fs.readFileSync(new URL('./stickerCatalogue.json', import.meta.url), 'utf-8')
+);
+
+export const KIT_TYPES = ['home', 'away', 'goalkeeper'];
+
+/**
+ * Kit entry for a team, following aliases (e.g. "USA" -> "United States")
+ */
+export function findKit(teamName, catalogue = stickerCatalogue) {
+  const name = catalogue.aliases?.[teamName] || teamName;
+  return catalogue.kits[name] || null;
+}
+
+/**
+ * Pick the jersey for a player: goalkeepers wear the goalkeeper kit, everyone
+ * else the requested kit (home by default). Falls back to the home kit, then
+ * to a generic description for teams missing from the catalogue.
+ */
+export function describeJersey(teamName, { position, kit = 'home' } = {}, catalogue = stickerCatalogue) {
+  const entry = findKit(teamName, catalogue);
+  const wanted = position === 'GK' ? 'goalkeeper' : kit;
+
+  if (entry?.[wanted]) return { kit: wanted, description: entry[wanted] };
+  if (entry?.home) return { kit: 'home', description: entry.home };
+  return { kit: null, description: `${teamName} national team jersey` };
+}
+
+/**
+ * Build the sticker prompt for a player of the given team
+ * Returns the prompt text and the template/kit it was built from, to be
+ * recorded alongside the generated image
+ */
+export function buildStickerPrompt(teamName, options = {}, catalogue = stickerCatalogue) {
+  const templateId = options.template || catalogue.template;
+  const template = catalogue.templates[templateId];
+
+  if (!template) {
+    throw new Error(`Unknown prompt template: "${templateId}"`);
+  }
+
+  const jersey = describeJersey(teamName, options, catalogue);
+  // Reviewer tweaks (e.g. "shorter hair") go last so they take precedence
+  const paragraphs = options.tweak ? [...template.text, options.tweak] : template.text;
+  const prompt = paragraphs.join('\n\n').replaceAll('{{jersey}}', jersey.description);
+
+  const promptInfo = { template: templateId, version: template.version, kit: jersey.kit };
+  if (options.tweak) promptInfo.tweak = options.tweak;
+
+  return { prompt, promptInfo };
+}
+
+/**
+ * Teams without a complete kit entry, with the kit types each one lacks
+ */
+export function findMissingKits(teamNames, catalogue = stickerCatalogue) {
+  const missing = [];
+
+  for (const team of teamNames) {
+    const entry = findKit(team, catalogue) || {};
+    const lacking = KIT_TYPES.filter(type => !entry[type]);
+
+    if (lacking.length > 0) {
+      missing.push({ team, missing: lacking });
+    }
+  }
+
+  return missing;
+}
@@ -0,0 +1,113 @@
+/**
+ * Manual Headshot Override
+ *
+ * Pins the source photo a player's sticker is generated from, for players
+ * the automatic sources get wrong. The player's image job is queued again so
+ * the next `npm run generate-team` regenerates the sticker from it.
+ *
+ * The URL is either the image itself or a Fox Sports player page, whose
+ * headshot is used. Players the name search gets wrong:
+ *   Emiliano Martínez  https://www.foxsports.com/soccer/damian-martinez-player
+ *   Enzo Fernández     https://www.foxsports.com/soccer/santiago-sosa-3-player
+ *
+ * Usage: npm run set-headshot -- "Enzo Fernández" https://example.com/enzo.png
+ *        npm run set-headshot -- "Enzo Fernández" https://www.foxsports.com/soccer/santiago-sosa-3-player
+ *        npm run set-headshot -- player:sportmonks:123 https://example.com/p.png
+ *        npm run set-headshot -- "Enzo Fernández" --clear
+ *        npm run set-headshot -- "Enzo Fernández"          (show current source)
+ */
+
+import { loadStorageConfig } from './config.js';
+import * as db from './db.js';
+import { normalizeText } from './storage/shared.js';
+import {
+  clearSourceImageOverride,
+  isImageUrl,
+  setSourceImageOverride,
+} from './headshots/index.js';
+
+/**
+ * Find a player by _id or by exact (accent-insensitive) name
+ */
+async function findPlayer(query) {
+  const storage = db.getStorage();
+
+  const byId = await storage.players.findById(query);
+  if (byId) return [byId];
+
+  const target = normalizeText(query);
+  const candidates = await storage.players.search(query, 20);
+  return candidates.filter(player => normalizeText(player.name) === target);
+}
+
+/**
+ * Describe a sourceImage record for the console
+ */
+function describeSource(sourceImage) {
+  if (!sourceImage?.url) return 'none (will be searched for)';
+  return `${sourceImage.url}\n    source: ${sourceImage.source}, confidence: ${sourceImage.confidence}`;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const [query, action] = process.argv.slice(2);
+
+  if (!query) {
+    console.log('\nUsage: npm run set-headshot -- <player name or id> [<image url> | --clear]\n');
+    process.exit(0);
+  }
+
+  if (action && action !== '--clear' && !isImageUrl(action)) {
+    console.error(`\n[ERROR] Not an http(s) URL: "${action}"\n`);
+    process.exit(1);
+  }
+
+  const config = loadStorageConfig();
+  await db.connect(config);
+
+  try {
+    const matches = await findPlayer(query);
+
+    if (matches.length === 0) {
+      console.error(`\n[ERROR] No player found for "${query}"\n`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (matches.length > 1) {
+      console.error(`\n[ERROR] "${query}" matches ${matches.length} players, use the id instead:`);
+      matches.forEach(p => console.error(`  - ${p._id} (${p.nationality?.name || 'unknown nationality'})`));
+      console.error('');
+      process.exitCode = 1;
+      return;
+    }
+
+    const player = matches[0];
+    console.log(`\n[PLAYER] ${player.name} (${player._id})`);
+    console.log(`  Current: ${describeSource(player.sourceImage)}`);
+
+    if (action === '--clear') {
+      await clearSourceImageOverride(player._id);
+      console.log('[OK] Override cleared; the headshot will be searched for again\n');
+    } else if (action) {
+      try {
+        const sourceImage = await setSourceImageOverride(player._id, action);
+        console.log(`[OK] Headshot set to ${sourceImage.url}`);
+        console.log('     Run `npm run generate-team -- --resume` to regenerate the sticker\n');
+      } catch (error) {
+        if (!error.status) throw error;
+        console.error(`\n[ERROR] ${error.message}\n`);
+        process.exitCode = 1;
+      }
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(error => {
+  console.error('[FATAL]', error);
+  process.exit(1);
+});
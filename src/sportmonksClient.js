@@ -1,13 +1,18 @@
 /**
  * Sportmonks Football API Client
  *
- * API Base: https://api.sportmonks.com/v3/football
+ * API Base: https://api.sportmonks.com/v3/football (SPORTMONKS_BASE_URL to override)
  * Auth: api_token query parameter
  *
  * Includes rate limiting, retries with exponential backoff, and in-memory caching.
+ *
+ * Modes (SPORTMONKS_MODE):
+ *   live   - call the API (default)
+ *   record - call the API and save each response as a fixture file
+ *   replay - serve responses from fixture files, no network or API key needed
  */
 
-const API_BASE = 'https://api.sportmonks.com/v3/football';
+import { loadFixture, saveFixture } from './sportmonksFixtures.js';
 
 // In-memory caches to minimize API calls
 const cache = {
@@ -24,7 +29,23 @@ let totalApiCalls = 0;
  * Create a Sportmonks API client instance
  */
 export function createClient(config) {
-  const { SPORTMONKS_API_KEY, REQUEST_DELAY_MS, REQUEST_TIMEOUT_MS, MAX_RETRIES } = config;
+  const {
+    SPORTMONKS_API_KEY,
+    SPORTMONKS_BASE_URL,
+    SPORTMONKS_MODE = 'live',
+    SPORTMONKS_FIXTURES_DIR,
+    REQUEST_DELAY_MS,
+    REQUEST_TIMEOUT_MS,
+    MAX_RETRIES,
+    RETRY_BASE_MS = 1000,
+  } = config;
+
+  /**
+   * Backoff before retry number `attempt` (0-based): 1s, 2s, 4s, ...
+   */
+  function backoffFor(attempt) {
+    return Math.pow(2, attempt) * RETRY_BASE_MS;
+  }
 
   /**
    * Wait to respect rate limits (minimum delay between requests)
@@ -43,7 +64,11 @@ export function createClient(config) {
    * Make an API request with retry logic
    */
   async function apiRequest(endpoint, params = {}) {
-    const url = new URL(`${API_BASE}${endpoint}`);
+    if (SPORTMONKS_MODE === 'replay') {
+      return replayRequest(endpoint);
+    }
+
+    const url = new URL(`${SPORTMONKS_BASE_URL.replace(/\/$/, '')}${endpoint}`);
     url.searchParams.set('api_token', SPORTMONKS_API_KEY);
 
     for (const [key, value] of Object.entries(params)) {
@@ -72,7 +97,7 @@ export function createClient(config) {
 
         // Handle rate limiting (429)
         if (response.status === 429) {
-          const backoffMs = Math.pow(2, attempt) * 1000;
+          const backoffMs = backoffFor(attempt);
           console.log(`[RATE LIMIT] 429 received. Waiting ${backoffMs}ms before retry...`);
           await new Promise(resolve => setTimeout(resolve, backoffMs));
           continue;
@@ -80,7 +105,7 @@ export function createClient(config) {
 
         // Handle server errors (5xx)
         if (response.status >= 500) {
-          const backoffMs = Math.pow(2, attempt) * 1000;
+          const backoffMs = backoffFor(attempt);
           console.log(`[SERVER ERROR] ${response.status}. Waiting ${backoffMs}ms before retry...`);
           await new Promise(resolve => setTimeout(resolve, backoffMs));
           continue;
@@ -93,6 +118,12 @@ export function createClient(config) {
         }
 
         const data = await response.json();
+
+        if (SPORTMONKS_MODE === 'record') {
+          const file = await saveFixture(SPORTMONKS_FIXTURES_DIR, endpoint, data);
+          console.log(`[RECORD] ${endpoint} -> ${file}`);
+        }
+
         return data;
 
       } catch (error) {
@@ -106,7 +137,7 @@ export function createClient(config) {
 
         // Network errors - retry with backoff
         if (error.code === 'ECONNRESET' || error.code === 'ENOTFOUND' || error.message.includes('fetch')) {
-          const backoffMs = Math.pow(2, attempt) * 1000;
+          const backoffMs = backoffFor(attempt);
           console.log(`[NETWORK ERROR] ${error.message}. Waiting ${backoffMs}ms before retry...`);
           await new Promise(resolve => setTimeout(resolve, backoffMs));
           continue;
@@ -120,6 +151,19 @@ export function createClient(config) {
     throw new Error(`Max retries exceeded. Last error: ${lastError?.message}`);
   }
 
+  /**
+   * Serve a request from the recorded fixtures instead of the API
+   */
+  async function replayRequest(endpoint) {
+    totalApiCalls++;
+
+    const data = await loadFixture(SPORTMONKS_FIXTURES_DIR, endpoint);
+    if (!data) {
+      throw new Error(`No fixture recorded for ${endpoint} in ${SPORTMONKS_FIXTURES_DIR}`);
+    }
+    return data;
+  }
+
   /**
    * Get team squad by team ID
    *
@@ -139,8 +183,10 @@ export function createClient(config) {
    * Get player by ID
    *
    * Endpoint: GET /players/{playerId}
-   * Response shape: { data: { id, firstname, lastname, common_name, display_name, image_path, nationality_id, ... } }
+   * Response shape: { data: { id, firstname, lastname, common_name, display_name, image_path, nationality_id,
+   *   date_of_birth, height, weight, ... } }
    * With include=nationality,teams: includes nationality object and teams array
+   * With include=metadata,statistics.details: preferred foot and per-season appearances/goals
    */
   async function getPlayer(playerId) {
     // Check cache first
@@ -150,7 +196,7 @@ export function createClient(config) {
 
     console.log(`[API] Fetching player ${playerId}...`);
     const response = await apiRequest(`/players/${playerId}`, {
-      include: 'nationality,teams',
+      include: 'nationality,teams,metadata,statistics.details',
     });
 
     const player = response.data;
@@ -0,0 +1,56 @@
+/**
+ * Sportmonks Response Fixtures
+ *
+ * Recorded API responses stored as JSON files that mirror the endpoint path:
+ *   /squads/teams/18710  ->  <dir>/squads/teams/18710.json
+ *   /teams/search/Spain  ->  <dir>/teams/search/Spain.json
+ *
+ * Written by the client in record mode, read back in replay mode and by the
+ * local stub server (sportmonksStub.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Map an API endpoint to its fixture file
+ * Each path segment is decoded and reduced to a safe file name
+ */
+export function fixturePath(dir, endpoint) {
+  const segments = endpoint
+    .split('?')[0]
+    .split('/')
+    .filter(Boolean)
+    .map(segment => decodeURIComponent(segment).replace(/[^A-Za-z0-9 _.-]/g, '_').replace(/^\.+/, '_'));
+
+  if (segments.length === 0) {
+    throw new Error(`Invalid Sportmonks endpoint: "${endpoint}"`);
+  }
+
+  const file = `${segments.pop()}.json`;
+  return path.join(dir, ...segments, file);
+}
+
+/**
+ * Save a response body as the fixture for an endpoint
+ */
+export async function saveFixture(dir, endpoint, data) {
+  const file = fixturePath(dir, endpoint);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data, null, 2) + '\n');
+  return file;
+}
+
+/**
+ * Load the recorded response for an endpoint, or null if none was recorded
+ */
+export async function loadFixture(dir, endpoint) {
+  const file = fixturePath(dir, endpoint);
+
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Local Sportmonks Stub Server
+ *
+ * Serves recorded fixtures (see sportmonksFixtures.js) over HTTP so the real
+ * client code path - rate limiting, retries, timeouts - runs without the API.
+ * Point the client at it with SPORTMONKS_BASE_URL=http://localhost:4010
+ *
+ * Usage: npm run sportmonks-stub -- [--port 4010] [--fixtures dir] [--fail-first 429,500]
+ *
+ * --fail-first makes every endpoint answer with the given statuses, in order,
+ * before serving its fixture, to exercise retry/429 handling deterministically.
+ */
+
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { DEFAULTS } from './config.js';
+import { loadFixture } from './sportmonksFixtures.js';
+
+const DEFAULT_PORT = 4010;
+
+/**
+ * Create the stub Express app
+ */
+export function createStubApp({ fixturesDir = DEFAULTS.SPORTMONKS_FIXTURES_DIR, failFirst = [] } = {}) {
+  const app = express();
+
+  // Requests seen per endpoint, to decide when scripted failures are used up
+  const attempts = new Map();
+
+  app.use(async (req, res) => {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    if (!req.query.api_token) {
+      return res.status(401).json({ message: 'Unauthenticated.' });
+    }
+
+    const attempt = attempts.get(req.path) || 0;
+    attempts.set(req.path, attempt + 1);
+
+    if (attempt < failFirst.length) {
+      const status = failFirst[attempt];
+      console.log(`[STUB] ${req.path} -> ${status} (scripted failure ${attempt + 1}/${failFirst.length})`);
+      return res.status(status).json({ message: `Scripted ${status} response` });
+    }
+
+    try {
+      const data = await loadFixture(fixturesDir, req.path);
+
+      if (!data) {
+        console.log(`[STUB] ${req.path} -> 404 (no fixture)`);
+        return res.status(404).json({ message: `No fixture recorded for ${req.path}` });
+      }
+
+      console.log(`[STUB] ${req.path} -> 200`);
+      res.json(data);
+    } catch (error) {
+      console.error(`[STUB] Error serving ${req.path}:`, error);
+      res.status(500).json({ message: 'Failed to read fixture' });
+    }
+  });
+
+  return app;
+}
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(args) {
+  const options = {
+    port: DEFAULT_PORT,
+    fixturesDir: process.env.SPORTMONKS_FIXTURES_DIR?.trim() || DEFAULTS.SPORTMONKS_FIXTURES_DIR,
+    failFirst: [],
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+
+    switch (args[i]) {
+      case '--port':
+        options.port = parseInt(value, 10);
+        i++;
+        break;
+      case '--fixtures':
+        options.fixturesDir = value;
+        i++;
+        break;
+      case '--fail-first':
+        options.failFirst = value.split(',').map(status => parseInt(status.trim(), 10));
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  if (isNaN(options.port) || options.failFirst.some(isNaN)) {
+    throw new Error('--port and --fail-first take numbers');
+  }
+
+  return options;
+}
+
+/**
+ * Main function
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const app = createStubApp(options);
+
+  app.listen(options.port, () => {
+    console.log('\n========================================');
+    console.log('  Sportmonks Stub Server');
+    console.log('========================================\n');
+    console.log(`  Fixtures:   ${options.fixturesDir}`);
+    console.log(`  Fail first: ${options.failFirst.length > 0 ? options.failFirst.join(', ') : 'none'}`);
+    console.log(`\n  SPORTMONKS_BASE_URL=http://localhost:${options.port}\n`);
+  });
+}
+
+// Run when invoked directly (not when imported by tests)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    main();
+  } catch (error) {
+    console.error('[FATAL]', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * Squad Rows
+ *
+ * Column aliasing and per-row validation for squad files. Parsers hand over
+ * records as { line, row } (row keyed by the file's own headers); every
+ * rejected row comes back with its line number and the reasons, so a
+ * report can point at exactly what to fix.
+ */
+
+import { flagEmojis } from './flags.js';
+import { stickerCatalogue } from './rendering/prompt.js';
+
+export const POSITIONS = ['GK', 'DEF', 'MID', 'FWD'];
+
+// World Cup squads are 26 players
+export const MAX_SQUAD_SIZE = 26;
+
+// Canonical column -> header names accepted for it
+export const COLUMN_ALIASES = {
+  team: ['team', 'national_team', 'nation', 'country_team'],
+  name: ['name', 'player_fullname', 'player', 'player_name', 'full_name', 'fullname'],
+  position: ['position', 'pos'],
+  club: ['club', 'club_name', 'current_club'],
+  club_country: ['club_country', 'country', 'league_country'],
+  image: ['image', 'image_url', 'photo'],
+  date_of_birth: ['date_of_birth', 'dob', 'birth_date', 'birthdate'],
+  height: ['height', 'height_cm'],
+  weight: ['weight', 'weight_kg'],
+  preferred_foot: ['preferred_foot', 'foot'],
+  caps: ['caps', 'appearances'],
+  goals: ['goals', 'international_goals'],
+  detailed_position: ['detailed_position'],
+  jersey_number: ['jersey_number', 'shirt_number', 'squad_number'],
+  // Written by `npm run export` so a restore lands on the same documents
+  player_id: ['player_id'],
+  provider: ['provider'],
+  provider_id: ['provider_id'],
+  sticker_number: ['sticker_number'],
+  team_id: ['team_id'],
+  team_provider: ['team_provider'],
+  team_provider_id: ['team_provider_id'],
+  team_code: ['team_code'],
+  team_page: ['team_page'],
+  squad_id: ['squad_id'],
+};
+
+const REQUIRED_COLUMNS = ['team', 'name'];
+
+/**
+ * "Player Fullname" / "player-fullname" -> "player_fullname"
+ */
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Canonical column for a header; unknown headers are kept (normalised)
+ */
+export function canonicalColumn(header) {
+  const normalized = normalizeHeader(header);
+  const match = Object.entries(COLUMN_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : normalized;
+}
+
+/**
+ * Map a file's headers to canonical columns
+ * Throws when a required column is missing
+ */
+export function mapColumns(headers) {
+  const columns = headers.map(canonicalColumn);
+
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    const accepted = missing.map(column => `"${column}" (or ${COLUMN_ALIASES[column].slice(1).join(', ')})`);
+    throw new Error(`Missing required column: ${accepted.join('; ')}`);
+  }
+
+  return columns;
+}
+
+/**
+ * Team names a squad file may use: the album's teams, the kit catalogue
+ * (and its aliases) and any team already stored
+ */
+export function knownTeamNames(storedTeams = []) {
+  return new Set([
+    ...Object.keys(flagEmojis),
+    ...Object.keys(stickerCatalogue.kits),
+    ...Object.keys(stickerCatalogue.aliases || {}),
+    ...storedTeams.map(team => team.name),
+  ]);
+}
+
+/**
+ * Problems with a single row (empty when it's valid)
+ */
+function rowErrors(row, knownTeams) {
+  const errors = [];
+
+  if (!row.team) {
+    errors.push('team is required');
+  } else if (!knownTeams.has(row.team)) {
+    errors.push(`unknown team "${row.team}"`);
+  }
+
+  if (!row.name) {
+    errors.push('name is required');
+  }
+
+  // A restored player (player_id from an export) may have no position yet
+  if (!row.position) {
+    if (!row.player_id) {
+      errors.push(`position is required (${POSITIONS.join(', ')})`);
+    }
+  } else if (!POSITIONS.includes(row.position)) {
+    errors.push(`position "${row.position}" must be one of ${POSITIONS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate parsed records ({ line, row } with canonical columns)
+ * Returns { accepted, rejected } where rejected entries are
+ * { line, team, name, playerId?, errors }. Players beyond MAX_SQUAD_SIZE in a team are
+ * rejected too, so an oversized squad shows up in the report instead of
+ * being cut short quietly.
+ */
+export function validateRows(records, { knownTeams = knownTeamNames() } = {}) {
+  const accepted = [];
+  const rejected = [];
+  const seen = new Map();
+
+  const reject = ({ line, row }, errors) => rejected.push({
+    line,
+    team: row.team || null,
+    name: row.name || null,
+    ...(row.player_id && { playerId: row.player_id }),
+    errors,
+  });
+
+  for (const record of records) {
+    const row = { ...record.row, position: record.row.position?.toUpperCase() || null };
+    const errors = rowErrors(row, knownTeams);
+
+    if (errors.length > 0) {
+      reject(record, errors);
+      continue;
+    }
+
+    const squad = seen.get(row.team) || new Set();
+    seen.set(row.team, squad);
+
+    // Exported rows carry ids, so namesakes in one squad stay apart
+    const key = row.player_id || row.name.toLowerCase();
+    if (squad.has(key)) {
+      reject(record, [`duplicate player "${row.name}" in ${row.team}`]);
+    } else if (squad.size >= MAX_SQUAD_SIZE) {
+      reject(record, [`${row.team} already has ${MAX_SQUAD_SIZE} players (squad limit)`]);
+    } else {
+      squad.add(key);
+      accepted.push({ line: record.line, row });
+    }
+  }
+
+  return { accepted, rejected };
+}
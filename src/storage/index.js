@@ -0,0 +1,31 @@
+/**
+ * Storage Backend Selection
+ *
+ * Every backend exposes the same repositories:
+ *   teams, players, squads, countries, collections, trades, packs, imageJobs,
+ *   stickerImages, ingestRuns
+ * plus connect(), close(), ensureIndexes() and withTransaction(fn).
+ *
+ * STORAGE_BACKEND=mongodb  MongoDB Atlas (default)
+ * STORAGE_BACKEND=memory   In-process store, optionally persisted to STORAGE_FILE as JSON
+ */
+
+import { createMongoStorage } from './mongoStorage.js';
+import { createMemoryStorage } from './memoryStorage.js';
+
+export const STORAGE_BACKENDS = ['mongodb', 'memory'];
+
+/**
+ * Create the storage backend named in config
+ */
+export function createStorage(config) {
+  switch (config.STORAGE_BACKEND) {
+    case 'memory':
+      return createMemoryStorage({ filePath: config.STORAGE_FILE });
+    case 'mongodb':
+    case undefined:
+      return createMongoStorage({ mongoUri: config.MONGODB_URI, dbName: config.DB_NAME });
+    default:
+      throw new Error(`Unknown storage backend: "${config.STORAGE_BACKEND}"`);
+  }
+}
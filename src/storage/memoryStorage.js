@@ -0,0 +1,353 @@
+/**
+ * In-Memory Storage Backend
+ *
+ * Keeps every collection in process memory, for running the app and tests
+ * without MongoDB. With a filePath the data is loaded from and saved to a
+ * JSON file after every write, so it survives restarts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  COLLECTION_NAMES,
+  collectionEntryId,
+  SEARCH_FIELDS,
+  searchWords,
+  squadBelongsToTeam,
+  stickerCount,
+} from './shared.js';
+
+// ISO timestamps in the JSON file are turned back into Dates on load
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * Create an in-memory storage instance
+ */
+export function createMemoryStorage({ filePath = null } = {}) {
+  let data = emptyData();
+
+  function emptyData() {
+    return Object.fromEntries(COLLECTION_NAMES.map(name => [name, new Map()]));
+  }
+
+  // Callers get copies so they can't mutate stored documents by accident
+  const copy = doc => (doc ? structuredClone(doc) : null);
+  const all = name => [...data[name].values()].map(copy);
+
+  function load() {
+    if (!filePath || !fs.existsSync(filePath)) return;
+
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'), (key, value) =>
+      typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value
+    );
+
+    data = emptyData();
+    for (const name of COLLECTION_NAMES) {
+      (raw[name] || []).forEach(doc => data[name].set(doc._id, doc));
+    }
+  }
+
+  function persist() {
+    if (!filePath) return;
+
+    const raw = Object.fromEntries(COLLECTION_NAMES.map(name => [name, [...data[name].values()]]));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(raw, null, 2));
+  }
+
+  /**
+   * Insert or merge a document by _id ($set semantics)
+   */
+  function upsertDoc(name, doc) {
+    const existing = data[name].get(doc._id) || {};
+    data[name].set(doc._id, { ...existing, ...copy(doc) });
+    persist();
+    return doc;
+  }
+
+  function updateDoc(name, _id, fields) {
+    const existing = data[name].get(_id);
+    if (!existing) return;
+    data[name].set(_id, { ...existing, ...copy(fields) });
+    persist();
+  }
+
+  /**
+   * Accent-insensitive search: every query word must start a word in one of the fields
+   */
+  function search(name, q, limit) {
+    const words = searchWords([q]);
+
+    return all(name)
+      .map(doc => {
+        const fields = SEARCH_FIELDS[name](doc).map(field => searchWords([field]));
+        const matchesAll = words.every(word => fields.some(fieldWords => fieldWords.some(w => w.startsWith(word))));
+        // Rank matches on the first field (the name) above the rest
+        const nameHits = words.filter(word => fields[0].some(w => w.startsWith(word))).length;
+        return { doc, matchesAll, nameHits };
+      })
+      .filter(m => m.matchesAll)
+      .sort((a, b) => b.nameHits - a.nameHits || (a.doc.name || '').localeCompare(b.doc.name || ''))
+      .slice(0, limit)
+      .map(m => m.doc);
+  }
+
+  const byName = (a, b) => (a.name || '').localeCompare(b.name || '');
+
+  const teams = {
+    list: async () => all('teams').sort(byName),
+    findById: async _id => copy(data.teams.get(_id)),
+    findByName: async name => all('teams').find(t => t.name === name) || null,
+    search: async (q, limit) => search('teams', q, limit),
+    upsert: async doc => upsertDoc('teams', doc),
+    update: async (_id, fields) => updateDoc('teams', _id, fields),
+  };
+
+  const players = {
+    list: async () => all('players').sort((a, b) => a._id.localeCompare(b._id)),
+    findById: async _id => copy(data.players.get(_id)),
+    findByIds: async ids => ids.map(id => data.players.get(id)).filter(Boolean).map(copy),
+    findByNationality: async name => all('players').filter(p => p.nationality?.name === name),
+    findByClub: async clubName => all('players').filter(p => p.currentClub?.name === clubName),
+    search: async (q, limit) => search('players', q, limit),
+    upsert: async doc => upsertDoc('players', doc),
+    update: async (_id, fields) => updateDoc('players', _id, fields),
+
+    /**
+     * Player counts per club and per club country
+     */
+    async clubSummary({ country } = {}) {
+      const clubs = new Map();
+      const countries = new Map();
+
+      for (const player of all('players')) {
+        const clubName = player.currentClub?.name;
+        const clubCountry = player.currentClubCountry?.name;
+
+        if (clubName && (!country || clubCountry === country)) {
+          if (!clubs.has(clubName)) {
+            clubs.set(clubName, { name: clubName, country: clubCountry || 'Unknown', playerCount: 0, nations: new Set() });
+          }
+          const club = clubs.get(clubName);
+          club.playerCount++;
+          club.nations.add(player.nationality?.name);
+        }
+
+        if (clubCountry) {
+          if (!countries.has(clubCountry)) {
+            countries.set(clubCountry, { name: clubCountry, playerCount: 0, clubs: new Set() });
+          }
+          const entry = countries.get(clubCountry);
+          entry.playerCount++;
+          entry.clubs.add(clubName);
+        }
+      }
+
+      const byCount = (a, b) => b.playerCount - a.playerCount || a.name.localeCompare(b.name);
+
+      return {
+        countries: [...countries.values()].sort(byCount).map(c => ({
+          name: c.name,
+          playerCount: c.playerCount,
+          clubCount: c.clubs.size,
+        })),
+        clubs: [...clubs.values()].sort(byCount).map(c => ({
+          name: c.name,
+          country: c.country,
+          playerCount: c.playerCount,
+          nationCount: c.nations.size,
+        })),
+      };
+    },
+  };
+
+  const squads = {
+    list: async () => all('squads'),
+    findById: async _id => copy(data.squads.get(_id)),
+    findForTeam: async team => all('squads').find(squad => squadBelongsToTeam(squad, team)) || null,
+    findByPlayer: async playerId => all('squads').find(squad => squad.playerIds.includes(playerId)) || null,
+    upsert: async doc => upsertDoc('squads', doc),
+    update: async (_id, fields) => updateDoc('squads', _id, fields),
+  };
+
+  const countries = {
+    findById: async _id => copy(data.countries.get(_id)),
+    upsert: async doc => upsertDoc('countries', doc),
+    update: async (_id, fields) => updateDoc('countries', _id, fields),
+  };
+
+  const collections = {
+    async listForUser(userId, { playerIds } = {}) {
+      const wanted = playerIds ? new Set(playerIds) : null;
+      return all('collections')
+        .filter(e => e.userId === userId && (!wanted || wanted.has(e.playerId)))
+        .map(entry => ({ ...entry, count: stickerCount(entry) }));
+    },
+
+    async findSpares({ userId, excludeUserId, playerIds }) {
+      const wanted = new Set(playerIds);
+      return all('collections').filter(e =>
+        (userId ? e.userId === userId : e.userId !== excludeUserId) &&
+        wanted.has(e.playerId) &&
+        stickerCount(e) > 1
+      );
+    },
+
+    async setCount(userId, playerId, count) {
+      const _id = collectionEntryId(userId, playerId);
+
+      if (count === 0) {
+        data.collections.delete(_id);
+        persist();
+        return;
+      }
+
+      const existing = data.collections.get(_id);
+      upsertDoc('collections', {
+        _id,
+        userId,
+        playerId,
+        count,
+        updatedAt: new Date(),
+        collectedAt: existing?.collectedAt || new Date(),
+      });
+    },
+
+    async remove(userId, playerId) {
+      data.collections.delete(collectionEntryId(userId, playerId));
+      persist();
+    },
+
+    async addCopy(userId, playerId, { shiny = false } = {}) {
+      const _id = collectionEntryId(userId, playerId);
+      const existing = data.collections.get(_id);
+      const count = (existing ? stickerCount(existing) : 0) + 1;
+
+      upsertDoc('collections', {
+        _id,
+        userId,
+        playerId,
+        count,
+        updatedAt: new Date(),
+        collectedAt: existing?.collectedAt || new Date(),
+        ...(shiny && { shinyCount: (existing?.shinyCount || 0) + 1 }),
+      });
+
+      return count;
+    },
+
+    async takeSpareCopy(userId, playerId) {
+      const _id = collectionEntryId(userId, playerId);
+      const existing = data.collections.get(_id);
+
+      if (!existing || stickerCount(existing) <= 1) {
+        return false;
+      }
+
+      updateDoc('collections', _id, { count: stickerCount(existing) - 1, updatedAt: new Date() });
+      return true;
+    },
+  };
+
+  const trades = {
+    insert: async trade => upsertDoc('trades', trade),
+    findById: async _id => copy(data.trades.get(_id)),
+
+    async listForUser(userId, { status } = {}) {
+      return all('trades')
+        .filter(t => (t.fromUserId === userId || t.toUserId === userId) && (!status || t.status === status))
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async updateStatus(_id, fromStatus, fields) {
+      const existing = data.trades.get(_id);
+      if (!existing || existing.status !== fromStatus) {
+        return false;
+      }
+      updateDoc('trades', _id, fields);
+      return true;
+    },
+  };
+
+  const packs = {
+    insert: async pack => upsertDoc('packs', pack),
+  };
+
+  const imageJobs = {
+    findById: async _id => copy(data.imageJobs.get(_id)),
+    insert: async job => upsertDoc('imageJobs', job),
+    update: async (_id, fields) => updateDoc('imageJobs', _id, fields),
+    listByStatus: async statuses =>
+      all('imageJobs').filter(job => statuses.includes(job.status)).sort((a, b) => a.createdAt - b.createdAt),
+
+    async countByStatus() {
+      const counts = {};
+      all('imageJobs').forEach(job => {
+        counts[job.status] = (counts[job.status] || 0) + 1;
+      });
+      return counts;
+    },
+  };
+
+  const stickerImages = {
+    findById: async _id => copy(data.stickerImages.get(_id)),
+    insert: async image => upsertDoc('stickerImages', image),
+    update: async (_id, fields) => updateDoc('stickerImages', _id, fields),
+    listByPlayer: async playerId =>
+      all('stickerImages').filter(image => image.playerId === playerId).sort((a, b) => b.version - a.version),
+    listByStatus: async statuses =>
+      all('stickerImages').filter(image => statuses.includes(image.status)).sort((a, b) => a.createdAt - b.createdAt),
+  };
+
+  const ingestRuns = {
+    findById: async _id => copy(data.ingestRuns.get(_id)),
+    insert: async run => upsertDoc('ingestRuns', run),
+    // Runs are inserted in order, so reversing first keeps same-millisecond runs newest first
+    list: async limit => all('ingestRuns').reverse().sort((a, b) => b.startedAt - a.startedAt).slice(0, limit),
+  };
+
+  return {
+    name: 'memory',
+    teams,
+    players,
+    squads,
+    countries,
+    collections,
+    trades,
+    packs,
+    imageJobs,
+    stickerImages,
+    ingestRuns,
+
+    async connect() {
+      load();
+      const source = filePath ? `file: ${filePath}` : 'no persistence';
+      console.log(`[DB] Using in-memory storage (${source})`);
+    },
+
+    async close() {
+      persist();
+    },
+
+    /**
+     * Run fn and restore the previous data if it throws
+     * Single-process only: concurrent writes made while fn is pending are rolled back too
+     */
+    async withTransaction(fn) {
+      const snapshot = Object.fromEntries(
+        COLLECTION_NAMES.map(name => [name, new Map(structuredClone([...data[name]]))])
+      );
+      try {
+        return await fn(null);
+      } catch (error) {
+        data = snapshot;
+        persist();
+        throw error;
+      }
+    },
+
+    async ensureIndexes() {
+      // Nothing to index in memory
+    },
+  };
+}
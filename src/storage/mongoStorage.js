@@ -0,0 +1,553 @@
+/**
+ * MongoDB Storage Backend
+ *
+ * Repositories backed by MongoDB Atlas collections of the same name.
+ */
+
+import { MongoClient } from 'mongodb';
+import { SEARCH_FIELDS, collectionEntryId, searchWords, stickerCount } from './shared.js';
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a squads query matching the squad of a team document
+ * (see squadBelongsToTeam for the legacy provider-key match)
+ */
+function squadFilterForTeam(team) {
+  const legacy = team.provider === 'csv'
+    ? { provider: 'csv', teamId: team.name }
+    : { provider: team.provider, teamId: team.providerId };
+
+  return { $or: [{ teamRef: team._id }, { teamRef: null, ...legacy }] };
+}
+
+/**
+ * Create a MongoDB-backed storage instance
+ */
+export function createMongoStorage({ mongoUri, dbName }) {
+  let client = null;
+  let db = null;
+
+  // Transactions pass { session } through to every driver call
+  const opts = tx => (tx ? { session: tx } : {});
+
+  /**
+   * Text search with a prefix-match fallback for partial words
+   * Every word must match, as in memory storage: each is quoted so $text ANDs
+   * them, and the fallback matches word prefixes in the normalised searchName
+   * (text indexes are case and diacritic insensitive, so "Mbappe" finds "Mbappé")
+   */
+  async function search(collectionName, q, limit) {
+    const collection = db.collection(collectionName);
+    const words = searchWords([q]);
+    if (words.length === 0) return [];
+
+    const matches = await collection
+      .find(
+        { $text: { $search: words.map(word => `"${word.replace(/"/g, '')}"`).join(' ') } },
+        { projection: { score: { $meta: 'textScore' } } }
+      )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .toArray();
+
+    if (matches.length > 0) {
+      return matches;
+    }
+
+    return collection
+      .find({ $and: words.map(word => ({ searchName: new RegExp(`(^| )${escapeRegex(word)}`) })) })
+      .sort({ name: 1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Store the normalised search words of a searchable document
+   * Runs after writes that touch a search field (name, club, nationality)
+   */
+  async function refreshSearchName(collectionName, _id, fields) {
+    const touched = ['name', 'currentClub', 'nationality'].some(field => field in fields);
+    if (!touched) return;
+
+    const collection = db.collection(collectionName);
+    const doc = await collection.findOne({ _id });
+    if (doc) {
+      await collection.updateOne({ _id }, { $set: { searchName: searchWords(SEARCH_FIELDS[collectionName](doc)).join(' ') } });
+    }
+  }
+
+  /**
+   * Upsert a document by _id with $set semantics
+   */
+  async function upsertDoc(collectionName, doc) {
+    await db.collection(collectionName).updateOne(
+      { _id: doc._id },
+      { $set: doc },
+      { upsert: true }
+    );
+    return doc;
+  }
+
+  /**
+   * Set fields on an existing document
+   */
+  async function updateDoc(collectionName, _id, fields) {
+    await db.collection(collectionName).updateOne({ _id }, { $set: fields });
+  }
+
+  const teams = {
+    list: () => db.collection('teams').find({}).sort({ name: 1 }).toArray(),
+    findById: _id => db.collection('teams').findOne({ _id }),
+    findByName: name => db.collection('teams').findOne({ name }),
+    search: (q, limit) => search('teams', q, limit),
+    async upsert(doc) {
+      await upsertDoc('teams', doc);
+      await refreshSearchName('teams', doc._id, doc);
+      return doc;
+    },
+    async update(_id, fields) {
+      await updateDoc('teams', _id, fields);
+      await refreshSearchName('teams', _id, fields);
+    },
+  };
+
+  const players = {
+    list: () => db.collection('players').find({}).sort({ _id: 1 }).toArray(),
+    findById: _id => db.collection('players').findOne({ _id }),
+    findByIds: ids => db.collection('players').find({ _id: { $in: ids } }).toArray(),
+    findByNationality: name => db.collection('players').find({ 'nationality.name': name }).toArray(),
+    findByClub: clubName => db.collection('players').find({ 'currentClub.name': clubName }).toArray(),
+    search: (q, limit) => search('players', q, limit),
+    async upsert(doc) {
+      await upsertDoc('players', doc);
+      await refreshSearchName('players', doc._id, doc);
+      return doc;
+    },
+    async update(_id, fields) {
+      await updateDoc('players', _id, fields);
+      await refreshSearchName('players', _id, fields);
+    },
+
+    /**
+     * Player counts per club and per club country
+     */
+    async clubSummary({ country } = {}) {
+      const collection = db.collection('players');
+
+      const [clubs, countries] = await Promise.all([
+        collection.aggregate([
+          { $match: { 'currentClub.name': { $ne: null }, ...(country && { 'currentClubCountry.name': country }) } },
+          {
+            $group: {
+              _id: '$currentClub.name',
+              country: { $first: '$currentClubCountry.name' },
+              playerCount: { $sum: 1 },
+              nations: { $addToSet: '$nationality.name' },
+            },
+          },
+          { $sort: { playerCount: -1, _id: 1 } },
+        ]).toArray(),
+        collection.aggregate([
+          { $match: { 'currentClubCountry.name': { $ne: null } } },
+          {
+            $group: {
+              _id: '$currentClubCountry.name',
+              playerCount: { $sum: 1 },
+              clubs: { $addToSet: '$currentClub.name' },
+            },
+          },
+          { $sort: { playerCount: -1, _id: 1 } },
+        ]).toArray(),
+      ]);
+
+      return {
+        countries: countries.map(c => ({
+          name: c._id,
+          playerCount: c.playerCount,
+          clubCount: c.clubs.length,
+        })),
+        clubs: clubs.map(c => ({
+          name: c._id,
+          country: c.country || 'Unknown',
+          playerCount: c.playerCount,
+          nationCount: c.nations.length,
+        })),
+      };
+    },
+  };
+
+  const squads = {
+    list: () => db.collection('squads').find({}).toArray(),
+    findById: _id => db.collection('squads').findOne({ _id }),
+    findForTeam: team => db.collection('squads').findOne(squadFilterForTeam(team)),
+    findByPlayer: playerId => db.collection('squads').findOne({ playerIds: playerId }),
+    upsert: doc => upsertDoc('squads', doc),
+    update: (_id, fields) => updateDoc('squads', _id, fields),
+  };
+
+  const countries = {
+    findById: _id => db.collection('countries').findOne({ _id }),
+    upsert: doc => upsertDoc('countries', doc),
+    update: (_id, fields) => updateDoc('countries', _id, fields),
+  };
+
+  const collections = {
+    /**
+     * A user's collection entries, optionally limited to some stickers
+     */
+    async listForUser(userId, { playerIds } = {}, tx) {
+      const query = { userId };
+      if (playerIds) {
+        query.playerId = { $in: playerIds };
+      }
+      const entries = await db.collection('collections').find(query, opts(tx)).toArray();
+      return entries.map(entry => ({ ...entry, count: stickerCount(entry) }));
+    },
+
+    /**
+     * Entries holding spare copies (count > 1) of the given stickers
+     * Pass userId for one collector or excludeUserId for everyone else
+     */
+    findSpares({ userId, excludeUserId, playerIds }, tx) {
+      return db.collection('collections').find({
+        userId: userId || { $ne: excludeUserId },
+        playerId: { $in: playerIds },
+        count: { $gt: 1 },
+      }, opts(tx)).toArray();
+    },
+
+    /**
+     * Set how many copies a user holds (0 removes the entry)
+     */
+    async setCount(userId, playerId, count) {
+      const _id = collectionEntryId(userId, playerId);
+
+      if (count === 0) {
+        await db.collection('collections').deleteOne({ _id });
+        return;
+      }
+
+      await db.collection('collections').updateOne(
+        { _id },
+        {
+          $set: { userId, playerId, count, updatedAt: new Date() },
+          $setOnInsert: { collectedAt: new Date() },
+        },
+        { upsert: true }
+      );
+    },
+
+    async remove(userId, playerId) {
+      await db.collection('collections').deleteOne({ _id: collectionEntryId(userId, playerId) });
+    },
+
+    /**
+     * Add one copy of a sticker and return the new count
+     * A single pipeline findOneAndUpdate increments the count server-side, so
+     * concurrent pack opens can't lose a copy
+     */
+    async addCopy(userId, playerId, { shiny = false } = {}, tx) {
+      // An existing entry without a count (written before counts) holds one
+      const held = { $ifNull: ['$count', { $cond: [{ $ifNull: ['$userId', false] }, 1, 0] }] };
+      const fields = {
+        userId,
+        playerId,
+        count: { $add: [held, 1] },
+        updatedAt: '$$NOW',
+        collectedAt: { $ifNull: ['$collectedAt', '$$NOW'] },
+      };
+      if (shiny) {
+        fields.shinyCount = { $add: [{ $ifNull: ['$shinyCount', 0] }, 1] };
+      }
+
+      const entry = await db.collection('collections').findOneAndUpdate(
+        { _id: collectionEntryId(userId, playerId) },
+        [{ $set: fields }],
+        { upsert: true, returnDocument: 'after', ...opts(tx) }
+      );
+
+      return entry.count;
+    },
+
+    /**
+     * Remove one spare copy; returns false if the user has no spare left
+     */
+    async takeSpareCopy(userId, playerId, tx) {
+      const result = await db.collection('collections').updateOne(
+        { _id: collectionEntryId(userId, playerId), count: { $gt: 1 } },
+        { $inc: { count: -1 }, $set: { updatedAt: new Date() } },
+        opts(tx)
+      );
+      return result.modifiedCount > 0;
+    },
+  };
+
+  const trades = {
+    insert: trade => db.collection('trades').insertOne(trade),
+    findById: (_id, tx) => db.collection('trades').findOne({ _id }, opts(tx)),
+
+    listForUser(userId, { status } = {}) {
+      const query = { $or: [{ fromUserId: userId }, { toUserId: userId }] };
+      if (status) {
+        query.status = status;
+      }
+      return db.collection('trades').find(query).sort({ createdAt: -1 }).toArray();
+    },
+
+    /**
+     * Move a trade out of fromStatus; returns false if it was no longer in it
+     */
+    async updateStatus(_id, fromStatus, fields, tx) {
+      const result = await db.collection('trades').updateOne(
+        { _id, status: fromStatus },
+        { $set: fields },
+        opts(tx)
+      );
+      return result.modifiedCount > 0;
+    },
+  };
+
+  const packs = {
+    insert: (pack, tx) => db.collection('packs').insertOne(pack, opts(tx)),
+  };
+
+  const imageJobs = {
+    findById: _id => db.collection('imageJobs').findOne({ _id }),
+    insert: job => db.collection('imageJobs').insertOne(job),
+    update: (_id, fields) => updateDoc('imageJobs', _id, fields),
+    listByStatus: statuses =>
+      db.collection('imageJobs').find({ status: { $in: statuses } }).sort({ createdAt: 1 }).toArray(),
+
+    async countByStatus() {
+      const rows = await db.collection('imageJobs')
+        .aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        .toArray();
+      return Object.fromEntries(rows.map(row => [row._id, row.count]));
+    },
+  };
+
+  const stickerImages = {
+    findById: _id => db.collection('stickerImages').findOne({ _id }),
+    insert: image => db.collection('stickerImages').insertOne(image),
+    update: (_id, fields) => updateDoc('stickerImages', _id, fields),
+    listByPlayer: playerId =>
+      db.collection('stickerImages').find({ playerId }).sort({ version: -1 }).toArray(),
+    listByStatus: statuses =>
+      db.collection('stickerImages').find({ status: { $in: statuses } }).sort({ createdAt: 1 }).toArray(),
+  };
+
+  const ingestRuns = {
+    findById: _id => db.collection('ingestRuns').findOne({ _id }),
+    insert: run => db.collection('ingestRuns').insertOne(run),
+    list: limit => db.collection('ingestRuns').find({}).sort({ startedAt: -1 }).limit(limit).toArray(),
+  };
+
+  return {
+    name: 'mongodb',
+    teams,
+    players,
+    squads,
+    countries,
+    collections,
+    trades,
+    packs,
+    imageJobs,
+    stickerImages,
+    ingestRuns,
+
+    async connect() {
+      console.log(`[DB] Connecting to MongoDB Atlas...`);
+
+      client = new MongoClient(mongoUri, {
+        maxPoolSize: 10,
+        serverSelectionTimeoutMS: 5000,
+        socketTimeoutMS: 45000,
+      });
+
+      await client.connect();
+      db = client.db(dbName);
+
+      // Verify connection
+      await db.command({ ping: 1 });
+      console.log(`[DB] Connected to database: ${dbName}`);
+    },
+
+    async close() {
+      if (client) {
+        console.log('[DB] Closing connection...');
+        await client.close();
+        client = null;
+        db = null;
+      }
+    },
+
+    /**
+     * Run fn(tx) in a MongoDB transaction; repositories accept tx as their last argument
+     */
+    async withTransaction(fn) {
+      const session = client.startSession();
+      try {
+        let result;
+        await session.withTransaction(async () => {
+          result = await fn(session);
+        });
+        return result;
+      } finally {
+        await session.endSession();
+      }
+    },
+
+    async ensureIndexes() {
+      console.log('[DB] Ensuring indexes...');
+
+      const teamsCollection = db.collection('teams');
+      const playersCollection = db.collection('players');
+      const squadsCollection = db.collection('squads');
+      const countriesCollection = db.collection('countries');
+      const collectionsCollection = db.collection('collections');
+      const tradesCollection = db.collection('trades');
+      const packsCollection = db.collection('packs');
+      const imageJobsCollection = db.collection('imageJobs');
+      const stickerImagesCollection = db.collection('stickerImages');
+      const ingestRunsCollection = db.collection('ingestRuns');
+
+      // Teams indexes
+      await teamsCollection.createIndex(
+        { provider: 1, providerId: 1 },
+        { unique: true, name: 'provider_providerId_unique' }
+      );
+      await teamsCollection.createIndex(
+        { 'country.id': 1 },
+        { name: 'country_id' }
+      );
+      await teamsCollection.createIndex(
+        { name: 'text' },
+        { name: 'team_search_text', default_language: 'none' }
+      );
+
+      // Players indexes
+      await playersCollection.createIndex(
+        { provider: 1, providerId: 1 },
+        { unique: true, name: 'provider_providerId_unique' }
+      );
+      await playersCollection.createIndex(
+        { 'nationality.id': 1 },
+        { name: 'nationality_id' }
+      );
+      await playersCollection.createIndex(
+        { 'currentClub.id': 1 },
+        { name: 'currentClub_id' }
+      );
+      await playersCollection.createIndex(
+        { 'currentClub.name': 1 },
+        { name: 'currentClub_name' }
+      );
+      await playersCollection.createIndex(
+        { 'currentClubCountry.name': 1 },
+        { name: 'currentClubCountry_name' }
+      );
+
+      // Text search over player name, club and national team
+      // (text indexes are case and diacritic insensitive, so "Mbappe" finds "Mbappé")
+      await playersCollection.createIndex(
+        { name: 'text', 'currentClub.name': 'text', 'nationality.name': 'text' },
+        {
+          name: 'player_search_text',
+          default_language: 'none',
+          weights: { name: 10, 'currentClub.name': 3, 'nationality.name': 2 },
+        }
+      );
+
+      // Squads indexes
+      await squadsCollection.createIndex(
+        { provider: 1, teamId: 1 },
+        { unique: true, name: 'provider_teamId_unique' }
+      );
+      await squadsCollection.createIndex(
+        { teamId: 1 },
+        { name: 'teamId' }
+      );
+      await squadsCollection.createIndex(
+        { teamRef: 1 },
+        { name: 'teamRef' }
+      );
+      await squadsCollection.createIndex(
+        { playerIds: 1 },
+        { name: 'playerIds' }
+      );
+
+      // Countries indexes (optional collection)
+      await countriesCollection.createIndex(
+        { provider: 1, providerId: 1 },
+        { unique: true, name: 'provider_providerId_unique' }
+      );
+
+      // Collections indexes (one document per user per collected sticker)
+      await collectionsCollection.createIndex(
+        { userId: 1, playerId: 1 },
+        { unique: true, name: 'userId_playerId_unique' }
+      );
+      await collectionsCollection.createIndex(
+        { playerId: 1, count: 1 },
+        { name: 'playerId_count' }
+      );
+
+      // Trades indexes (history is looked up from both sides)
+      await tradesCollection.createIndex(
+        { fromUserId: 1, createdAt: -1 },
+        { name: 'fromUserId_createdAt' }
+      );
+      await tradesCollection.createIndex(
+        { toUserId: 1, createdAt: -1 },
+        { name: 'toUserId_createdAt' }
+      );
+
+      // Packs indexes (opening history per user)
+      await packsCollection.createIndex(
+        { userId: 1, openedAt: -1 },
+        { name: 'userId_openedAt' }
+      );
+
+      // Image job indexes (worker picks up unfinished jobs oldest first)
+      await imageJobsCollection.createIndex(
+        { status: 1, createdAt: 1 },
+        { name: 'status_createdAt' }
+      );
+
+      // Sticker image indexes (version history per player, review queue)
+      await stickerImagesCollection.createIndex(
+        { playerId: 1, version: -1 },
+        { unique: true, name: 'playerId_version_unique' }
+      );
+      await stickerImagesCollection.createIndex(
+        { status: 1, createdAt: 1 },
+        { name: 'status_createdAt' }
+      );
+
+      // Ingest run history, newest first
+      await ingestRunsCollection.createIndex(
+        { startedAt: -1 },
+        { name: 'startedAt' }
+      );
+
+      console.log('[DB] Indexes created/verified');
+
+      // Documents written before searchName existed get it now
+      for (const name of Object.keys(SEARCH_FIELDS)) {
+        const missing = await db.collection(name).find({ searchName: { $exists: false } }).toArray();
+        for (const doc of missing) {
+          await refreshSearchName(name, doc._id, { name: doc.name });
+        }
+        if (missing.length > 0) {
+          console.log(`[DB] Added searchName to ${missing.length} ${name}`);
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Helpers shared by the storage backends
+ */
+
+// Collections that make up the album data set
+export const COLLECTION_NAMES = [
+  'teams',
+  'players',
+  'squads',
+  'countries',
+  'collections',
+  'trades',
+  'packs',
+  'imageJobs',
+  'stickerImages',
+  'ingestRuns',
+];
+
+/**
+ * Copies of a sticker held in a collection entry
+ * Entries written before copy counts were tracked count as a single sticker
+ */
+export function stickerCount(entry) {
+  return entry.count ?? 1;
+}
+
+/**
+ * Build the _id of a collection entry (one document per user per sticker)
+ */
+export function collectionEntryId(userId, playerId) {
+  return `collection:${userId}:${playerId}`;
+}
+
+/**
+ * Check whether a squad document belongs to a team document
+ * Squads written before teamRef existed are matched by provider key:
+ * CSV squads by team name, Sportmonks squads by numeric team id
+ */
+export function squadBelongsToTeam(squad, team) {
+  if (squad.teamRef) {
+    return squad.teamRef === team._id;
+  }
+  if (team.provider === 'csv') {
+    return squad.provider === 'csv' && squad.teamId === team.name;
+  }
+  return squad.provider === team.provider && squad.teamId === team.providerId;
+}
+
+/**
+ * Lowercase and strip accents so "Mbappé" and "mbappe" compare equal
+ */
+export function normalizeText(str) {
+  return (str || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, ''); // Remove accents
+}
+
+// Fields each searchable collection is matched on, the name first
+export const SEARCH_FIELDS = {
+  teams: team => [team.name],
+  players: player => [player.name, player.currentClub?.name, player.nationality?.name],
+};
+
+/**
+ * Normalised words of a document's search fields, e.g. "lionel messi inter
+ * miami argentina"; every word of a query must start one of them
+ */
+export function searchWords(fields) {
+  return fields.flatMap(field => normalizeText(field).split(/[\s-]+/)).filter(Boolean);
+}
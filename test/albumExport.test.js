@@ -0,0 +1,267 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as db from '../src/db.js';
+import { buildAlbumExport, exportAlbum, formatAlbumCSV } from '../src/albumExport.js';
+import { parseCSV } from '../src/importers/csvImporter.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURE = path.join(ROOT, 'test', 'fixtures', 'squads', 'squads.csv');
+
+describe('buildAlbumExport', () => {
+  before(async () => {
+    await db.connect({ STORAGE_BACKEND: 'memory' });
+
+    await db.upsertTeam({
+      _id: 'team:csv:argentina',
+      provider: 'csv',
+      providerId: 'Argentina',
+      name: 'Argentina',
+      album: { code: 'ARG', page: 1, nextNumber: 13 },
+    });
+    await db.upsertTeam({ _id: 'team:csv:france', provider: 'csv', providerId: 'France', name: 'France' });
+    await db.upsertPlayer({
+      _id: 'player:csv:argentina-lionel-messi',
+      provider: 'csv',
+      providerId: 'Argentina:Lionel Messi',
+      name: 'Lionel Messi',
+      position: 'FWD',
+      detailedPosition: 'RW',
+      sticker: { code: 'ARG', number: 12, label: 'ARG 12' },
+      nationality: { name: 'Argentina' },
+      image_path: '/api/images/abc.webp',
+      currentClub: { id: null, name: 'Inter Miami' },
+      dateOfBirth: '1987-06-24',
+      caps: 191,
+    });
+    await db.upsertPlayer({ _id: 'player:csv:argentina-dropped', name: 'Dropped', position: 'MID', nationality: { name: 'Argentina' } });
+    await db.upsertSquad({
+      _id: 'squad:csv:argentina:current',
+      teamId: 'Argentina',
+      teamRef: 'team:csv:argentina',
+      teamName: 'Argentina',
+      playerIds: ['player:csv:argentina-lionel-messi'],
+      jerseyNumbers: { 'player:csv:argentina-lionel-messi': 10 },
+    });
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('exports squad players by team with their ids, leaving out teams without a squad', async () => {
+    assert.deepEqual(await buildAlbumExport(), {
+      Argentina: {
+        team_id: 'team:csv:argentina',
+        team_provider: 'csv',
+        team_provider_id: 'Argentina',
+        team_code: 'ARG',
+        team_page: 1,
+        squad_id: 'squad:csv:argentina:current',
+        players: [{
+          name: 'Lionel Messi',
+          position: 'FWD',
+          detailed_position: 'RW',
+          jersey_number: 10,
+          club: 'Inter Miami',
+          club_country: null,
+          image: '/api/images/abc.webp',
+          date_of_birth: '1987-06-24',
+          height: null,
+          weight: null,
+          preferred_foot: null,
+          caps: 191,
+          goals: null,
+          sticker_number: 12,
+          player_id: 'player:csv:argentina-lionel-messi',
+          provider: 'csv',
+          provider_id: 'Argentina:Lionel Messi',
+        }],
+      },
+    });
+  });
+
+  it('writes CSV the CSV importer reads back', async () => {
+    const album = {
+      'Côte d\'Ivoire': {
+        team_id: 'team:csv:cote-divoire',
+        players: [{ name: 'Franck "Kessie"', position: 'MID', club: 'Al-Ahli, Jeddah', caps: 90 }],
+      },
+    };
+    const { records, rejected } = parseCSV(formatAlbumCSV(album));
+
+    assert.deepEqual(rejected, []);
+    assert.equal(records[0].row.team, 'Côte d\'Ivoire');
+    assert.equal(records[0].row.name, 'Franck "Kessie"');
+    assert.equal(records[0].row.club, 'Al-Ahli, Jeddah');
+    assert.equal(records[0].row.caps, '90');
+    assert.equal(records[0].row.team_id, 'team:csv:cote-divoire');
+  });
+
+  it('rejects unknown formats', async () => {
+    await assert.rejects(exportAlbum('xml'), /Unknown export format "xml"/);
+  });
+});
+
+describe('export round trip', () => {
+  let dir;
+
+  /**
+   * Run a CLI script against a memory store file
+   */
+  function run(script, args, storageFile) {
+    const env = { ...process.env, STORAGE_BACKEND: 'memory', STORAGE_FILE: path.join(dir, storageFile) };
+    const result = spawnSync(process.execPath, [script, ...args], { cwd: ROOT, env, encoding: 'utf-8', timeout: 30000 });
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+  }
+
+  const read = file => fs.readFileSync(path.join(dir, file), 'utf-8');
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('restores the same album from an exported CSV or JSON file', () => {
+    run('src/ingestCSV.js', [FIXTURE], 'original.json');
+    run('src/exportAlbum.js', [path.join(dir, 'album.json')], 'original.json');
+    run('src/exportAlbum.js', [path.join(dir, 'album.csv')], 'original.json');
+
+    const album = JSON.parse(read('album.json'));
+    assert.deepEqual(Object.keys(album), ['Argentina', 'Spain']);
+    assert.deepEqual(album.Argentina.players.map(p => p.name), ['Lionel Messi', 'Enzo Fernández', 'Martínez, Emiliano']);
+    assert.deepEqual(album.Argentina.players[0], {
+      name: 'Lionel Messi',
+      position: 'FWD',
+      detailed_position: null,
+      jersey_number: null,
+      club: 'Inter Miami',
+      club_country: 'United States',
+      image: 'https://example.com/messi.png',
+      date_of_birth: '1987-06-24',
+      height: 170,
+      weight: 72,
+      preferred_foot: 'left',
+      caps: 191,
+      goals: 112,
+      sticker_number: 5,
+      player_id: 'player:csv:argentina-lionel-messi',
+      provider: 'csv',
+      provider_id: 'Argentina:Lionel Messi',
+    });
+
+    // Restore each export into an empty store and export it again
+    run('src/ingestCSV.js', [path.join(dir, 'album.csv')], 'fromCSV.json');
+    run('src/exportAlbum.js', [path.join(dir, 'fromCSV.album.json')], 'fromCSV.json');
+    run('src/ingestCSV.js', [path.join(dir, 'album.json')], 'fromJSON.json');
+    run('src/exportAlbum.js', [path.join(dir, 'fromJSON.album.csv')], 'fromJSON.json');
+
+    assert.equal(read('fromCSV.album.json'), read('album.json'));
+    assert.equal(read('fromJSON.album.csv'), read('album.csv'));
+  });
+});
+
+describe('export round trip from Sportmonks data', () => {
+  let dir;
+
+  function run(script, args, storageFile) {
+    const env = { ...process.env, STORAGE_BACKEND: 'memory', STORAGE_FILE: path.join(dir, storageFile) };
+    const result = spawnSync(process.execPath, [script, ...args], { cwd: ROOT, env, encoding: 'utf-8', timeout: 30000 });
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+  }
+
+  const read = file => fs.readFileSync(path.join(dir, file), 'utf-8');
+  const store = file => JSON.parse(read(file));
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-sportmonks-'));
+
+    await db.connect({ STORAGE_BACKEND: 'memory', STORAGE_FILE: path.join(dir, 'original.json') });
+    await db.upsertTeam({
+      _id: 'team:sportmonks:18710',
+      provider: 'sportmonks',
+      providerId: 18710,
+      name: 'Spain',
+      type: 'national',
+      country: { id: 32, name: 'Spain', code: 'ES' },
+      album: { code: 'ESP', page: 1, nextNumber: 5 },
+    });
+    await db.upsertPlayer({
+      _id: 'player:sportmonks:31000',
+      provider: 'sportmonks',
+      providerId: 31000,
+      name: 'Pedri',
+      position: 'MID',
+      detailedPosition: 'CM',
+      nationality: { id: 32, name: 'Spain' },
+      currentClub: { id: 83, name: 'FC Barcelona' },
+      sticker: { code: 'ESP', number: 3, label: 'ESP 3' },
+    });
+    await db.upsertPlayer({
+      _id: 'player:sportmonks:31001',
+      provider: 'sportmonks',
+      providerId: 31001,
+      name: 'Unai Simón',
+      position: null,
+      nationality: { id: 32, name: 'Spain' },
+      sticker: { code: 'ESP', number: 4, label: 'ESP 4' },
+    });
+    await db.upsertSquad({
+      _id: 'squad:sportmonks:18710:current',
+      provider: 'sportmonks',
+      teamId: 18710,
+      teamRef: 'team:sportmonks:18710',
+      teamName: 'Spain',
+      playerIds: ['player:sportmonks:31000', 'player:sportmonks:31001'],
+      jerseyNumbers: { 'player:sportmonks:31000': 8, 'player:sportmonks:31001': 23 },
+    });
+    await db.close();
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('restores onto the same documents without changing them', () => {
+    run('src/exportAlbum.js', [path.join(dir, 'album.json')], 'original.json');
+    run('src/exportAlbum.js', [path.join(dir, 'album.csv')], 'original.json');
+
+    const album = JSON.parse(read('album.json'));
+    assert.equal(album.Spain.team_id, 'team:sportmonks:18710');
+    assert.equal(album.Spain.team_provider_id, 18710);
+    assert.deepEqual(album.Spain.players.map(p => [p.player_id, p.jersey_number, p.sticker_number]), [
+      ['player:sportmonks:31000', 8, 3],
+      ['player:sportmonks:31001', 23, 4],
+    ]);
+
+    run('src/ingestCSV.js', [path.join(dir, 'album.json')], 'original.json');
+
+    const restored = store('original.json');
+    assert.deepEqual(restored.teams.map(t => [t._id, t.providerId]), [['team:sportmonks:18710', 18710]]);
+    assert.deepEqual(restored.players.map(p => [p._id, p.providerId, p.sticker.label]), [
+      ['player:sportmonks:31000', 31000, 'ESP 3'],
+      ['player:sportmonks:31001', 31001, 'ESP 4'],
+    ]);
+    assert.deepEqual(restored.squads.map(s => s._id), ['squad:sportmonks:18710:current']);
+
+    const [run1] = restored.ingestRuns;
+    for (const kind of ['teams', 'players', 'squads']) {
+      assert.equal(run1.counts[kind].created, 0, kind);
+      assert.equal(run1.counts[kind].updated, 0, kind);
+    }
+  });
+
+  it('restores the same album from the CSV export into an empty store', () => {
+    run('src/ingestCSV.js', [path.join(dir, 'album.csv')], 'fromCSV.json');
+    run('src/exportAlbum.js', [path.join(dir, 'fromCSV.album.json')], 'fromCSV.json');
+
+    assert.equal(read('fromCSV.album.json'), read('album.json'));
+  });
+});
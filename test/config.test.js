@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Load the server config in a child process (invalid config exits)
+ */
+function loadServerConfig(env) {
+  const script = "import('./src/config.js').then(m => console.log(JSON.stringify(m.loadServerConfig())))";
+  return spawnSync(process.execPath, ['-e', script], {
+    cwd: ROOT,
+    env: { ...process.env, STORAGE_BACKEND: 'memory', PACK_SIZE: '', PACK_CREST_ODDS: '', PACK_SHINY_ODDS: '', ...env },
+    encoding: 'utf-8',
+    timeout: 10000,
+  });
+}
+
+describe('loadServerConfig', () => {
+  it('reads pack settings, defaulting unset ones', () => {
+    const result = loadServerConfig({ PACK_SIZE: '7', PACK_SHINY_ODDS: '0.5' });
+
+    assert.equal(result.status, 0, result.stderr);
+    const config = JSON.parse(result.stdout.trim().split('\n').pop());
+    assert.equal(config.PACK_SIZE, 7);
+    assert.equal(config.PACK_CREST_ODDS, 0.05);
+    assert.equal(config.PACK_SHINY_ODDS, 0.5);
+  });
+
+  it('rejects odds that are not probabilities and bad pack sizes', () => {
+    const result = loadServerConfig({ PACK_SIZE: '2.5', PACK_CREST_ODDS: 'abc', PACK_SHINY_ODDS: '1.5' });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /PACK_SIZE must be a whole number of at least 1, got "2.5"/);
+    assert.match(result.stderr, /PACK_CREST_ODDS must be a number between 0 and 1, got "abc"/);
+    assert.match(result.stderr, /PACK_SHINY_ODDS must be a number between 0 and 1, got "1.5"/);
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db.js';
+import { createFoxSportsSource, extractHeadshot, foxSlug, isPlayerPage } from '../src/headshots/foxSportsSource.js';
+import { createWikipediaSource } from '../src/headshots/wikipediaSource.js';
+import {
+  findHeadshot,
+  isImageUrl,
+  resolveSourceImage,
+  setSourceImageOverride,
+} from '../src/headshots/index.js';
+import { enqueueTeam, imageJobId, JOB_STATUS } from '../src/imageQueue.js';
+
+const FOX_PAGE = '<img src="https://b.fssta.com/uploads/application/soccer/headshots/41422.vresize.350.350.medium.1.png">';
+
+/**
+ * Fake fetch answering from a URL -> { status, body } map
+ */
+function fakeFetch(pages) {
+  const requested = [];
+  async function fetchImpl(url) {
+    requested.push(url);
+    const page = pages[url];
+    if (!page) return { ok: false, status: 404 };
+    return {
+      ok: true,
+      status: 200,
+      text: async () => page,
+      json: async () => page,
+    };
+  }
+  return Object.assign(fetchImpl, { requested });
+}
+
+/**
+ * Source that always answers with a fixed result
+ */
+function fixedSource(name, result) {
+  const calls = [];
+  return {
+    name,
+    calls,
+    async find(player) {
+      calls.push(player.name);
+      return result;
+    },
+  };
+}
+
+describe('fox sports source', () => {
+  it('builds slugs without accents or punctuation', () => {
+    assert.equal(foxSlug('Enzo Fernández'), 'enzo-fernandez');
+    assert.equal(foxSlug("N'Golo Kanté"), 'ngolo-kante');
+  });
+
+  it('extracts the headshot url from a player page', () => {
+    assert.equal(
+      extractHeadshot(FOX_PAGE),
+      'https://b.fssta.com/uploads/application/soccer/headshots/41422.vresize.350.350.medium.1.png'
+    );
+    assert.equal(extractHeadshot('<html>default-headshot</html>'), null);
+  });
+
+  it('prefers the exact page and trusts numbered pages less', async () => {
+    const exact = createFoxSportsSource({
+      fetchImpl: fakeFetch({ 'https://www.foxsports.com/soccer/lionel-messi-player': FOX_PAGE }),
+    });
+    assert.equal((await exact.find({ name: 'Lionel Messi' })).confidence, 0.9);
+
+    const numbered = createFoxSportsSource({
+      fetchImpl: fakeFetch({ 'https://www.foxsports.com/soccer/enzo-fernandez-2-player': FOX_PAGE }),
+    });
+    const found = await numbered.find({ name: 'Enzo Fernández' });
+    assert.equal(found.confidence, 0.5);
+    assert.equal(found.page, 'https://www.foxsports.com/soccer/enzo-fernandez-2-player');
+  });
+
+  it('recognises player page urls', () => {
+    assert.equal(isPlayerPage('https://www.foxsports.com/soccer/santiago-sosa-3-player'), true);
+    assert.equal(isPlayerPage('https://www.foxsports.com/soccer/damian-martinez-player/'), true);
+    assert.equal(isPlayerPage('https://b.fssta.com/uploads/application/soccer/headshots/41422.png'), false);
+    assert.equal(isPlayerPage('https://www.foxsports.com/soccer/scores'), false);
+    assert.equal(isPlayerPage('not a url'), false);
+  });
+});
+
+describe('wikipedia source', () => {
+  it('tries the footballer article before the bare name', async () => {
+    const fetchImpl = fakeFetch({});
+    const source = createWikipediaSource({ apiUrl: 'https://wiki.test/api', fetchImpl });
+
+    assert.equal(await source.find({ name: 'Pedri' }), null);
+    assert.match(fetchImpl.requested[0], /titles=Pedri%20\(footballer\)/);
+    assert.match(fetchImpl.requested[1], /titles=Pedri&/);
+  });
+
+  it('returns the page image', async () => {
+    const fetchImpl = async () => ({
+      ok: true,
+      json: async () => ({ query: { pages: { 1: { thumbnail: { source: 'https://upload.test/pedri.jpg' } } } } }),
+    });
+    const source = createWikipediaSource({ fetchImpl });
+
+    const found = await source.find({ name: 'Pedri' });
+    assert.equal(found.url, 'https://upload.test/pedri.jpg');
+    assert.equal(found.confidence, 0.6);
+  });
+});
+
+describe('findHeadshot', () => {
+  it('returns the first source with a result', async () => {
+    const empty = fixedSource('empty', null);
+    const hit = fixedSource('hit', { url: 'https://img.test/a.png', confidence: 0.7 });
+    const unused = fixedSource('unused', { url: 'https://img.test/b.png', confidence: 0.9 });
+
+    const found = await findHeadshot({ name: 'Pedri' }, [empty, hit, unused]);
+
+    assert.equal(found.url, 'https://img.test/a.png');
+    assert.equal(found.source, 'hit');
+    assert.equal(found.confidence, 0.7);
+    assert.deepEqual(unused.calls, []);
+  });
+});
+
+describe('isImageUrl', () => {
+  it('accepts only absolute http(s) urls', () => {
+    assert.equal(isImageUrl('https://img.test/a.png'), true);
+    assert.equal(isImageUrl('ftp://img.test/a.png'), false);
+    assert.equal(isImageUrl('/players/a.png'), false);
+  });
+});
+
+describe('saved source images', () => {
+  const playerId = 'player:csv:argentina-enzo-fernandez';
+
+  beforeEach(async () => {
+    await db.connect({ STORAGE_BACKEND: 'memory' });
+    await db.upsertPlayer({ _id: playerId, provider: 'csv', providerId: 'x', name: 'Enzo Fernández', position: 'MID' });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  const loadPlayer = () => db.getStorage().players.findById(playerId);
+
+  it('saves the first search result and reuses it', async () => {
+    const source = fixedSource('fake', { url: 'https://img.test/enzo.png', confidence: 0.9 });
+
+    await resolveSourceImage(await loadPlayer(), [source]);
+    const saved = (await loadPlayer()).sourceImage;
+    assert.equal(saved.url, 'https://img.test/enzo.png');
+    assert.equal(saved.source, 'fake');
+
+    await resolveSourceImage(await loadPlayer(), [source]);
+    assert.equal(source.calls.length, 1);
+  });
+
+  it('never replaces a manual override, even on refresh', async () => {
+    await setSourceImageOverride(playerId, 'https://img.test/right-enzo.png');
+    const source = fixedSource('fake', { url: 'https://img.test/wrong.png', confidence: 0.9 });
+
+    const resolved = await resolveSourceImage(await loadPlayer(), [source], { refresh: true });
+
+    assert.equal(resolved.url, 'https://img.test/right-enzo.png');
+    assert.equal(resolved.source, 'manual');
+    assert.equal(resolved.confidence, 1);
+    assert.deepEqual(source.calls, []);
+  });
+
+  it('pins the headshot from a hand-checked Fox Sports page', async () => {
+    const page = 'https://www.foxsports.com/soccer/santiago-sosa-3-player';
+    const fetchImpl = fakeFetch({ [page]: FOX_PAGE });
+
+    await setSourceImageOverride(playerId, page, { fetchImpl });
+
+    const saved = (await loadPlayer()).sourceImage;
+    assert.equal(saved.url, 'https://b.fssta.com/uploads/application/soccer/headshots/41422.vresize.350.350.medium.1.png');
+    assert.equal(saved.page, page);
+    assert.equal(saved.source, 'manual');
+    assert.deepEqual(fetchImpl.requested, [page]);
+  });
+
+  it('refuses a Fox Sports page without a headshot', async () => {
+    const page = 'https://www.foxsports.com/soccer/nobody-player';
+
+    await assert.rejects(
+      setSourceImageOverride(playerId, page, { fetchImpl: fakeFetch({}) }),
+      { status: 422, message: `No headshot found on ${page}` }
+    );
+    assert.equal((await loadPlayer()).sourceImage, undefined);
+  });
+
+  it('queues the sticker again when an override is set', async () => {
+    await enqueueTeam({ name: 'Argentina' }, [await loadPlayer()], { outputBase: '/nonexistent' });
+    await db.getStorage().imageJobs.update(imageJobId(playerId), {
+      status: JOB_STATUS.READY,
+      sourceImageUrl: 'https://img.test/wrong.png',
+    });
+
+    await setSourceImageOverride(playerId, 'https://img.test/right-enzo.png');
+
+    const job = await db.getStorage().imageJobs.findById(imageJobId(playerId));
+    assert.equal(job.status, JOB_STATUS.PENDING);
+    assert.equal(job.sourceImageUrl, null);
+  });
+});
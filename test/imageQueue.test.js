@@ -0,0 +1,258 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import * as db from '../src/db.js';
+import {
+  JOB_STATUS,
+  backoffDelay,
+  enqueueTeam,
+  imageJobId,
+  isTransientError,
+  retryFailedJobs,
+  runImageJobs,
+} from '../src/imageQueue.js';
+import { REVIEW_STATUS } from '../src/imageReview.js';
+import { createLocalImageStore } from '../src/imageStore/localImageStore.js';
+
+const team = { _id: 'team:csv:argentina', name: 'Argentina' };
+const players = [
+  { _id: 'player:csv:argentina-lionel-messi', name: 'Lionel Messi', position: 'FWD' },
+  { _id: 'player:csv:argentina-emiliano-martinez', name: 'Emiliano Martinez', position: 'GK' },
+];
+
+// 1x1 transparent PNG
+const png = {
+  data: Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64'),
+  extension: 'png',
+};
+const fastRetry = { retryBaseMs: 1, maxBackoffMs: 5 };
+
+/**
+ * Fake async provider: scripted submit failures and poll states
+ */
+function fakeKontext({ submitErrors = [], states = ['ready'] } = {}) {
+  const calls = { submit: 0, check: 0 };
+  let pollIndex = 0;
+
+  return {
+    calls,
+    name: 'fake',
+    requiresSourceImage: true,
+    rateLimitMs: 0,
+    pollIntervalMs: 1,
+    maxPolls: 5,
+    async submit() {
+      const error = submitErrors[calls.submit++];
+      if (error) throw error;
+      return `req-${calls.submit}`;
+    },
+    async checkResult() {
+      calls.check++;
+      const state = states[Math.min(pollIndex++, states.length - 1)];
+      return { state, status: state, result: 'https://example.com/out.png' };
+    },
+    async download() {
+      return png;
+    },
+  };
+}
+
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+let outputBase;
+let imageStore;
+
+beforeEach(async () => {
+  // Fresh storage and output folder for every test
+  await db.connect({ STORAGE_BACKEND: 'memory' });
+  for (const player of players) {
+    await db.upsertPlayer({ ...player, provider: 'csv', providerId: player._id });
+  }
+  outputBase = fs.mkdtempSync(path.join(os.tmpdir(), 'image-jobs-'));
+  imageStore = createLocalImageStore({ dir: path.join(outputBase, 'store') });
+});
+
+afterEach(async () => {
+  await db.close();
+  fs.rmSync(outputBase, { recursive: true, force: true });
+});
+
+describe('retry policy', () => {
+  it('retries rate limits, server and network errors only', () => {
+    assert.equal(isTransientError(httpError(429)), true);
+    assert.equal(isTransientError(httpError(503)), true);
+    assert.equal(isTransientError(new TypeError('fetch failed')), true);
+    assert.equal(isTransientError(httpError(400)), false);
+    assert.equal(isTransientError(Object.assign(new Error('x'), { permanent: true })), false);
+  });
+
+  it('backs off exponentially up to a cap', () => {
+    const options = { retryBaseMs: 1000, maxBackoffMs: 5000 };
+    assert.deepEqual([1, 2, 3, 4].map(n => backoffDelay(n, options)), [1000, 2000, 4000, 5000]);
+  });
+});
+
+describe('enqueueTeam', () => {
+  it('queues each player once and records existing stickers as ready', async () => {
+    fs.mkdirSync(path.join(outputBase, 'argentina'));
+    fs.writeFileSync(path.join(outputBase, 'argentina', 'lionel-messi.png'), 'old');
+
+    const first = await enqueueTeam(team, players, { outputBase });
+    assert.deepEqual(first, { queued: 1, alreadyDone: 1, alreadyQueued: 0 });
+
+    const messi = await db.getStorage().imageJobs.findById(imageJobId(players[0]._id));
+    assert.equal(messi.status, JOB_STATUS.READY);
+    assert.equal(messi.imagePath, '/players/argentina/lionel-messi.png');
+
+    const second = await enqueueTeam(team, players, { outputBase });
+    assert.deepEqual(second, { queued: 0, alreadyDone: 0, alreadyQueued: 2 });
+  });
+});
+
+describe('runImageJobs', () => {
+  const placeholder = {
+    name: 'local',
+    requiresSourceImage: false,
+    rateLimitMs: 0,
+    render: async () => ({
+      data: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="30" height="40"/>'),
+      extension: 'svg',
+    }),
+  };
+
+  it('renders with a synchronous provider and holds the sticker for review', async () => {
+    await enqueueTeam(team, players, { outputBase });
+    const summary = await runImageJobs({ renderer: placeholder, imageStore, findSourceImage: () => assert.fail('not needed') });
+
+    assert.deepEqual(summary, { total: 2, ready: 2, failed: 0, moderated: 0 });
+
+    const [candidate] = await db.getStorage().stickerImages.listByPlayer(players[0]._id);
+    assert.equal(candidate.status, REVIEW_STATUS.PENDING);
+    assert.equal(candidate.imagePath, `/api/images/${candidate.imageKey}`);
+    assert.ok(await imageStore.has(candidate.imageKey));
+    assert.ok(await imageStore.has(candidate.thumbKey));
+
+    const messi = await db.getStorage().players.findById(players[0]._id);
+    assert.equal(messi.image_path, null);
+  });
+
+  it('makes stickers live straight away with autoApprove', async () => {
+    await enqueueTeam(team, players, { outputBase });
+    await runImageJobs({ renderer: placeholder, imageStore, autoApprove: true, findSourceImage: () => assert.fail('not needed') });
+
+    const messi = await db.getStorage().players.findById(players[0]._id);
+    assert.match(messi.image_path, /^\/api\/images\/[0-9a-f]{64}\.webp$/);
+    assert.equal(messi.imageVersion, 1);
+  });
+
+  it('retries a rate-limited submit and polls until ready', async () => {
+    const renderer = fakeKontext({ submitErrors: [httpError(429)], states: ['pending', 'ready'] });
+
+    await enqueueTeam(team, players.slice(0, 1), { outputBase });
+    const summary = await runImageJobs({
+      renderer,
+      imageStore,
+      findSourceImage: async () => 'https://example.com/messi.png',
+      ...fastRetry,
+    });
+
+    assert.equal(summary.ready, 1);
+    assert.equal(renderer.calls.submit, 2);
+
+    const job = await db.getStorage().imageJobs.findById(imageJobId(players[0]._id));
+    assert.equal(job.status, JOB_STATUS.READY);
+    assert.equal(job.requestId, 'req-2');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.sourceImageUrl, 'https://example.com/messi.png');
+
+    assert.deepEqual(job.promptInfo, { template: 'panini', version: 1, kit: 'home' });
+  });
+
+  it('resumes a submitted job by polling its request id', async () => {
+    const renderer = fakeKontext();
+
+    await enqueueTeam(team, players.slice(0, 1), { outputBase });
+    await db.getStorage().imageJobs.update(imageJobId(players[0]._id), {
+      status: JOB_STATUS.SUBMITTED,
+      requestId: 'req-from-last-run',
+    });
+
+    const summary = await runImageJobs({ renderer, imageStore, findSourceImage: async () => null });
+
+    assert.equal(summary.ready, 1);
+    assert.equal(renderer.calls.submit, 0);
+    assert.equal(renderer.calls.check, 1);
+  });
+
+  it('marks moderated requests without retrying', async () => {
+    const renderer = fakeKontext({ states: ['moderated'] });
+
+    await enqueueTeam(team, players.slice(0, 1), { outputBase });
+    const summary = await runImageJobs({ renderer, imageStore, findSourceImage: async () => 'https://example.com/a.png' });
+
+    assert.equal(summary.moderated, 1);
+    assert.equal(renderer.calls.submit, 1);
+  });
+
+  it('fails permanently without a source image, and can be requeued', async () => {
+    const renderer = fakeKontext();
+
+    await enqueueTeam(team, players.slice(0, 1), { outputBase });
+    let summary = await runImageJobs({ renderer, imageStore, findSourceImage: async () => null });
+
+    assert.equal(summary.failed, 1);
+    const job = await db.getStorage().imageJobs.findById(imageJobId(players[0]._id));
+    assert.equal(job.lastError, 'No source image found');
+    assert.equal(job.attempts, 1);
+
+    assert.equal(await retryFailedJobs(), 1);
+    summary = await runImageJobs({ renderer, imageStore, findSourceImage: async () => 'https://example.com/a.png' });
+    assert.equal(summary.ready, 1);
+  });
+
+  it('gives up after maxAttempts transient failures', async () => {
+    const renderer = fakeKontext({ submitErrors: [httpError(503), httpError(503), httpError(503)] });
+
+    await enqueueTeam(team, players.slice(0, 1), { outputBase });
+    const summary = await runImageJobs({
+      renderer,
+      imageStore,
+      findSourceImage: async () => 'https://example.com/a.png',
+      maxAttempts: 3,
+      ...fastRetry,
+    });
+
+    assert.equal(summary.failed, 1);
+    assert.equal(renderer.calls.submit, 3);
+  });
+
+  it('keeps at most `concurrency` jobs in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const renderer = {
+      name: 'slow',
+      requiresSourceImage: false,
+      rateLimitMs: 0,
+      async render() {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        inFlight--;
+        return png;
+      },
+    };
+
+    const many = Array.from({ length: 6 }, (_, i) => ({ _id: `player:csv:p${i}`, name: `Player ${i}`, position: 'MID' }));
+    await enqueueTeam(team, many, { outputBase });
+    const summary = await runImageJobs({ renderer, imageStore, concurrency: 2 });
+
+    assert.equal(summary.ready, 6);
+    assert.equal(maxInFlight, 2);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import * as db from '../src/db.js';
+import { enqueueTeam, imageJobId, JOB_STATUS, runImageJobs } from '../src/imageQueue.js';
+import {
+  REVIEW_STATUS,
+  addCandidate,
+  approveImage,
+  rejectImage,
+  requestRegeneration,
+  rollbackImage,
+  stickerImageId,
+} from '../src/imageReview.js';
+import { createLocalImageStore } from '../src/imageStore/localImageStore.js';
+
+const team = { _id: 'team:csv:argentina', name: 'Argentina' };
+const messi = { _id: 'player:csv:argentina-lionel-messi', name: 'Lionel Messi', position: 'FWD' };
+const versionId = version => stickerImageId(messi._id, version);
+
+/**
+ * Fake Kontext provider that records the prompts it was sent
+ * Each download is a different colour, so every version has its own hash
+ */
+function fakeKontext() {
+  const prompts = [];
+  return {
+    prompts,
+    name: 'fake',
+    requiresSourceImage: true,
+    rateLimitMs: 0,
+    pollIntervalMs: 1,
+    maxPolls: 1,
+    async submit({ prompt }) {
+      prompts.push(prompt);
+      return `req-${prompts.length}`;
+    },
+    checkResult: async () => ({ state: 'ready', status: 'Ready', result: {} }),
+    download: async () => ({
+      data: Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8"><rect width="8" height="8" fill="#00${prompts.length}"/></svg>`),
+      extension: 'svg',
+    }),
+  };
+}
+
+let outputBase;
+let imageStore;
+let renderer;
+
+/**
+ * Run the queue once, producing the next version of Messi's sticker
+ */
+function generate() {
+  return runImageJobs({ renderer, imageStore, findSourceImage: async () => 'https://example.com/messi.png' });
+}
+
+const loadPlayer = () => db.getStorage().players.findById(messi._id);
+const loadImage = id => db.getStorage().stickerImages.findById(id);
+
+beforeEach(async () => {
+  await db.connect({ STORAGE_BACKEND: 'memory' });
+  await db.upsertPlayer({ ...messi, provider: 'csv', providerId: messi._id, image_path: '/players/old.png' });
+  outputBase = fs.mkdtempSync(path.join(os.tmpdir(), 'image-review-'));
+  imageStore = createLocalImageStore({ dir: outputBase });
+  renderer = fakeKontext();
+
+  await enqueueTeam(team, [messi], { outputBase });
+  await generate();
+});
+
+afterEach(async () => {
+  await db.close();
+  fs.rmSync(outputBase, { recursive: true, force: true });
+});
+
+describe('image review', () => {
+  it('only changes the live sticker once a candidate is approved', async () => {
+    assert.equal((await loadPlayer()).image_path, '/players/old.png');
+
+    const approved = await approveImage(versionId(1));
+    assert.equal(approved.status, REVIEW_STATUS.APPROVED);
+
+    const player = await loadPlayer();
+    assert.equal(player.image_path, approved.imagePath);
+    assert.equal(player.imageVersion, 1);
+    assert.equal(player.imagePrompt.template, 'panini');
+    assert.equal(player.imageMeta.thumbPath, `/api/images/${approved.thumbKey}`);
+    assert.equal(player.imageMeta.width, 512);
+    assert.match(player.imageMeta.hash, /^[0-9a-f]{64}$/);
+  });
+
+  it('rejects candidates without touching the player', async () => {
+    await rejectImage(versionId(1), { note: 'Wrong person' });
+
+    const image = await loadImage(versionId(1));
+    assert.equal(image.status, REVIEW_STATUS.REJECTED);
+    assert.equal(image.note, 'Wrong person');
+    assert.equal((await loadPlayer()).image_path, '/players/old.png');
+
+    await assert.rejects(approveImage(versionId(1)), { status: 409 });
+  });
+
+  it('regenerates with the prompt tweak as a new version', async () => {
+    await requestRegeneration(versionId(1), { promptTweak: 'Give him a beard' });
+
+    assert.equal((await loadImage(versionId(1))).status, REVIEW_STATUS.REJECTED);
+    const job = await db.getStorage().imageJobs.findById(imageJobId(messi._id));
+    assert.equal(job.status, JOB_STATUS.PENDING);
+    assert.equal(job.promptTweak, 'Give him a beard');
+
+    await generate();
+
+    assert.match(renderer.prompts[1], /Give him a beard$/);
+    const second = await loadImage(versionId(2));
+    assert.equal(second.status, REVIEW_STATUS.PENDING);
+    assert.notEqual(second.imageKey, (await loadImage(versionId(1))).imageKey);
+    assert.equal(second.promptInfo.tweak, 'Give him a beard');
+  });
+
+  it('leaves the candidate pending when the player has no job to requeue', async () => {
+    const unqueued = 'player:csv:argentina-enzo-fernandez';
+    const candidate = await addCandidate({ playerId: unqueued, version: 1, imagePath: '/players/enzo.png' });
+
+    await assert.rejects(requestRegeneration(candidate._id), { status: 409 });
+    assert.equal((await loadImage(candidate._id)).status, REVIEW_STATUS.PENDING);
+  });
+
+  it('keeps earlier versions and rolls back to them', async () => {
+    await approveImage(versionId(1));
+    await requestRegeneration(versionId(1));
+    await generate();
+    await approveImage(versionId(2));
+
+    const [first, second] = [await loadImage(versionId(1)), await loadImage(versionId(2))];
+    assert.equal(first.status, REVIEW_STATUS.RETIRED);
+    assert.equal((await loadPlayer()).image_path, second.imagePath);
+    assert.ok(await imageStore.has(first.imageKey));
+
+    await rollbackImage(messi._id);
+
+    assert.equal((await loadImage(versionId(1))).status, REVIEW_STATUS.APPROVED);
+    assert.equal((await loadImage(versionId(2))).status, REVIEW_STATUS.RETIRED);
+    assert.equal((await loadPlayer()).image_path, first.imagePath);
+  });
+
+  it('reports missing images and nothing to roll back to', async () => {
+    await assert.rejects(approveImage(versionId(9)), { status: 404 });
+    await assert.rejects(rollbackImage(messi._id), { status: 409 });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createImageStore, hashImage, imageUrl, isImageKey } from '../src/imageStore/index.js';
+
+let dir;
+let store;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-store-'));
+  store = createImageStore({ IMAGE_STORE: 'local', IMAGE_STORE_DIR: dir });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('local image store', () => {
+  it('stores images under their content hash', async () => {
+    const data = Buffer.from('sticker-bytes');
+    const stored = await store.put(data, 'webp');
+
+    assert.equal(stored.hash, hashImage(data));
+    assert.equal(stored.key, `${stored.hash}.webp`);
+    assert.ok(fs.existsSync(path.join(dir, stored.hash.slice(0, 2), stored.key)));
+
+    const loaded = await store.get(stored.key);
+    assert.ok(loaded.data.equals(data));
+    assert.equal(loaded.contentType, 'image/webp');
+  });
+
+  it('stores identical bytes once, whoever they belong to', async () => {
+    const first = await store.put(Buffer.from('same'), 'png');
+    const second = await store.put(Buffer.from('same'), 'png');
+
+    assert.equal(first.key, second.key);
+    assert.equal(fs.readdirSync(path.join(dir, first.hash.slice(0, 2))).length, 1);
+  });
+
+  it('returns null for images it does not have', async () => {
+    const key = `${'a'.repeat(64)}.webp`;
+    assert.equal(await store.get(key), null);
+    assert.equal(await store.has(key), false);
+  });
+
+  it('rejects keys that are not content hashes', async () => {
+    assert.equal(isImageKey('../../etc/passwd'), false);
+    assert.equal(isImageKey(`${'a'.repeat(64)}.exe`), false);
+    await assert.rejects(store.get('../secret.webp'), /Invalid image key/);
+  });
+});
+
+describe('createImageStore', () => {
+  it('rejects unknown backends', () => {
+    assert.throws(() => createImageStore({ IMAGE_STORE: 'ftp' }), /Unknown image store/);
+  });
+
+  it('builds API URLs from keys', () => {
+    assert.equal(imageUrl('abc.webp'), '/api/images/abc.webp');
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readSquadFile } from '../src/importers/index.js';
+import { parseSquadJSON } from '../src/importers/jsonImporter.js';
+import { parseSheetRows } from '../src/importers/xlsxImporter.js';
+import { validateRows } from '../src/squadRows.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'squads');
+
+describe('parseSquadJSON', () => {
+  it('reads an array of players with aliased keys', () => {
+    const { records, rejected } = parseSquadJSON(JSON.stringify([
+      { team: 'Argentina', player_fullname: 'Lionel Messi', pos: 'FWD', height: 170 },
+    ]));
+
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(records, [
+      { line: 1, row: { team: 'Argentina', name: 'Lionel Messi', position: 'FWD', height: '170' } },
+    ]);
+  });
+
+  it('reads players grouped by team', () => {
+    const { records } = parseSquadJSON(JSON.stringify({
+      Argentina: [{ name: 'Lionel Messi', position: 'FWD' }],
+      Spain: [{ name: 'Pedri', position: 'MID', club: null }],
+    }));
+
+    assert.deepEqual(records.map(r => [r.line, r.row.team, r.row.name]), [
+      [1, 'Argentina', 'Lionel Messi'],
+      [2, 'Spain', 'Pedri'],
+    ]);
+    assert.equal(records[1].row.club, null);
+  });
+
+  it('rejects entries that are not player objects', () => {
+    const { records, rejected } = parseSquadJSON(JSON.stringify({ Spain: [{ name: 'Pedri' }, 'Gavi'] }));
+
+    assert.equal(records.length, 1);
+    assert.deepEqual(rejected, [{ line: 2, team: 'Spain', name: null, errors: ['expected a player object'] }]);
+  });
+
+  it('throws on malformed or empty files', () => {
+    assert.throws(() => parseSquadJSON('{ nope'), /Invalid JSON/);
+    assert.throws(() => parseSquadJSON('[]'), /no players/);
+    assert.throws(() => parseSquadJSON('"Spain"'), /array of players/);
+    assert.throws(() => parseSquadJSON('{"Spain": {"name": "Pedri"}}'), /must be an array/);
+  });
+});
+
+describe('parseSheetRows', () => {
+  it('maps the header row and converts dates and numbers to text', () => {
+    const { records } = parseSheetRows([
+      [null, null],
+      ['Team', 'Player Name', 'DOB', 'Height'],
+      ['Argentina', 'Lionel Messi', new Date('1987-06-24T00:00:00Z'), 170],
+      [null, null, null, null],
+      ['Spain', 'Pedri', null, null],
+    ]);
+
+    assert.deepEqual(records, [
+      { line: 3, row: { team: 'Argentina', name: 'Lionel Messi', date_of_birth: '1987-06-24', height: '170' } },
+      { line: 5, row: { team: 'Spain', name: 'Pedri', date_of_birth: null, height: null } },
+    ]);
+  });
+
+  it('requires a header and data rows', () => {
+    assert.throws(() => parseSheetRows([['Team', 'Name']]), /header row/);
+    assert.throws(() => parseSheetRows([['Team', 'Club'], ['Spain', 'Barcelona']]), /Missing required column/);
+  });
+});
+
+describe('readSquadFile', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'squads-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('reads .xlsx files', async () => {
+    const { format, records } = await readSquadFile(path.join(fixtures, 'squads.xlsx'));
+
+    assert.equal(format, 'xlsx');
+    assert.deepEqual(records[0], {
+      line: 2,
+      row: { team: 'Argentina', name: 'Lionel Messi', position: 'FWD', club: 'Inter Miami', date_of_birth: '1987-06-24', height: '170' },
+    });
+
+    const { accepted, rejected } = validateRows(records);
+    assert.deepEqual(accepted.map(r => r.row.name), ['Lionel Messi', 'Enzo Fernández']);
+    assert.equal(accepted[1].row.position, 'MID');
+    assert.deepEqual(rejected.map(r => [r.line, r.errors[0]]), [[4, 'unknown team "Narnia"']]);
+  });
+
+  it('picks the importer by extension', async () => {
+    const csvFile = path.join(dir, 'squads.CSV');
+    const jsonFile = path.join(dir, 'squads.json');
+    await writeFile(csvFile, 'team,name,position\nSpain,Pedri,MID\n');
+    await writeFile(jsonFile, JSON.stringify([{ team: 'Spain', name: 'Pedri', position: 'MID' }]));
+
+    const csv = await readSquadFile(csvFile);
+    const json = await readSquadFile(jsonFile);
+
+    assert.equal(csv.format, 'csv');
+    assert.equal(json.format, 'json');
+    assert.deepEqual(csv.records[0].row, json.records[0].row);
+  });
+
+  it('rejects unsupported extensions', async () => {
+    await assert.rejects(readSquadFile(path.join(dir, 'squads.txt')), /Unsupported squad file "squads.txt"/);
+  });
+});
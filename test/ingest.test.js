@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPlayerName, extractCountryInfo, findCurrentClub, mapPosition, extractProfile } from '../src/ingest.js';
+
+describe('getPlayerName', () => {
+  it('prefers display_name, then common_name', () => {
+    assert.equal(getPlayerName({ display_name: 'Vini Jr.', common_name: 'Vinícius' }), 'Vini Jr.');
+    assert.equal(getPlayerName({ common_name: 'Pedri', firstname: 'Pedro' }), 'Pedri');
+  });
+
+  it('falls back to first and last name', () => {
+    assert.equal(getPlayerName({ firstname: 'Lionel', lastname: 'Messi' }), 'Lionel Messi');
+    assert.equal(getPlayerName({ lastname: 'Casemiro' }), 'Casemiro');
+  });
+
+  it('returns null when there is nothing to use', () => {
+    assert.equal(getPlayerName(null), null);
+    assert.equal(getPlayerName({}), null);
+  });
+});
+
+describe('extractCountryInfo', () => {
+  it('maps id, name and iso2 code', () => {
+    assert.deepEqual(
+      extractCountryInfo({ id: 44, name: 'Argentina', iso2: 'AR', fifa_name: 'ARG' }),
+      { id: 44, name: 'Argentina', code: 'AR' }
+    );
+  });
+
+  it('falls back to official_name and fifa_name', () => {
+    assert.deepEqual(
+      extractCountryInfo({ id: 1, official_name: 'United States of America', fifa_name: 'USA' }),
+      { id: 1, name: 'United States of America', code: 'USA' }
+    );
+  });
+
+  it('returns empty info for a missing country', () => {
+    assert.deepEqual(extractCountryInfo(null), { id: null, name: null, code: null });
+  });
+});
+
+describe('findCurrentClub', () => {
+  it('returns null without a teams array', () => {
+    assert.equal(findCurrentClub(undefined), null);
+    assert.equal(findCurrentClub([]), null);
+  });
+
+  it('ignores national teams', () => {
+    const club = findCurrentClub([
+      { id: 1, type: 'national', name: 'Argentina' },
+      { id: 2, type: 'domestic', name: 'Inter Miami' },
+    ]);
+    assert.equal(club.name, 'Inter Miami');
+  });
+
+  it('prefers an active contract over an ended one', () => {
+    const club = findCurrentClub([
+      { id: 1, type: 'domestic', name: 'Barcelona', pivot: { start: '2004-07-01', end: '2021-06-30' } },
+      { id: 2, type: 'domestic', name: 'Inter Miami', pivot: { start: '2023-07-15', end: null } },
+    ]);
+    assert.equal(club.name, 'Inter Miami');
+  });
+
+  it('prefers the most recent start among active contracts', () => {
+    const club = findCurrentClub([
+      { id: 1, type: 'domestic', name: 'Old Club', pivot: { start: '2015-01-01' } },
+      { id: 2, type: 'domestic', name: 'New Club', pivot: { start: '2024-01-01' } },
+    ]);
+    assert.equal(club.name, 'New Club');
+  });
+});
+
+describe('mapPosition', () => {
+  it('maps position ids to GK/DEF/MID/FWD', () => {
+    assert.deepEqual(mapPosition({ position_id: 24 }), { position: 'GK', detailedPosition: null });
+    assert.deepEqual(mapPosition({ position_id: 27 }), { position: 'FWD', detailedPosition: null });
+  });
+
+  it('keeps the detailed position', () => {
+    assert.deepEqual(mapPosition({ position_id: 25, detailed_position_id: 148 }), { position: 'DEF', detailedPosition: 'CB' });
+  });
+
+  it('falls back to the player profile, then to the detailed position group', () => {
+    assert.deepEqual(mapPosition({}, { position_id: 26, detailed_position_id: 153 }), { position: 'MID', detailedPosition: 'CM' });
+    assert.deepEqual(mapPosition({ detailed_position_id: 152 }), { position: 'FWD', detailedPosition: 'LW' });
+  });
+
+  it('returns nulls for unknown ids', () => {
+    assert.deepEqual(mapPosition({ position_id: 999 }, null), { position: null, detailedPosition: null });
+  });
+});
+
+describe('extractProfile', () => {
+  it('reads vital stats and the preferred foot', () => {
+    const profile = extractProfile({
+      date_of_birth: '1987-06-24',
+      height: 170,
+      weight: 72,
+      metadata: [{ type_id: 229, values: 'left' }],
+    }, 18644);
+    assert.deepEqual(profile, {
+      dateOfBirth: '1987-06-24',
+      height: 170,
+      weight: 72,
+      preferredFoot: 'left',
+      caps: null,
+      internationalGoals: null,
+    });
+  });
+
+  it('adds up appearances and goals for the national team only', () => {
+    const profile = extractProfile({
+      statistics: [
+        { team_id: 18644, details: [{ type_id: 321, value: { total: 10 } }, { type_id: 52, value: { total: 4 } }] },
+        { team_id: 18644, details: [{ type_id: 321, value: { total: 5 } }] },
+        { team_id: 239, details: [{ type_id: 321, value: { total: 30 } }, { type_id: 52, value: { total: 20 } }] },
+      ],
+    }, 18644);
+    assert.equal(profile.caps, 15);
+    assert.equal(profile.internationalGoals, 4);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, parseCSVLine, parseCSVRecords, generateId } from '../src/ingestCSV.js';
+
+describe('parseCSVLine', () => {
+  it('splits on commas', () => {
+    assert.deepEqual(parseCSVLine('Argentina,Lionel Messi,FWD'), ['Argentina', 'Lionel Messi', 'FWD']);
+  });
+
+  it('keeps commas inside quoted values', () => {
+    assert.deepEqual(
+      parseCSVLine('Brazil,"Vinícius Júnior, Jr",FWD'),
+      ['Brazil', 'Vinícius Júnior, Jr', 'FWD']
+    );
+  });
+
+  it('keeps empty trailing values', () => {
+    assert.deepEqual(parseCSVLine('Spain,Pedri,'), ['Spain', 'Pedri', '']);
+  });
+
+  it('unescapes doubled quotes', () => {
+    assert.deepEqual(parseCSVLine('Brazil,"Vinícius ""Vini"" Júnior",FWD'), ['Brazil', 'Vinícius "Vini" Júnior', 'FWD']);
+  });
+});
+
+describe('parseCSVRecords', () => {
+  it('handles CRLF line endings', () => {
+    const records = parseCSVRecords('team,name\r\nSpain,Pedri\r\n');
+    assert.deepEqual(records.map(r => r.values), [['team', 'name'], ['Spain', 'Pedri']]);
+  });
+
+  it('keeps newlines inside quoted fields and numbers records by starting line', () => {
+    const records = parseCSVRecords('team,name\nSpain,"Pedro\nGonzález"\nSpain,Rodri\n');
+    assert.deepEqual(records[1], { line: 2, values: ['Spain', 'Pedro\nGonzález'] });
+    assert.deepEqual(records[2], { line: 4, values: ['Spain', 'Rodri'] });
+  });
+
+  it('skips blank lines and a byte order mark', () => {
+    const records = parseCSVRecords('\uFEFFteam,name\n\nSpain,Pedri');
+    assert.deepEqual(records.map(r => r.line), [1, 3]);
+    assert.equal(records[0].values[0], 'team');
+  });
+
+  it('rejects an unterminated quote', () => {
+    assert.throws(() => parseCSVRecords('team,name\nSpain,"Pedri'), /Unterminated quoted field starting on line 2/);
+  });
+});
+
+describe('parseCSV', () => {
+  it('parses rows into objects keyed by canonical column, with line numbers', () => {
+    const { records } = parseCSV('Team,Name,Position\nArgentina,Lionel Messi,FWD\n');
+    assert.deepEqual(records, [{ line: 2, row: { team: 'Argentina', name: 'Lionel Messi', position: 'FWD' } }]);
+  });
+
+  it('accepts the player_fullname/club_country header convention', () => {
+    const { records } = parseCSV('team,player_fullname,position,club,club_country\nNorway,Erling Haaland,FWD,Manchester City,England');
+    assert.equal(records[0].row.name, 'Erling Haaland');
+    assert.equal(records[0].row.club_country, 'England');
+  });
+
+  it('maps header aliases', () => {
+    const { records } = parseCSV('Nation,Player Name,Pos,Club,Country,DOB\nNorway,Erling Haaland,FWD,Manchester City,England,2000-07-21');
+    assert.deepEqual(records[0].row, {
+      team: 'Norway',
+      name: 'Erling Haaland',
+      position: 'FWD',
+      club: 'Manchester City',
+      club_country: 'England',
+      date_of_birth: '2000-07-21',
+    });
+  });
+
+  it('turns empty values into null', () => {
+    const { records } = parseCSV('team,name,club\nFrance,Kylian Mbappé,');
+    assert.equal(records[0].row.club, null);
+  });
+
+  it('rejects rows with the wrong column count, with their line number', () => {
+    const { records, rejected } = parseCSV('team,name,position\nJapan,Kaoru Mitoma,MID\n\nJapan,Too,Many,Columns\n');
+    assert.equal(records.length, 1);
+    assert.equal(records[0].row.name, 'Kaoru Mitoma');
+    assert.deepEqual(rejected, [{ line: 4, team: 'Japan', name: 'Too', errors: ['expected 3 columns, got 4'] }]);
+  });
+
+  it('requires a team and a name column', () => {
+    assert.throws(() => parseCSV('team,position\nSpain,MID'), /Missing required column: "name"/);
+  });
+
+  it('requires at least one data row', () => {
+    assert.throws(() => parseCSV('team,name'), /at least one data row/);
+  });
+});
+
+describe('generateId', () => {
+  it('slugs the name with a CSV prefix', () => {
+    assert.equal(generateId('team', 'South Korea'), 'team:csv:south-korea');
+  });
+
+  it('strips accents and punctuation', () => {
+    assert.equal(generateId('player', 'Argentina-Enzo Fernández'), 'player:csv:argentina-enzo-fernandez');
+    assert.equal(generateId('team', 'Curaçao'), 'team:csv:curacao');
+  });
+
+  it('trims leading and trailing separators', () => {
+    assert.equal(generateId('player', '  N\'Golo Kanté! '), 'player:csv:n-golo-kante');
+  });
+});
@@ -0,0 +1,254 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../src/db.js';
+import { createIngestSession, parseIngestArgs } from '../src/ingestRun.js';
+
+const squadId = 'squad:csv:argentina:current';
+
+const csvPlayer = (name, fields = {}) => ({
+  _id: `player:csv:argentina-${name.toLowerCase().replace(/\s+/g, '-')}`,
+  provider: 'csv',
+  providerId: `Argentina:${name}`,
+  name,
+  position: 'MID',
+  nationality: { id: null, name: 'Argentina', code: null },
+  currentClub: { id: null, name: 'Club' },
+  ...fields,
+});
+
+/**
+ * Run one ingest of the Argentina squad with the given players
+ */
+async function ingest(players, { dryRun = false } = {}) {
+  const session = createIngestSession({ source: 'csv', input: { file: 'squads.csv' }, dryRun });
+
+  await session.saveTeam({ _id: 'team:csv:argentina', provider: 'csv', providerId: 'Argentina', name: 'Argentina' });
+  for (const player of players) {
+    await session.savePlayer(player);
+  }
+  await session.saveSquad({
+    _id: squadId,
+    provider: 'csv',
+    teamId: 'Argentina',
+    teamRef: 'team:csv:argentina',
+    teamName: 'Argentina',
+    playerIds: players.map(p => p._id),
+  });
+
+  return session.finish();
+}
+
+const messi = csvPlayer('Lionel Messi', { position: 'FWD', currentClub: { id: null, name: 'Inter Miami' } });
+const enzo = csvPlayer('Enzo Fernandez', { currentClub: { id: null, name: 'Chelsea' } });
+const loadPlayer = id => db.getStorage().players.findById(id);
+
+beforeEach(async () => {
+  await db.connect({ STORAGE_BACKEND: 'memory' });
+});
+
+afterEach(async () => {
+  await db.close();
+});
+
+describe('ingest sessions', () => {
+  it('creates documents on the first run and records every player as added', async () => {
+    const run = await ingest([messi, enzo]);
+
+    assert.deepEqual(run.counts.players, { created: 2, updated: 0, unchanged: 0 });
+    assert.deepEqual(run.counts.squads, { created: 1, updated: 0, unchanged: 0 });
+    assert.deepEqual(run.changes.added.map(c => c.name), ['Lionel Messi', 'Enzo Fernandez']);
+    assert.ok((await loadPlayer(messi._id)).updatedAt instanceof Date);
+  });
+
+  it('leaves unchanged documents untouched', async () => {
+    await ingest([messi, enzo]);
+    const before = await loadPlayer(messi._id);
+    const squadBefore = await db.getStorage().squads.findById(squadId);
+
+    const run = await ingest([messi, enzo]);
+
+    assert.deepEqual(run.counts.players, { created: 0, updated: 0, unchanged: 2 });
+    assert.deepEqual(run.counts.squads, { created: 0, updated: 0, unchanged: 1 });
+    assert.deepEqual(run.changes.added, []);
+    assert.deepEqual(await loadPlayer(messi._id), before);
+    assert.deepEqual((await db.getStorage().squads.findById(squadId)).fetchedAt, squadBefore.fetchedAt);
+  });
+
+  it('reports club and position changes', async () => {
+    await ingest([messi, enzo]);
+
+    const run = await ingest([
+      { ...messi, currentClub: { id: null, name: 'Barcelona' } },
+      { ...enzo, position: 'DEF' },
+    ]);
+
+    assert.deepEqual(run.counts.players, { created: 0, updated: 2, unchanged: 0 });
+    assert.deepEqual(run.changes.clubChanged, [
+      { playerId: messi._id, name: 'Lionel Messi', from: 'Inter Miami', to: 'Barcelona' },
+    ]);
+    assert.deepEqual(run.changes.positionChanged, [
+      { playerId: enzo._id, name: 'Enzo Fernandez', from: 'MID', to: 'DEF' },
+    ]);
+    assert.equal((await loadPlayer(messi._id)).currentClub.name, 'Barcelona');
+  });
+
+  it('does not let blank source values wipe stored data', async () => {
+    await ingest([messi]);
+
+    const run = await ingest([{ ...messi, position: null, currentClub: { id: null, name: null } }]);
+
+    assert.deepEqual(run.counts.players, { created: 0, updated: 0, unchanged: 1 });
+    const player = await loadPlayer(messi._id);
+    assert.equal(player.position, 'FWD');
+    assert.equal(player.currentClub.name, 'Inter Miami');
+  });
+
+  it('keeps the approved sticker when the source has a different image', async () => {
+    await ingest([{ ...messi, image_path: 'https://cdn.example.com/messi.png' }]);
+    await db.getStorage().players.update(messi._id, { image_path: '/api/images/approved.webp', imageVersion: 1 });
+
+    await ingest([{ ...messi, image_path: 'https://cdn.example.com/messi-new.png' }]);
+
+    assert.equal((await loadPlayer(messi._id)).image_path, '/api/images/approved.webp');
+  });
+
+  it('marks players dropped from the squad and clears the mark when they return', async () => {
+    await ingest([messi, enzo]);
+
+    const dropped = await ingest([messi]);
+
+    assert.deepEqual(dropped.changes.removedFromSquad, [
+      { playerId: enzo._id, name: 'Enzo Fernandez', teamName: 'Argentina' },
+    ]);
+    const enzoDropped = await loadPlayer(enzo._id);
+    assert.equal(enzoDropped.droppedFromSquad.squadId, squadId);
+    assert.equal(enzoDropped.droppedFromSquad.teamName, 'Argentina');
+    assert.deepEqual((await db.getStorage().squads.findById(squadId)).playerIds, [messi._id]);
+
+    const back = await ingest([messi, enzo]);
+
+    assert.deepEqual(back.changes.added.map(c => c.playerId), [enzo._id]);
+    assert.equal((await loadPlayer(enzo._id)).droppedFromSquad, null);
+  });
+
+  it('does not mark a player who moved to another squad in the same run as dropped', async () => {
+    const spainSquad = { _id: 'squad:csv:spain:current', provider: 'csv', teamId: 'Spain', teamName: 'Spain' };
+    const argentinaSquad = { _id: squadId, provider: 'csv', teamId: 'Argentina', teamName: 'Argentina' };
+    await ingest([messi, enzo]);
+
+    // Enzo moves to Spain; Spain is saved before Argentina drops him
+    let session = createIngestSession({ source: 'csv' });
+    await session.saveSquad({ ...spainSquad, playerIds: [enzo._id] });
+    await session.saveSquad({ ...argentinaSquad, playerIds: [messi._id] });
+    await session.finish();
+    assert.equal((await loadPlayer(enzo._id)).droppedFromSquad, undefined);
+
+    // And back again, in the other order
+    session = createIngestSession({ source: 'csv' });
+    await session.saveSquad({ ...argentinaSquad, playerIds: [messi._id, enzo._id] });
+    await session.saveSquad({ ...spainSquad, playerIds: [] });
+    const run = await session.finish();
+    assert.equal((await loadPlayer(enzo._id)).droppedFromSquad, undefined);
+    assert.deepEqual(run.changes.removedFromSquad, [{ playerId: enzo._id, name: 'Enzo Fernandez', teamName: 'Spain' }]);
+  });
+
+  it('keeps members the run could not load instead of dropping them', async () => {
+    await ingest([messi, enzo]);
+
+    const session = createIngestSession({ source: 'sportmonks' });
+    await session.saveSquad(
+      { _id: squadId, provider: 'csv', teamId: 'Argentina', teamName: 'Argentina', playerIds: [messi._id] },
+      { keepPlayerIds: [enzo._id] }
+    );
+    const run = await session.finish();
+
+    assert.deepEqual(run.changes.removedFromSquad, []);
+    assert.deepEqual((await db.getStorage().squads.findById(squadId)).playerIds, [messi._id, enzo._id]);
+  });
+
+  it('keeps members only while the squad stays within its size cap', async () => {
+    await ingest([messi, enzo]);
+    const newcomers = Array.from({ length: 26 }, (_, i) => csvPlayer(`Newcomer ${i + 1}`));
+
+    // 26 new rows fill the squad, so the kept member (rejected as the 27th row) goes
+    const session = createIngestSession({ source: 'csv' });
+    for (const player of newcomers) {
+      await session.savePlayer(player);
+    }
+    await session.saveSquad(
+      { _id: squadId, provider: 'csv', teamId: 'Argentina', teamName: 'Argentina', playerIds: newcomers.map(p => p._id) },
+      { keepPlayerIds: [messi._id], maxSize: 26 }
+    );
+    const run = await session.finish();
+
+    const squad = await db.getStorage().squads.findById(squadId);
+    assert.equal(squad.playerIds.length, 26);
+    assert.ok(!squad.playerIds.includes(messi._id));
+    assert.deepEqual(run.changes.removedFromSquad.map(c => c.playerId), [messi._id, enzo._id]);
+  });
+
+  it('records each run in ingestRuns, newest first', async () => {
+    const first = await ingest([messi]);
+    const second = await ingest([messi, enzo]);
+
+    const runs = await db.getStorage().ingestRuns.list(10);
+
+    assert.deepEqual(runs.map(r => r._id), [second._id, first._id]);
+    assert.equal(runs[0].source, 'csv');
+    assert.deepEqual(runs[0].input, { file: 'squads.csv' });
+    assert.ok(runs[0].finishedAt >= runs[0].startedAt);
+    assert.deepEqual(await db.getStorage().ingestRuns.findById(first._id), first);
+  });
+});
+
+describe('dry runs', () => {
+  it('collects creates, updates and deletes without writing anything', async () => {
+    await ingest([messi, enzo]);
+    const storage = db.getStorage();
+    const before = {
+      players: await storage.players.list(),
+      squad: await storage.squads.findById(squadId),
+    };
+    const julian = csvPlayer('Julian Alvarez', { position: 'FWD' });
+
+    const run = await ingest([{ ...messi, currentClub: { id: null, name: 'Barcelona' } }, julian], { dryRun: true });
+
+    assert.equal(run.dryRun, true);
+    assert.deepEqual(
+      run.operations.map(o => [o.op, o.collection, o._id]),
+      [
+        ['update', 'players', messi._id],
+        ['create', 'players', julian._id],
+        ['update', 'squads', squadId],
+        ['delete', 'squads', squadId],
+        ['update', 'players', enzo._id],
+      ]
+    );
+    assert.equal(run.operations[0].fields.currentClub.name, 'Barcelona');
+    assert.equal(run.operations[3].playerId, enzo._id);
+    assert.deepEqual(run.changes.added.map(c => c.name), ['Julian Alvarez']);
+
+    assert.deepEqual(await storage.players.list(), before.players);
+    assert.deepEqual(await storage.squads.findById(squadId), before.squad);
+    assert.equal((await storage.ingestRuns.list(10)).length, 1);
+  });
+
+  it('previews a first run against an empty database', async () => {
+    const run = await ingest([messi], { dryRun: true });
+
+    assert.deepEqual(run.operations.map(o => o.op), ['create', 'create', 'create']);
+    assert.deepEqual(run.changes.added.map(c => c.name), ['Lionel Messi']);
+    assert.equal(await loadPlayer(messi._id), null);
+  });
+});
+
+describe('parseIngestArgs', () => {
+  it('reads --dry-run and keeps other arguments', () => {
+    assert.deepEqual(parseIngestArgs(['squads.csv', '--dry-run']), { dryRun: true, output: null, args: ['squads.csv'] });
+  });
+
+  it('treats --output as a dry run saved to a file', () => {
+    assert.deepEqual(parseIngestArgs(['--output', 'plan.json']), { dryRun: true, output: 'plan.json', args: [] });
+    assert.throws(() => parseIngestArgs(['--output']), /--output takes a file path/);
+  });
+});
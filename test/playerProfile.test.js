@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ageOn, buildProfile, normalizeFoot, parseDateOfBirth, parseStat } from '../src/playerProfile.js';
+
+describe('normalizeFoot', () => {
+  it('accepts words, initials and any case', () => {
+    assert.equal(normalizeFoot('Right'), 'right');
+    assert.equal(normalizeFoot('L'), 'left');
+    assert.equal(normalizeFoot('both'), 'both');
+    assert.equal(normalizeFoot('left foot'), 'left');
+  });
+
+  it('returns null for anything else', () => {
+    assert.equal(normalizeFoot('lefty'), null);
+    assert.equal(normalizeFoot(null), null);
+  });
+});
+
+describe('parseStat', () => {
+  it('parses whole numbers, keeping zero', () => {
+    assert.equal(parseStat('182'), 182);
+    assert.equal(parseStat('182 cm'), 182);
+    assert.equal(parseStat(0), 0);
+  });
+
+  it('returns null for blanks and nonsense', () => {
+    assert.equal(parseStat(''), null);
+    assert.equal(parseStat(null), null);
+    assert.equal(parseStat('tall'), null);
+    assert.equal(parseStat('-3'), null);
+  });
+});
+
+describe('parseDateOfBirth', () => {
+  it('keeps YYYY-MM-DD dates and drops a time part', () => {
+    assert.equal(parseDateOfBirth('1987-06-24'), '1987-06-24');
+    assert.equal(parseDateOfBirth('1987-06-24T00:00:00Z'), '1987-06-24');
+  });
+
+  it('rejects other formats', () => {
+    assert.equal(parseDateOfBirth('24/06/1987'), null);
+    assert.equal(parseDateOfBirth('1987-13-45'), null);
+  });
+});
+
+describe('buildProfile', () => {
+  it('normalises every field', () => {
+    assert.deepEqual(
+      buildProfile({ dateOfBirth: '2002-11-25', height: '174', weight: '60', preferredFoot: 'R', caps: '22', internationalGoals: '2' }),
+      { dateOfBirth: '2002-11-25', height: 174, weight: 60, preferredFoot: 'right', caps: 22, internationalGoals: 2 }
+    );
+  });
+});
+
+describe('ageOn', () => {
+  it('counts whole years, changing on the birthday', () => {
+    assert.equal(ageOn('1987-06-24', new Date('2026-06-23T12:00:00Z')), 38);
+    assert.equal(ageOn('1987-06-24', new Date('2026-06-24T12:00:00Z')), 39);
+  });
+
+  it('is null without a date of birth', () => {
+    assert.equal(ageOn(null), null);
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import sharp from 'sharp';
+import { createRenderer } from '../src/rendering/index.js';
+import { createFireworksProvider } from '../src/rendering/fireworksProvider.js';
+import { flagEmojis } from '../src/flags.js';
+import { renderPlaceholderSvg } from '../src/rendering/localProvider.js';
+import { postProcessSticker } from '../src/rendering/postProcess.js';
+import {
+  buildStickerPrompt,
+  describeJersey,
+  findMissingKits,
+  stickerCatalogue,
+} from '../src/rendering/prompt.js';
+
+// 1x1 transparent PNG
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+describe('createRenderer', () => {
+  it('selects the provider named in config', () => {
+    assert.equal(createRenderer({ IMAGE_PROVIDER: 'local' }).name, 'local');
+    assert.equal(createRenderer({ IMAGE_PROVIDER: 'fireworks', FIREWORKS_API_KEY: 'k' }).name, 'fireworks');
+  });
+
+  it('rejects unknown providers', () => {
+    assert.throws(() => createRenderer({ IMAGE_PROVIDER: 'dalle' }), /Unknown image provider/);
+  });
+});
+
+describe('local provider', () => {
+  it('draws the name, position colour and team flag', () => {
+    const svg = renderPlaceholderSvg({ name: 'Lionel Messi', position: 'FWD', teamName: 'Argentina' });
+
+    assert.match(svg, /Lionel Messi/);
+    assert.match(svg, />LM</);
+    assert.match(svg, /#ef4444/);
+    assert.match(svg, /Forward/);
+    assert.match(svg, /🇦🇷/);
+  });
+
+  it('escapes markup in names', () => {
+    const svg = renderPlaceholderSvg({ name: 'A <b> & "C"', position: 'GK', teamName: 'Spain' });
+    assert.match(svg, /A &lt;b&gt; &amp; &quot;C&quot;/);
+  });
+
+  it('renders the same bytes for the same player', async () => {
+    const renderer = createRenderer({ IMAGE_PROVIDER: 'local' });
+    const player = { name: 'Pedri', position: 'MID', teamName: 'Spain' };
+
+    const first = await renderer.render(player);
+    const second = await renderer.render(player);
+
+    assert.equal(first.extension, 'svg');
+    assert.equal(renderer.requiresSourceImage, false);
+    assert.ok(first.data.equals(second.data));
+  });
+});
+
+describe('postProcessSticker', () => {
+  const wide = {
+    data: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200"><rect width="300" height="200" fill="red"/></svg>'),
+    extension: 'svg',
+  };
+
+  it('crops to a square WebP sticker and thumbnail', async () => {
+    const processed = await postProcessSticker(wide, { full: 64, thumb: 16 });
+
+    assert.equal(processed.full.extension, 'webp');
+    assert.equal(processed.width, 64);
+    assert.equal(processed.height, 64);
+
+    const full = await sharp(processed.full.data).metadata();
+    const thumb = await sharp(processed.thumb.data).metadata();
+    assert.deepEqual([full.format, full.width, full.height], ['webp', 64, 64]);
+    assert.deepEqual([thumb.format, thumb.width, thumb.height], ['webp', 16, 16]);
+  });
+
+  it('hashes the full image bytes', async () => {
+    const first = await postProcessSticker(wide, { full: 64, thumb: 16 });
+    const second = await postProcessSticker(wide, { full: 64, thumb: 16 });
+
+    assert.match(first.hash, /^[0-9a-f]{64}$/);
+    assert.equal(first.hash, second.hash);
+  });
+});
+
+describe('sticker catalogue', () => {
+  const catalogue = {
+    version: 1,
+    template: 'plain',
+    templates: { plain: { version: 3, text: ['Wearing {{jersey}}.', 'No text.'] } },
+    aliases: { USA: 'United States' },
+    kits: {
+      'United States': { home: 'white USA jersey', away: 'navy USA jersey', goalkeeper: 'green USA keeper jersey' },
+      Haiti: { home: 'blue Haiti jersey' },
+    },
+  };
+
+  it('fills the template and reports its version', () => {
+    const { prompt, promptInfo } = buildStickerPrompt('USA', {}, catalogue);
+
+    assert.equal(prompt, 'Wearing white USA jersey.\n\nNo text.');
+    assert.deepEqual(promptInfo, { template: 'plain', version: 3, kit: 'home' });
+  });
+
+  it('dresses goalkeepers in the goalkeeper kit', () => {
+    assert.equal(describeJersey('United States', { position: 'GK' }, catalogue).description, 'green USA keeper jersey');
+    assert.equal(describeJersey('United States', { kit: 'away' }, catalogue).description, 'navy USA jersey');
+  });
+
+  it('falls back to the home kit, then a generic jersey', () => {
+    assert.deepEqual(describeJersey('Haiti', { position: 'GK' }, catalogue), { kit: 'home', description: 'blue Haiti jersey' });
+    assert.deepEqual(describeJersey('Jordan', {}, catalogue), { kit: null, description: 'Jordan national team jersey' });
+  });
+
+  it('rejects unknown templates', () => {
+    assert.throws(() => buildStickerPrompt('Haiti', { template: 'nope' }, catalogue), /Unknown prompt template/);
+  });
+
+  it('lists teams with missing or incomplete kits', () => {
+    assert.deepEqual(findMissingKits(['USA', 'Haiti', 'Jordan'], catalogue), [
+      { team: 'Haiti', missing: ['away', 'goalkeeper'] },
+      { team: 'Jordan', missing: ['home', 'away', 'goalkeeper'] },
+    ]);
+  });
+
+  it('covers every qualified team', () => {
+    assert.deepEqual(findMissingKits(Object.keys(flagEmojis)), []);
+    assert.ok(stickerCatalogue.templates[stickerCatalogue.template]);
+  });
+});
+
+describe('fireworks provider', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+
+    let polls = 0;
+    app.post('/kontext', (req, res) => {
+      requests.push({ auth: req.headers.authorization, body: req.body });
+      res.json({ request_id: 'req-1' });
+    });
+    app.post('/kontext/get_result', (req, res) => {
+      polls++;
+      res.json(polls < 2
+        ? { status: 'Pending' }
+        : { status: 'Ready', result: { sample: `data:image/png;base64,${PNG_BASE64}` } });
+    });
+
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/kontext`;
+  });
+
+  after(() => server.close());
+
+  it('submits the prompt, polls until ready and decodes the image', async () => {
+    const provider = createFireworksProvider({ apiKey: 'secret', baseUrl, pollIntervalMs: 1 });
+
+    const rendered = await provider.render({
+      name: 'Lionel Messi',
+      position: 'FWD',
+      teamName: 'Argentina',
+      sourceImageUrl: 'https://example.com/messi.png',
+    });
+
+    assert.equal(rendered.extension, 'png');
+    assert.ok(rendered.data.equals(Buffer.from(PNG_BASE64, 'base64')));
+
+    assert.equal(requests[0].auth, 'Bearer secret');
+    assert.equal(requests[0].body.input_image, 'https://example.com/messi.png');
+    assert.equal(requests[0].body.prompt, buildStickerPrompt('Argentina').prompt);
+    assert.deepEqual(rendered.promptInfo, { template: 'panini', version: 1, kit: 'home' });
+  });
+
+  it('needs a source image', async () => {
+    const provider = createFireworksProvider({ apiKey: 'secret', baseUrl });
+    await assert.rejects(provider.render({ name: 'X', teamName: 'Spain' }), /needs a source image/);
+  });
+});
@@ -0,0 +1,759 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import * as db from '../src/db.js';
+import { addCandidate } from '../src/imageReview.js';
+import { createIngestSession } from '../src/ingestRun.js';
+import { createLocalImageStore } from '../src/imageStore/localImageStore.js';
+import { init } from '../server/index.js';
+
+let server;
+let baseUrl;
+let imageDir;
+
+async function api(path, options = {}) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+  const type = res.headers.get('content-type') || '';
+  const body = type.includes('json') ? await res.json() : await res.text();
+  return { status: res.status, headers: res.headers, body };
+}
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// Call an admin route with the admin token
+function admin(path, options = {}) {
+  return api(path, { ...options, headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, ...options.headers } });
+}
+
+async function seed() {
+  await db.upsertTeam({
+    _id: 'team:csv:argentina',
+    provider: 'csv',
+    providerId: 'argentina',
+    name: 'Argentina',
+    type: 'national',
+    country: { id: null, name: 'Argentina', code: null },
+  });
+  await db.upsertTeam({
+    _id: 'team:csv:france',
+    provider: 'csv',
+    providerId: 'france',
+    name: 'France',
+    type: 'national',
+    country: { id: null, name: 'France', code: null },
+  });
+
+  await db.upsertPlayer({
+    _id: 'player:csv:argentina-lionel-messi',
+    provider: 'csv',
+    providerId: 'argentina-lionel-messi',
+    name: 'Lionel Messi',
+    position: 'FWD',
+    detailedPosition: 'RW',
+    nationality: { id: null, name: 'Argentina', code: null },
+    currentClub: { id: null, name: 'Inter Miami' },
+    currentClubCountry: { id: null, name: 'USA', code: null },
+    dateOfBirth: '1987-06-24',
+    height: 170,
+    preferredFoot: 'left',
+    caps: 191,
+    internationalGoals: 112,
+  });
+  await db.upsertPlayer({
+    _id: 'player:csv:argentina-emiliano-martinez',
+    provider: 'csv',
+    providerId: 'argentina-emiliano-martinez',
+    name: 'Emiliano Martínez',
+    position: 'GK',
+    nationality: { id: null, name: 'Argentina', code: null },
+    currentClub: { id: null, name: 'Aston Villa' },
+    currentClubCountry: { id: null, name: 'England', code: null },
+  });
+  await db.upsertPlayer({
+    _id: 'player:csv:france-kylian-mbappe',
+    provider: 'csv',
+    providerId: 'france-kylian-mbappe',
+    name: 'Kylian Mbappé',
+    position: 'FWD',
+    nationality: { id: null, name: 'France', code: null },
+    currentClub: { id: null, name: 'Real Madrid' },
+    currentClubCountry: { id: null, name: 'Spain', code: null },
+  });
+
+  // Argentine, but not in the Argentina squad
+  await db.upsertPlayer({
+    _id: 'player:csv:argentina-paulo-dybala',
+    provider: 'csv',
+    providerId: 'argentina-paulo-dybala',
+    name: 'Paulo Dybala',
+    position: 'FWD',
+    nationality: { id: null, name: 'Argentina', code: null },
+    currentClub: { id: null, name: 'Roma' },
+    currentClubCountry: { id: null, name: 'Italy', code: null },
+  });
+
+  // Argentina has a squad; France falls back to nationality
+  await db.upsertSquad({
+    _id: 'squad:csv:argentina:current',
+    provider: 'csv',
+    teamId: 'Argentina',
+    teamRef: 'team:csv:argentina',
+    teamName: 'Argentina',
+    playerIds: ['player:csv:argentina-lionel-messi', 'player:csv:argentina-emiliano-martinez'],
+    jerseyNumbers: { 'player:csv:argentina-lionel-messi': 10 },
+  });
+}
+
+/**
+ * Start a single-node replica set (the pack route needs transactions) for
+ * the mongodb run, or say why it can't run here
+ */
+async function startMongo() {
+  try {
+    const { MongoMemoryReplSet } = await import('mongodb-memory-server');
+    return { replSet: await MongoMemoryReplSet.create({ replSet: { count: 1 } }) };
+  } catch (error) {
+    return { skip: `no mongod binary for mongodb-memory-server (${error.message.split('\n')[0]})` };
+  }
+}
+
+const mongo = await startMongo();
+
+// CI has to verify both backends; locally a missing mongod only skips
+const MONGO_REQUIRED = Boolean(process.env.CI);
+if (mongo.skip) {
+  console.warn(`[TEST] MongoDB route tests ${MONGO_REQUIRED ? 'FAIL' : 'SKIPPED, backend unverified'}: ${mongo.skip}`);
+}
+
+// Every route test runs against each storage backend
+const BACKENDS = [
+  { name: 'memory', skip: false, unavailable: null, config: () => ({ STORAGE_BACKEND: 'memory' }) },
+  {
+    name: 'mongodb',
+    skip: !MONGO_REQUIRED && (mongo.skip || false),
+    unavailable: mongo.skip || null,
+    config: () => ({ STORAGE_BACKEND: 'mongodb', MONGODB_URI: mongo.replSet.getUri(), DB_NAME: 'server-test' }),
+  },
+];
+
+after(async () => {
+  await mongo.replSet?.stop();
+});
+
+for (const backend of BACKENDS) {
+  describe(`routes (${backend.name} storage)`, { skip: backend.skip }, () => {
+    // (Re)connect the server to this backend; overrides change its config
+    async function start(overrides = {}) {
+      const app = await init({ ...backend.config(), IMAGE_STORE_DIR: imageDir, ADMIN_TOKEN, ...overrides });
+      await db.ensureIndexes();
+      await seed();
+      return app;
+    }
+
+    before(async () => {
+      if (backend.unavailable) {
+        throw new Error(`${backend.name} backend unverified: ${backend.unavailable}`);
+      }
+      imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-images-'));
+      const app = await start();
+      await new Promise((resolve) => {
+        server = app.listen(0, resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+      if (backend.unavailable) return;
+      await new Promise((resolve) => server.close(resolve));
+      await db.close();
+      fs.rmSync(imageDir, { recursive: true, force: true });
+    });
+
+    describe('teams', () => {
+      it('lists teams with flag emojis', async () => {
+        const { status, body } = await api('/api/teams');
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(t => t.name).sort(), ['Argentina', 'France']);
+        assert.equal(body.find(t => t.name === 'Argentina').flagEmoji, '🇦🇷');
+      });
+
+      it('returns squad players sorted by position', async () => {
+        const { status, headers, body } = await api('/api/teams/Argentina/players');
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-squad-source'), 'squad');
+        assert.deepEqual(body.map(p => p.name), ['Emiliano Martínez', 'Lionel Messi']);
+      });
+
+      it('includes detailed positions and squad numbers', async () => {
+        const { body } = await api('/api/teams/Argentina/players');
+        const messi = body.find(p => p.name === 'Lionel Messi');
+        assert.equal(messi.detailedPosition, 'RW');
+        assert.equal(messi.jerseyNumber, 10);
+        assert.equal(body.find(p => p.name === 'Emiliano Martínez').jerseyNumber, null);
+      });
+
+      it('sorts numbered stickers before unnumbered ones', async () => {
+        const messi = 'player:csv:argentina-lionel-messi';
+        await db.getStorage().players.update(messi, { sticker: { code: 'ARG', number: 12, label: 'ARG 12' } });
+
+        try {
+          const { body } = await api('/api/teams/Argentina/players');
+          assert.deepEqual(body.map(p => p.name), ['Lionel Messi', 'Emiliano Martínez']);
+        } finally {
+          await db.getStorage().players.update(messi, { sticker: null });
+        }
+      });
+
+      it('falls back to nationality when a team has no squad', async () => {
+        const { headers, body } = await api('/api/teams/France/players');
+        assert.equal(headers.get('x-squad-source'), 'nationality');
+        assert.deepEqual(body.map(p => p.name), ['Kylian Mbappé']);
+      });
+
+      it('reports nationals left out of the squad', async () => {
+        const { status, body } = await api('/api/teams/Argentina/squad-check');
+        assert.equal(status, 200);
+        assert.equal(body.source, 'squad');
+        assert.equal(body.squadId, 'squad:csv:argentina:current');
+        assert.equal(body.squadSize, 2);
+        assert.deepEqual(body.mismatches, {
+          missingPlayers: [],
+          nationalityDiffers: [],
+          notInSquad: [{ _id: 'player:csv:argentina-paulo-dybala', name: 'Paulo Dybala' }],
+        });
+      });
+
+      it('checks nothing for a team without a squad', async () => {
+        const { body } = await api('/api/teams/France/squad-check');
+        assert.equal(body.source, 'nationality');
+        assert.equal(body.squadId, null);
+        assert.deepEqual(body.mismatches, { missingPlayers: [], nationalityDiffers: [], notInSquad: [] });
+
+        const unknown = await api('/api/teams/Atlantis/squad-check');
+        assert.equal(unknown.status, 404);
+      });
+    });
+
+    describe('players', () => {
+      it('returns a player with club details', async () => {
+        const { status, body } = await api('/api/players/player:csv:argentina-lionel-messi');
+        assert.equal(status, 200);
+        assert.equal(body.club, 'Inter Miami');
+        assert.equal(body.nationality, 'Argentina');
+        assert.equal(body.detailedPosition, 'RW');
+        assert.equal(body.jerseyNumber, 10);
+        assert.equal(body.profile.dateOfBirth, '1987-06-24');
+        assert.equal(typeof body.profile.age, 'number');
+        assert.equal(body.profile.height, 170);
+        assert.equal(body.profile.weight, null);
+        assert.equal(body.profile.preferredFoot, 'left');
+        assert.equal(body.profile.caps, 191);
+        assert.equal(body.profile.internationalGoals, 112);
+      });
+
+      it('has no jersey number for a player outside any squad', async () => {
+        const { body } = await api('/api/players/player:csv:france-kylian-mbappe');
+        assert.equal(body.jerseyNumber, null);
+      });
+
+      it('returns 404 for an unknown player', async () => {
+        const { status } = await api('/api/players/player:csv:nobody');
+        assert.equal(status, 404);
+      });
+    });
+
+    describe('clubs', () => {
+      it('summarises clubs and club countries', async () => {
+        const { status, body } = await api('/api/clubs');
+        assert.equal(status, 200);
+        assert.deepEqual(body.clubs.map(c => c.name).sort(), ['Aston Villa', 'Inter Miami', 'Real Madrid', 'Roma']);
+        assert.deepEqual(body.clubs.find(c => c.name === 'Real Madrid'), {
+          name: 'Real Madrid',
+          country: 'Spain',
+          playerCount: 1,
+          nationCount: 1,
+        });
+        assert.deepEqual(body.countries.find(c => c.name === 'England'), { name: 'England', playerCount: 1, clubCount: 1 });
+      });
+
+      it('filters clubs by country', async () => {
+        const { body } = await api('/api/clubs?country=England');
+        assert.deepEqual(body.clubs.map(c => c.name), ['Aston Villa']);
+      });
+
+      it('lists a club\'s players with their teams', async () => {
+        const { status, body } = await api('/api/clubs/Real%20Madrid/players');
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(p => [p._id, p.teamName, p.flagEmoji, p.clubCountry]), [
+          ['player:csv:france-kylian-mbappe', 'France', '🇫🇷', 'Spain'],
+        ]);
+      });
+
+      it('returns 404 for a club without players', async () => {
+        const { status } = await api('/api/clubs/Nowhere%20FC/players');
+        assert.equal(status, 404);
+      });
+    });
+
+    describe('source image overrides', () => {
+      const messi = 'player:csv:argentina-lionel-messi';
+
+      it('pins and clears a manual headshot', async () => {
+        let res = await admin(`/api/players/${messi}/source-image`, {
+          method: 'PUT',
+          body: { url: 'https://img.test/messi.png' },
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.sourceImage.source, 'manual');
+
+        res = await api(`/api/players/${messi}`);
+        assert.equal(res.body.sourceImage.url, 'https://img.test/messi.png');
+
+        res = await admin(`/api/players/${messi}/source-image`, { method: 'DELETE' });
+        assert.equal(res.status, 200);
+
+        res = await api(`/api/players/${messi}`);
+        assert.equal(res.body.sourceImage, null);
+      });
+
+      it('rejects bad urls and unknown players', async () => {
+        let res = await admin(`/api/players/${messi}/source-image`, { method: 'PUT', body: { url: 'not a url' } });
+        assert.equal(res.status, 400);
+
+        res = await admin('/api/players/player:csv:nobody/source-image', {
+          method: 'PUT',
+          body: { url: 'https://img.test/x.png' },
+        });
+        assert.equal(res.status, 404);
+      });
+
+      it('only lets admins change headshots', async () => {
+        let res = await api(`/api/players/${messi}/source-image`, {
+          method: 'PUT',
+          body: { url: 'https://img.test/someone-else.png' },
+        });
+        assert.equal(res.status, 401);
+
+        res = await api(`/api/players/${messi}/source-image`, { method: 'DELETE' });
+        assert.equal(res.status, 401);
+      });
+    });
+
+    describe('image review', () => {
+      const messi = 'player:csv:argentina-lionel-messi';
+
+      it('turns away requests without the admin token', async () => {
+        let res = await api('/api/admin/images');
+        assert.equal(res.status, 401);
+
+        res = await api('/api/admin/players/player:csv:argentina-lionel-messi/rollback', {
+          method: 'POST',
+          body: {},
+          headers: { Authorization: 'Bearer wrong-token' },
+        });
+        assert.equal(res.status, 401);
+
+        res = await api('/api/admin/ingest-runs');
+        assert.equal(res.status, 401);
+      });
+
+      it('lists pending candidates and approves one', async () => {
+        await addCandidate({
+          playerId: messi,
+          version: 1,
+          imagePath: '/players/argentina/lionel-messi.v1.webp',
+          thumbPath: '/players/argentina/lionel-messi.v1.thumb.webp',
+        });
+
+        let res = await admin('/api/admin/images');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.length, 1);
+        assert.equal(res.body[0].playerName, 'Lionel Messi');
+        assert.equal(res.body[0].status, 'pending-review');
+
+        res = await admin(`/api/admin/images/${res.body[0]._id}/approve`, { method: 'POST', body: {} });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'approved');
+
+        res = await api(`/api/players/${messi}`);
+        assert.equal(res.body.full, '/players/argentina/lionel-messi.v1.webp');
+        assert.equal(res.body.thumb, '/players/argentina/lionel-messi.v1.thumb.webp');
+
+        res = await api('/api/teams/Argentina/players');
+        const listed = res.body.find(player => player._id === messi);
+        assert.equal(listed.thumb, '/players/argentina/lionel-messi.v1.thumb.webp');
+
+        res = await admin(`/api/admin/players/${messi}/images`);
+        assert.deepEqual(res.body.map(image => image.version), [1]);
+      });
+
+      it('maps review errors to HTTP statuses', async () => {
+        let res = await admin('/api/admin/images/stickerImage:nope:1/reject', { method: 'POST', body: {} });
+        assert.equal(res.status, 404);
+
+        res = await admin(`/api/admin/players/${messi}/rollback`, { method: 'POST', body: {} });
+        assert.equal(res.status, 409);
+
+        res = await admin('/api/admin/images?status=bogus');
+        assert.equal(res.status, 400);
+      });
+    });
+
+    describe('ingest runs', () => {
+      it('lists recorded runs and fetches one by id', async () => {
+        const session = createIngestSession({ source: 'csv', input: { file: 'squads.csv' } });
+        const run = await session.finish();
+
+        let res = await admin('/api/admin/ingest-runs');
+        assert.equal(res.status, 200);
+        assert.equal(res.body[0]._id, run._id);
+
+        res = await admin(`/api/admin/ingest-runs/${run._id}`);
+        assert.equal(res.body.source, 'csv');
+        assert.deepEqual(res.body.counts.players, { created: 0, updated: 0, unchanged: 0 });
+
+        res = await admin('/api/admin/ingest-runs/ingestRun:nope');
+        assert.equal(res.status, 404);
+      });
+    });
+
+    describe('export', () => {
+      it('exports squads in the importers\' shape as JSON or CSV', async () => {
+        let res = await api('/api/export');
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-disposition'), 'attachment; filename="album.json"');
+        assert.deepEqual(Object.keys(res.body), ['Argentina']);
+        assert.equal(res.body.Argentina.team_id, 'team:csv:argentina');
+        assert.equal(res.body.Argentina.squad_id, 'squad:csv:argentina:current');
+        assert.deepEqual(res.body.Argentina.players.map(p => [p.player_id, p.name, p.position, p.jersey_number]), [
+          ['player:csv:argentina-lionel-messi', 'Lionel Messi', 'FWD', 10],
+          ['player:csv:argentina-emiliano-martinez', 'Emiliano Martínez', 'GK', null],
+        ]);
+
+        res = await api('/api/export?format=csv');
+        assert.equal(res.headers.get('content-type'), 'text/csv; charset=utf-8');
+        const lines = res.body.trim().split('\n');
+        assert.ok(lines[0].startsWith('team,name,position,detailed_position,jersey_number,club,club_country,'));
+        assert.ok(lines[1].startsWith('Argentina,Lionel Messi,FWD,RW,10,Inter Miami,USA,'));
+
+        res = await api('/api/export?format=xml');
+        assert.equal(res.status, 400);
+      });
+    });
+
+    describe('images', () => {
+      it('serves stored images with long-lived cache headers', async () => {
+        const { key, hash } = await createLocalImageStore({ dir: imageDir }).put(Buffer.from('<svg/>'), 'svg');
+
+        let res = await api(`/api/images/${key}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body, '<svg/>');
+        assert.equal(res.headers.get('content-type'), 'image/svg+xml');
+        assert.equal(res.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+        assert.equal(res.headers.get('etag'), `"${hash}"`);
+
+        // fetch() adds Cache-Control: no-cache to conditional requests, so ask like a browser would
+        const status = await new Promise((resolve, reject) => {
+          http.get(`${baseUrl}/api/images/${key}`, { headers: { 'If-None-Match': `"${hash}"` } }, (response) => {
+            response.resume();
+            resolve(response.statusCode);
+          }).on('error', reject);
+        });
+        assert.equal(status, 304);
+      });
+
+      it('404s for unknown and malformed keys', async () => {
+        let res = await api(`/api/images/${'0'.repeat(64)}.webp`);
+        assert.equal(res.status, 404);
+
+        res = await api('/api/images/..%2F..%2Fpackage.json');
+        assert.equal(res.status, 404);
+      });
+    });
+
+    describe('search', () => {
+      it('matches accent-insensitively and by prefix', async () => {
+        const { status, body } = await api('/api/search?q=mbappe');
+        assert.equal(status, 200);
+        assert.deepEqual(body.players.map(p => p.name), ['Kylian Mbappé']);
+        assert.equal(body.players[0].teamName, 'France');
+
+        const prefix = await api('/api/search?q=argen');
+        assert.deepEqual(prefix.body.teams.map(t => t.name), ['Argentina']);
+      });
+
+      it('requires every word to match', async () => {
+        let res = await api('/api/search?q=real%20madrid');
+        assert.deepEqual(res.body.players.map(p => p.name), ['Kylian Mbappé']);
+
+        res = await api('/api/search?q=madrid%20argentina');
+        assert.deepEqual(res.body.players, []);
+
+        // Partial, accent-stripped words across name and club
+        res = await api('/api/search?q=martin%20vill');
+        assert.deepEqual(res.body.players.map(p => p.name), ['Emiliano Martínez']);
+      });
+
+      it('rejects queries shorter than two characters', async () => {
+        const { status } = await api('/api/search?q=a');
+        assert.equal(status, 400);
+      });
+
+      it('rejects a repeated query parameter', async () => {
+        const { status, body } = await api('/api/search?q=messi&q=mbappe');
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Query must be a single string');
+      });
+    });
+
+    describe('collections', () => {
+      const messi = 'player:csv:argentina-lionel-messi';
+
+      it('rejects invalid user ids', async () => {
+        const { status } = await api('/api/collections/not%20valid');
+        assert.equal(status, 400);
+      });
+
+      it('sets, reads and removes sticker counts', async () => {
+        let res = await api(`/api/collections/alice/stickers/${messi}`, { method: 'PUT', body: { count: 3 } });
+        assert.equal(res.status, 200);
+
+        res = await api('/api/collections/alice');
+        assert.deepEqual(res.body.counts, { [messi]: 3 });
+
+        res = await api(`/api/collections/alice/stickers/${messi}`, { method: 'DELETE' });
+        assert.equal(res.status, 200);
+
+        res = await api('/api/collections/alice');
+        assert.deepEqual(res.body.counts, {});
+      });
+
+      it('rejects negative counts and unknown stickers', async () => {
+        let res = await api(`/api/collections/alice/stickers/${messi}`, { method: 'PUT', body: { count: -1 } });
+        assert.equal(res.status, 400);
+
+        res = await api('/api/collections/alice/stickers/player:csv:nobody', { method: 'PUT', body: { count: 1 } });
+        assert.equal(res.status, 404);
+      });
+
+      it('lists swaps and needs as CSV', async () => {
+        await api(`/api/collections/carol/stickers/${messi}`, { method: 'PUT', body: { count: 2 } });
+
+        const { status, headers, body } = await api('/api/collections/carol/swaps?format=csv');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /text\/csv/);
+
+        const lines = body.trim().split('\n');
+        assert.equal(lines[0], 'type,number,team,player,position,spare');
+        assert.ok(lines.includes('swap,,Argentina,Lionel Messi,FWD,1'));
+        assert.ok(lines.some(line => line.startsWith('need,') && line.includes('Kylian Mbappé')));
+      });
+    });
+
+    describe('trades', () => {
+      const messi = 'player:csv:argentina-lionel-messi';
+      const mbappe = 'player:csv:france-kylian-mbappe';
+
+      it('moves duplicates between collectors when accepted', async () => {
+        await api(`/api/collections/dan/stickers/${messi}`, { method: 'PUT', body: { count: 2 } });
+        await api(`/api/collections/erin/stickers/${mbappe}`, { method: 'PUT', body: { count: 2 } });
+
+        const proposed = await api('/api/trades', {
+          method: 'POST',
+          body: { fromUserId: 'dan', toUserId: 'erin', give: [messi], receive: [mbappe] },
+        });
+        assert.equal(proposed.status, 201);
+
+        const accepted = await api(`/api/trades/${proposed.body._id}/accept`, {
+          method: 'POST',
+          body: { userId: 'erin' },
+        });
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.status, 'accepted');
+
+        const dan = await api('/api/collections/dan');
+        assert.deepEqual(dan.body.counts, { [messi]: 1, [mbappe]: 1 });
+
+        const again = await api(`/api/trades/${proposed.body._id}/accept`, {
+          method: 'POST',
+          body: { userId: 'erin' },
+        });
+        assert.equal(again.status, 409);
+      });
+
+      it('only allows duplicate stickers in a trade', async () => {
+        const { status, body } = await api('/api/trades', {
+          method: 'POST',
+          body: { fromUserId: 'frank', toUserId: 'erin', give: [messi], receive: [] },
+        });
+        assert.equal(status, 409);
+        assert.deepEqual(body.missingGive, [messi]);
+      });
+    });
+
+    describe('trade suggestions and responses', () => {
+      const messi = 'player:csv:argentina-lionel-messi';
+      const mbappe = 'player:csv:france-kylian-mbappe';
+      const sticker = (_id, name) => ({ _id, number: null, name, position: 'FWD' });
+
+      // kim has a spare Messi and needs Mbappé; lee the other way round
+      before(async () => {
+        await api(`/api/collections/kim/stickers/${messi}`, { method: 'PUT', body: { count: 2 } });
+        await api(`/api/collections/lee/stickers/${mbappe}`, { method: 'PUT', body: { count: 2 } });
+      });
+
+      async function propose() {
+        const { body } = await api('/api/trades', {
+          method: 'POST',
+          body: { fromUserId: 'kim', toUserId: 'lee', give: [messi], receive: [mbappe] },
+        });
+        return body._id;
+      }
+
+      it('suggests swapping spares for needs', async () => {
+        const { status, body } = await api('/api/collections/kim/suggested-trades?with=lee');
+        assert.equal(status, 200);
+        assert.deepEqual(body, [{
+          userId: 'lee',
+          give: [sticker(messi, 'Lionel Messi')],
+          receive: [sticker(mbappe, 'Kylian Mbappé')],
+          size: 1,
+        }]);
+
+        const all = await api('/api/collections/kim/suggested-trades');
+        assert.ok(all.body.some(s => s.userId === 'lee'));
+
+        const invalid = await api('/api/collections/kim/suggested-trades?with=not%20valid');
+        assert.equal(invalid.status, 400);
+      });
+
+      it('lets the receiver reject and the proposer cancel', async () => {
+        const rejectedId = await propose();
+
+        let res = await api(`/api/trades/${rejectedId}/reject`, { method: 'POST', body: { userId: 'mallory' } });
+        assert.equal(res.status, 403);
+
+        res = await api(`/api/trades/${rejectedId}/reject`, { method: 'POST', body: { userId: 'lee' } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'rejected');
+
+        res = await api(`/api/trades/${rejectedId}/reject`, { method: 'POST', body: { userId: 'lee' } });
+        assert.equal(res.status, 409);
+
+        const cancelledId = await propose();
+        res = await api(`/api/trades/${cancelledId}/reject`, { method: 'POST', body: { userId: 'kim' } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'cancelled');
+
+        res = await api('/api/trades/trade-unknown/reject', { method: 'POST', body: { userId: 'kim' } });
+        assert.equal(res.status, 404);
+
+        // Nothing changes hands
+        const kim = await api('/api/collections/kim');
+        assert.deepEqual(kim.body.counts, { [messi]: 2 });
+      });
+
+      it('lists a collector\'s trades from their side', async () => {
+        const { status, body } = await api('/api/collections/kim/trades');
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(t => t.status).sort(), ['cancelled', 'rejected']);
+        assert.ok(body.every(t => t.direction === 'outgoing'));
+        assert.deepEqual(body[0].give, [sticker(messi, 'Lionel Messi')]);
+        assert.deepEqual(body[0].receive, [sticker(mbappe, 'Kylian Mbappé')]);
+
+        const lee = await api('/api/collections/lee/trades?status=rejected');
+        assert.deepEqual(lee.body.map(t => [t.status, t.direction]), [['rejected', 'incoming']]);
+
+        const invalid = await api('/api/collections/not%20valid/trades');
+        assert.equal(invalid.status, 400);
+      });
+    });
+
+    describe('packs', () => {
+      it('draws the same pack for the same seed', async () => {
+        const first = await api('/api/packs/open', { method: 'POST', body: { userId: 'gina', seed: 'fixed' } });
+        const second = await api('/api/packs/open', { method: 'POST', body: { userId: 'hank', seed: 'fixed' } });
+
+        assert.equal(first.status, 201);
+        assert.equal(first.body.stickers.length, 5);
+        assert.deepEqual(
+          first.body.stickers.map(s => s._id),
+          second.body.stickers.map(s => s._id)
+        );
+      });
+
+      it('lists duplicate crests from packs as swaps and trade suggestions', async () => {
+        await db.close();
+        await start({ PACK_CREST_ODDS: 1 });
+
+        try {
+          // Five crests from two teams: at least one comes up more than once
+          const pack = await api('/api/packs/open', { method: 'POST', body: { userId: 'olga', seed: 'crests' } });
+          assert.equal(pack.status, 201);
+          assert.ok(pack.body.stickers.every(s => s.type === 'crest'));
+          const counts = new Map(pack.body.stickers.map(s => [s._id, s.count]));
+          const [crestId, count] = [...counts].find(([, n]) => n > 1);
+          const teamName = pack.body.stickers.find(s => s._id === crestId).teamName;
+
+          const swaps = await api('/api/collections/olga/swaps');
+          const group = swaps.body.teams.find(g => g.team.name === teamName);
+          assert.deepEqual(group.swaps[0], {
+            _id: crestId,
+            number: null,
+            name: `${teamName} crest`,
+            position: null,
+            count,
+            spare: count - 1,
+          });
+
+          // pat needs the crest and has a spare Messi olga lacks
+          await api('/api/collections/pat/stickers/player:csv:argentina-lionel-messi', { method: 'PUT', body: { count: 2 } });
+          const suggested = await api('/api/collections/pat/suggested-trades?with=olga');
+          const [received] = suggested.body[0].receive;
+          assert.ok(counts.get(received._id) > 1);
+          assert.match(received.name, / crest$/);
+        } finally {
+          await db.close();
+          await start();
+        }
+      });
+
+      it('rejects seeds that are not a string or a number', async () => {
+        for (const seed of [{ a: 1 }, ['fixed'], true, null]) {
+          const res = await api('/api/packs/open', { method: 'POST', body: { userId: 'gina', seed } });
+          assert.equal(res.status, 400, JSON.stringify(seed));
+          assert.equal(res.body.error, 'seed must be a string or a number');
+        }
+
+        const numeric = await api('/api/packs/open', { method: 'POST', body: { userId: 'gina', seed: 42 } });
+        assert.equal(numeric.status, 201);
+        assert.equal(numeric.body.seed, '42');
+      });
+
+      it('adds no copies when the pack cannot be recorded', async () => {
+        const storage = db.getStorage();
+        const insert = storage.packs.insert;
+        storage.packs.insert = async () => {
+          throw new Error('write failed');
+        };
+
+        try {
+          const res = await api('/api/packs/open', { method: 'POST', body: { userId: 'ivan', seed: 'fixed' } });
+          assert.equal(res.status, 500);
+        } finally {
+          storage.packs.insert = insert;
+        }
+
+        const collection = await api('/api/collections/ivan');
+        assert.deepEqual(collection.body.counts, {});
+      });
+    });
+  });
+}
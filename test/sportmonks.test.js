@@ -0,0 +1,172 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createClient } from '../src/sportmonksClient.js';
+import { createStubApp } from '../src/sportmonksStub.js';
+import { fixturePath } from '../src/sportmonksFixtures.js';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const FIXTURES_DIR = path.join(ROOT, 'test/fixtures/sportmonks');
+
+function clientConfig(overrides = {}) {
+  return {
+    SPORTMONKS_API_KEY: 'test-key',
+    SPORTMONKS_BASE_URL: 'http://127.0.0.1:1',
+    SPORTMONKS_MODE: 'live',
+    SPORTMONKS_FIXTURES_DIR: FIXTURES_DIR,
+    REQUEST_DELAY_MS: 0,
+    REQUEST_TIMEOUT_MS: 5000,
+    MAX_RETRIES: 2,
+    RETRY_BASE_MS: 1,
+    ...overrides,
+  };
+}
+
+async function startStub(options) {
+  const app = createStubApp({ fixturesDir: FIXTURES_DIR, ...options });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('fixturePath', () => {
+  it('mirrors the endpoint path', () => {
+    assert.equal(fixturePath('fx', '/squads/teams/18710'), path.join('fx', 'squads', 'teams', '18710.json'));
+  });
+
+  it('decodes search terms and keeps files inside the fixture dir', () => {
+    assert.equal(fixturePath('fx', '/teams/search/South%20Korea'), path.join('fx', 'teams', 'search', 'South Korea.json'));
+    assert.equal(fixturePath('fx', '/teams/search/..%2F..%2Fetc'), path.join('fx', 'teams', 'search', '__.._etc.json'));
+  });
+});
+
+describe('stub server', () => {
+  let stub;
+
+  afterEach(() => stub.server.close());
+
+  it('serves fixtures to the client', async () => {
+    stub = await startStub();
+    const client = createClient(clientConfig({ SPORTMONKS_BASE_URL: stub.baseUrl }));
+    client.clearCache();
+
+    const squad = await client.getTeamSquad(18710);
+    assert.deepEqual(squad.map(entry => entry.player_id), [31000, 31001]);
+
+    const results = await client.searchTeam('Spain');
+    assert.equal(results[0].id, 18710);
+  });
+
+  it('lets the client retry through scripted 429 and 500 responses', async () => {
+    stub = await startStub({ failFirst: [429, 500] });
+    const client = createClient(clientConfig({ SPORTMONKS_BASE_URL: stub.baseUrl }));
+    client.clearCache();
+    client.resetApiCallCount();
+
+    const team = await client.getTeam(18710);
+    assert.equal(team.name, 'Spain');
+    assert.equal(client.getApiCallCount(), 3);
+  });
+
+  it('gives up once retries are exhausted', async () => {
+    stub = await startStub({ failFirst: [429, 429, 429] });
+    const client = createClient(clientConfig({ SPORTMONKS_BASE_URL: stub.baseUrl }));
+    client.clearCache();
+
+    await assert.rejects(client.getTeam(18710), /Max retries exceeded/);
+  });
+
+  it('answers 404 for endpoints without a fixture', async () => {
+    stub = await startStub();
+    const client = createClient(clientConfig({ SPORTMONKS_BASE_URL: stub.baseUrl }));
+    client.clearCache();
+
+    await assert.rejects(client.getPlayer(99999), /API Error 404/);
+  });
+});
+
+describe('record and replay', () => {
+  let stub;
+  let recordDir;
+
+  before(async () => {
+    stub = await startStub();
+    recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sportmonks-'));
+  });
+
+  after(() => {
+    stub.server.close();
+    fs.rmSync(recordDir, { recursive: true, force: true });
+  });
+
+  it('records responses and replays them without the API', async () => {
+    const recorder = createClient(clientConfig({
+      SPORTMONKS_BASE_URL: stub.baseUrl,
+      SPORTMONKS_MODE: 'record',
+      SPORTMONKS_FIXTURES_DIR: recordDir,
+    }));
+    recorder.clearCache();
+    const recorded = await recorder.getPlayer(31000);
+
+    assert.ok(fs.existsSync(path.join(recordDir, 'players', '31000.json')));
+
+    // Nothing listens on the base URL, so this only passes if it reads the fixture
+    const replayer = createClient(clientConfig({
+      SPORTMONKS_API_KEY: undefined,
+      SPORTMONKS_MODE: 'replay',
+      SPORTMONKS_FIXTURES_DIR: recordDir,
+    }));
+    replayer.clearCache();
+
+    assert.deepEqual(await replayer.getPlayer(31000), recorded);
+    await assert.rejects(replayer.getPlayer(31001), /No fixture recorded for \/players\/31001/);
+  });
+});
+
+describe('offline ingestion', () => {
+  it('ingests a team from replayed fixtures into memory storage', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-'));
+    const storageFile = path.join(dir, 'album.json');
+
+    try {
+      const env = {
+        ...process.env,
+        SPORTMONKS_MODE: 'replay',
+        SPORTMONKS_FIXTURES_DIR: FIXTURES_DIR,
+        STORAGE_BACKEND: 'memory',
+        STORAGE_FILE: storageFile,
+        TEAM_IDS: '18710',
+      };
+      delete env.SPORTMONKS_API_KEY;
+
+      const result = spawnSync(process.execPath, ['src/ingest.js'], { cwd: ROOT, env, encoding: 'utf-8', timeout: 30000 });
+      assert.equal(result.status, 0, result.stdout + result.stderr);
+
+      const data = JSON.parse(fs.readFileSync(storageFile, 'utf-8'));
+      assert.deepEqual(data.teams.map(t => t.name), ['Spain']);
+
+      const pedri = data.players.find(p => p._id === 'player:sportmonks:31000');
+      assert.equal(pedri.name, 'Pedri');
+      assert.equal(pedri.currentClub.name, 'FC Barcelona');
+      assert.equal(pedri.currentClubCountry.code, 'ES');
+
+      assert.equal(pedri.position, 'MID');
+      assert.equal(pedri.dateOfBirth, '2002-11-25');
+      assert.equal(pedri.height, 174);
+      assert.equal(pedri.preferredFoot, 'right');
+      assert.equal(pedri.caps, 22);
+      assert.equal(pedri.internationalGoals, 2);
+      assert.equal(data.players.find(p => p._id === 'player:sportmonks:31001').position, 'GK');
+
+      assert.deepEqual(data.squads[0].playerIds, ['player:sportmonks:31000', 'player:sportmonks:31001']);
+      assert.deepEqual(data.squads[0].jerseyNumbers, { 'player:sportmonks:31000': 8, 'player:sportmonks:31001': 23 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_SQUAD_SIZE, canonicalColumn, knownTeamNames, mapColumns, validateRows } from '../src/squadRows.js';
+
+const record = (line, row) => ({ line, row: { team: 'Argentina', position: 'MID', ...row } });
+
+describe('canonicalColumn', () => {
+  it('maps aliases regardless of case, spaces and hyphens', () => {
+    assert.equal(canonicalColumn('Player Fullname'), 'name');
+    assert.equal(canonicalColumn('player-name'), 'name');
+    assert.equal(canonicalColumn('POS'), 'position');
+    assert.equal(canonicalColumn('country'), 'club_country');
+  });
+
+  it('keeps unknown headers', () => {
+    assert.equal(canonicalColumn('Shirt Sponsor'), 'shirt_sponsor');
+  });
+});
+
+describe('mapColumns', () => {
+  it('names the missing required column and its aliases', () => {
+    assert.throws(() => mapColumns(['name', 'position']), /Missing required column: "team" \(or national_team/);
+  });
+});
+
+describe('knownTeamNames', () => {
+  it('includes album teams, catalogue aliases and stored teams', () => {
+    const teams = knownTeamNames([{ name: 'Narnia' }]);
+    assert.ok(teams.has('Argentina'));
+    assert.ok(teams.has('USA'));
+    assert.ok(teams.has('Narnia'));
+  });
+});
+
+describe('validateRows', () => {
+  it('accepts valid rows and upper-cases positions', () => {
+    const { accepted, rejected } = validateRows([record(2, { name: 'Lionel Messi', position: 'fwd' })]);
+    assert.deepEqual(rejected, []);
+    assert.equal(accepted[0].row.position, 'FWD');
+    assert.equal(accepted[0].line, 2);
+  });
+
+  it('rejects bad positions, unknown teams and missing names with line numbers', () => {
+    const { accepted, rejected } = validateRows([
+      record(2, { name: 'Striker', position: 'ST' }),
+      record(3, { name: 'Aslan', team: 'Narnia' }),
+      record(4, { name: null, position: null }),
+    ]);
+
+    assert.equal(accepted.length, 0);
+    assert.deepEqual(rejected, [
+      { line: 2, team: 'Argentina', name: 'Striker', errors: ['position "ST" must be one of GK, DEF, MID, FWD'] },
+      { line: 3, team: 'Narnia', name: 'Aslan', errors: ['unknown team "Narnia"'] },
+      { line: 4, team: 'Argentina', name: null, errors: ['name is required', 'position is required (GK, DEF, MID, FWD)'] },
+    ]);
+  });
+
+  it('rejects duplicate players within a team', () => {
+    const { accepted, rejected } = validateRows([
+      record(2, { name: 'Enzo Fernández' }),
+      record(3, { name: 'enzo fernández' }),
+    ]);
+    assert.equal(accepted.length, 1);
+    assert.deepEqual(rejected[0].errors, ['duplicate player "enzo fernández" in Argentina']);
+  });
+
+  it('flags players beyond the squad limit instead of dropping them silently', () => {
+    const records = Array.from({ length: MAX_SQUAD_SIZE + 2 }, (_, i) => record(i + 2, { name: `Player ${i + 1}` }));
+
+    const { accepted, rejected } = validateRows(records);
+
+    assert.equal(accepted.length, MAX_SQUAD_SIZE);
+    assert.deepEqual(rejected.map(r => r.line), [MAX_SQUAD_SIZE + 2, MAX_SQUAD_SIZE + 3]);
+    assert.match(rejected[0].errors[0], /Argentina already has 26 players/);
+  });
+});